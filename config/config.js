@@ -13,13 +13,56 @@ module.exports = {
   
   jwt: {
     secret: process.env.JWT_SECRET || 'your-secret-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    // Token de curta duração para abrir o stream de eventos (vai na URL do EventSource)
+    streamExpiresIn: process.env.JWT_STREAM_EXPIRES_IN || '60s'
   },
   
   cache: {
     ttl: parseInt(process.env.CACHE_TTL) || 600 // 10 minutos
   },
   
+  channels: {
+    whatsappApiUrl: process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v18.0',
+    telegramApiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+    timeout: parseInt(process.env.CHANNEL_TIMEOUT) || 10000, // 10 segundos
+    // Libera o canal mock fora de desenvolvimento e testes (ex.: homologação)
+    allowMock: process.env.CHANNEL_ALLOW_MOCK === 'true'
+  },
+  
+  queue: {
+    interval: parseInt(process.env.QUEUE_INTERVAL) || 5000, // 5 segundos
+    batchSize: parseInt(process.env.QUEUE_BATCH_SIZE) || 20,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+    baseDelay: parseInt(process.env.QUEUE_BASE_DELAY) || 30000, // 30 segundos
+    maxDelay: parseInt(process.env.QUEUE_MAX_DELAY) || 3600000, // 1 hora
+    lockTimeout: parseInt(process.env.QUEUE_LOCK_TIMEOUT) || 60000 // 1 minuto
+  },
+  
+  conversations: {
+    sessionTimeoutHours: parseInt(process.env.SESSION_TIMEOUT_HOURS) || 24, // janela de atendimento do WhatsApp
+    retentionInterval: parseInt(process.env.RETENTION_INTERVAL) || 3600000, // 1 hora
+    retentionBatchSize: parseInt(process.env.RETENTION_BATCH_SIZE) || 500
+  },
+  
+  nlu: {
+    timeout: parseInt(process.env.NLU_TIMEOUT) || 5000, // 5 segundos
+    minConfidence: parseFloat(process.env.NLU_MIN_CONFIDENCE) || 0.75
+  },
+  
+  // Consulta de endereço pelo CEP (viacep ou fixture, com os CEPs de services/cep/fixtures.json, para testes)
+  cep: {
+    provider: process.env.CEP_PROVIDER || (process.env.NODE_ENV === 'test' ? 'fixture' : 'viacep'),
+    url: process.env.CEP_API_URL || 'https://viacep.com.br/ws',
+    timeout: parseInt(process.env.CEP_TIMEOUT) || 5000, // 5 segundos
+    cacheTtl: parseInt(process.env.CEP_CACHE_TTL) || 86400 // 1 dia
+  },
+  
+  carts: {
+    interval: parseInt(process.env.CART_RECOVERY_INTERVAL) || 60000, // 1 minuto
+    batchSize: parseInt(process.env.CART_RECOVERY_BATCH_SIZE) || 50
+  },
+  
   logging: {
     level: process.env.LOG_LEVEL || 'info'
   }
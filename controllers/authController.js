@@ -54,10 +54,25 @@ exports.login = async (req, res) => {
   }
 };
 
+// Telefone de comandos em dígitos ("(11) 98888-7777" -> "11988887777")
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+// Verifica se outro usuário do tenant já usa o telefone de comandos
+const phoneInUse = async (tenantId, phone, userId) => {
+  const filter = { tenantId, phone };
+  
+  if (userId) {
+    filter._id = { $ne: userId };
+  }
+  
+  return Boolean(await User.exists(filter));
+};
+
 // Registro de usuário (admin only)
 exports.register = async (req, res) => {
   try {
     const { name, email, password, role } = req.body;
+    const phone = normalizePhone(req.body.phone) || undefined;
     
     // Verificar se usuário já existe
     const userExists = await User.findOne({ email });
@@ -65,6 +80,10 @@ exports.register = async (req, res) => {
       return res.status(400).json({ error: 'Email já está em uso' });
     }
     
+    if (phone && await phoneInUse(req.tenantId, phone)) {
+      return res.status(400).json({ error: 'Telefone já está em uso por outro usuário' });
+    }
+    
     // Verificar permissões para criação de super-admin
     if (role === 'super-admin' && req.user.role !== 'super-admin') {
       return res.status(403).json({ error: 'Sem permissão para criar super-admin' });
@@ -75,6 +94,7 @@ exports.register = async (req, res) => {
       name,
       email,
       password,
+      phone,
       role: role || 'staff',
       tenantId: req.tenantId
     });
@@ -87,6 +107,7 @@ exports.register = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        phone: user.phone,
         role: user.role
       }
     });
@@ -115,6 +136,7 @@ exports.getCurrentUser = async (req, res) => {
 // Atualizar perfil
 exports.updateProfile = async (req, res) => {
   try {
+    // O telefone de comandos pelo chat é definido apenas pelo admin (updateUserPhone)
     const { name, email } = req.body;
     
     // Verificar se email já está em uso por outro usuário
@@ -142,6 +164,46 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// Definir o telefone de comandos pelo chat de um usuário do tenant (admin only)
+exports.updateUserPhone = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    
+    const user = await User.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+    
+    if (phone && await phoneInUse(req.tenantId, phone, user._id)) {
+      return res.status(400).json({ error: 'Telefone já está em uso por outro usuário' });
+    }
+    
+    // Telefone vazio remove o acesso aos comandos pelo chat
+    user.phone = phone || undefined;
+    await user.save();
+    
+    res.json({
+      message: 'Telefone atualizado com sucesso',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    // Mesmo telefone salvo em paralelo: o índice único barra o segundo
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Telefone já está em uso por outro usuário' });
+    }
+    
+    logger.error('Erro ao atualizar telefone do usuário:', error);
+    res.status(500).json({ error: 'Erro ao atualizar telefone do usuário' });
+  }
+};
+
 // Alterar senha
 exports.changePassword = async (req, res) => {
   try {
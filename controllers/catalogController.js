@@ -1,9 +1,40 @@
 const Catalog = require('../models/catalog');
 const Category = require('../models/category');
 const ProductOption = require('../models/productOption');
+const OptionGroup = require('../models/optionGroup');
+const optionGroupService = require('../services/optionGroupService');
+const bundleService = require('../services/bundleService');
 const logger = require('../utils/logger');
 const cacheManager = require('../utils/cacheManager');
 
+// Verifica se produtos, categorias e tamanhos das vagas do combo pertencem ao tenant
+// Retorna a primeira vaga inválida
+const findInvalidBundleSlot = async (tenantId, bundleSlots) => {
+  for (const slot of bundleSlots) {
+    if (slot.products && slot.products.length > 0) {
+      const productsCount = await Catalog.countDocuments({
+        _id: { $in: slot.products },
+        tenantId,
+        productType: { $ne: 'bundle' }
+      });
+      
+      if (productsCount !== new Set(slot.products).size) {
+        return slot;
+      }
+    }
+    
+    if (slot.category && !(await Category.exists({ _id: slot.category, tenantId }))) {
+      return slot;
+    }
+    
+    if (slot.sizeId && !(await ProductOption.exists({ _id: slot.sizeId, tenantId, type: 'pizza-size' }))) {
+      return slot;
+    }
+  }
+  
+  return null;
+};
+
 // Obter todos os produtos (para clientes do bot)
 exports.getProducts = async (req, res) => {
   try {
@@ -112,37 +143,22 @@ exports.getProductById = async (req, res) => {
       return res.status(404).json({ error: 'Produto não encontrado' });
     }
     
-    // Se for pizza, carregar opções de massa
-    let additionalData = {};
+    // Grupos de opções do produto (massas, adicionais, coberturas...), só com as opções ativas
+    const optionGroups = await optionGroupService.getProductGroups(tenantId, product);
     
-    if (product.productType === 'pizza') {
-      // Buscar tamanhos e massas de pizza
-      const [crusts] = await Promise.all([
-        ProductOption.find({
-          tenantId,
-          type: 'pizza-crust',
-          active: true
-        }).sort({ price: 1, name: 1 })
-      ]);
-      
-      additionalData = { crusts };
-    } else if (product.productType === 'hamburger') {
-      // Buscar adicionais de hambúrguer
-      const addons = await ProductOption.find({
-        tenantId,
-        type: 'burger-addon',
-        active: true
-      }).sort({ price: 1, name: 1 });
-      
-      additionalData = { addons };
-    }
-    
-    // Combinar produto com dados adicionais
     const productWithOptions = {
       ...product.toObject(),
-      ...additionalData
+      optionGroups
     };
     
+    // Combos: produtos disponíveis em cada vaga
+    if (product.productType === 'bundle') {
+      productWithOptions.bundleSlots = await Promise.all(product.bundleSlots.map(async (slot) => ({
+        ...slot.toObject(),
+        choices: await bundleService.getSlotProducts(tenantId, slot)
+      })));
+    }
+    
     // Salvar no cache
     cacheManager.set(cacheKey, productWithOptions);
     
@@ -224,7 +240,8 @@ exports.getAdminProductById = async (req, res) => {
       _id: req.params.id,
       tenantId: req.user.tenantId
     })
-    .populate('category', 'name slug');
+    .populate('category', 'name slug')
+    .populate('optionGroups');
     
     if (!product) {
       return res.status(404).json({ error: 'Produto não encontrado' });
@@ -264,7 +281,9 @@ exports.createProduct = async (req, res) => {
       available,
       category,
       productType,
-      sizesPrices
+      sizesPrices,
+      bundleSlots,
+      optionGroups
     } = req.body;
     
     const tenantId = req.user.tenantId;
@@ -294,6 +313,27 @@ exports.createProduct = async (req, res) => {
       }
     }
     
+    // Para combos, verificar as vagas
+    if (productType === 'bundle') {
+      const invalidSlot = await findInvalidBundleSlot(tenantId, bundleSlots);
+      
+      if (invalidSlot) {
+        return res.status(400).json({ error: `A vaga ${invalidSlot.name} possui produtos, categoria ou tamanho inválidos` });
+      }
+    }
+    
+    // Verificar se os grupos de opções existem
+    if (optionGroups && optionGroups.length > 0) {
+      const groupsCount = await OptionGroup.countDocuments({
+        _id: { $in: optionGroups },
+        tenantId
+      });
+      
+      if (groupsCount !== new Set(optionGroups).size) {
+        return res.status(400).json({ error: 'Um ou mais grupos de opções selecionados são inválidos' });
+      }
+    }
+    
     // Criar produto
     const product = new Catalog({
       tenantId,
@@ -304,13 +344,16 @@ exports.createProduct = async (req, res) => {
       available: available !== undefined ? available : true,
       category,
       productType,
-      sizesPrices
+      sizesPrices,
+      bundleSlots,
+      optionGroups
     });
     
     await product.save();
     
     // Limpar caches relacionados
     cacheManager.delByPrefix(`tenant_${tenantId}_products`);
+    cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
     cacheManager.delByPrefix(`tenant_${tenantId}_category_${category}`);
     
     res.status(201).json({
@@ -334,7 +377,9 @@ exports.updateProduct = async (req, res) => {
       available,
       category,
       productType,
-      sizesPrices
+      sizesPrices,
+      bundleSlots,
+      optionGroups
     } = req.body;
     
     const tenantId = req.user.tenantId;
@@ -376,6 +421,27 @@ exports.updateProduct = async (req, res) => {
       }
     }
     
+    // Para combos, verificar as vagas
+    if (productType === 'bundle') {
+      const invalidSlot = await findInvalidBundleSlot(tenantId, bundleSlots);
+      
+      if (invalidSlot) {
+        return res.status(400).json({ error: `A vaga ${invalidSlot.name} possui produtos, categoria ou tamanho inválidos` });
+      }
+    }
+    
+    // Verificar se os grupos de opções existem
+    if (optionGroups && optionGroups.length > 0) {
+      const groupsCount = await OptionGroup.countDocuments({
+        _id: { $in: optionGroups },
+        tenantId
+      });
+      
+      if (groupsCount !== new Set(optionGroups).size) {
+        return res.status(400).json({ error: 'Um ou mais grupos de opções selecionados são inválidos' });
+      }
+    }
+    
     // Atualizar campos
     if (name) product.name = name;
     if (description !== undefined) product.description = description;
@@ -383,13 +449,18 @@ exports.updateProduct = async (req, res) => {
     if (image !== undefined) product.image = image;
     if (available !== undefined) product.available = available;
     if (category) product.category = category;
-    if (productType) product.productType = productType;
+    if (productType) {
+      product.productType = productType;
+      product.bundleSlots = productType === 'bundle' ? bundleSlots : undefined;
+    }
     if (sizesPrices) product.sizesPrices = sizesPrices;
+    if (optionGroups) product.optionGroups = optionGroups;
     
     await product.save();
     
     // Limpar caches relacionados
     cacheManager.delByPrefix(`tenant_${tenantId}_products`);
+    cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
     cacheManager.delByPrefix(`tenant_${tenantId}_category_`);
     cacheManager.delByPrefix(`tenant_${tenantId}_product_${product._id}`);
     
@@ -425,6 +496,7 @@ exports.toggleProductStatus = async (req, res) => {
     
     // Limpar caches relacionados
     cacheManager.delByPrefix(`tenant_${tenantId}_products`);
+    cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
     cacheManager.delByPrefix(`tenant_${tenantId}_category_${product.category}`);
     cacheManager.delByPrefix(`tenant_${tenantId}_product_${product._id}`);
     
@@ -458,6 +530,7 @@ exports.deleteProduct = async (req, res) => {
     
     // Limpar caches relacionados
     cacheManager.delByPrefix(`tenant_${tenantId}_products`);
+    cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
     cacheManager.delByPrefix(`tenant_${tenantId}_category_${product.category}`);
     cacheManager.delByPrefix(`tenant_${tenantId}_product_${product._id}`);
     
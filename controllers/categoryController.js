@@ -69,6 +69,7 @@ exports.createCategory = async (req, res) => {
     
     // Limpar cache
     cacheManager.delByPrefix(`tenant_${tenantId}_categories`);
+    cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
     
     res.status(201).json({
       message: 'Categoria criada com sucesso',
@@ -149,6 +150,7 @@ exports.updateCategory = async (req, res) => {
     
     // Limpar cache
     cacheManager.delByPrefix(`tenant_${tenantId}_categories`);
+    cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
     
     res.json({
       message: 'Categoria atualizada com sucesso',
@@ -182,6 +184,7 @@ exports.toggleCategoryStatus = async (req, res) => {
     
     // Limpar cache
     cacheManager.delByPrefix(`tenant_${tenantId}_categories`);
+    cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
     
     res.json({
       message: `Categoria ${category.active ? 'ativada' : 'desativada'} com sucesso`,
@@ -215,6 +218,7 @@ exports.reorderCategories = async (req, res) => {
     
     // Limpar cache
     cacheManager.delByPrefix(`tenant_${tenantId}_categories`);
+    cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
     
     res.json({
       message: 'Categorias reordenadas com sucesso'
@@ -255,6 +259,7 @@ exports.deleteCategory = async (req, res) => {
     
     // Limpar cache
     cacheManager.delByPrefix(`tenant_${tenantId}_categories`);
+    cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
     
     res.json({
       message: 'Categoria excluída com sucesso'
@@ -1,6 +1,16 @@
+const mongoose = require('mongoose');
 const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+const Tenant = require('../models/tenant');
+const OutboundMessage = require('../models/outboundMessage');
 const botService = require('../services/botService');
+const conversationService = require('../services/conversationService');
+const messageQueueService = require('../services/messageQueueService');
+const notificationService = require('../services/notificationService');
+const cartRecoveryService = require('../services/cartRecoveryService');
+const config = require('../config/config');
 const logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
 
 // Processar mensagem de cliente (API pública)
 exports.processMessage = async (req, res) => {
@@ -8,38 +18,9 @@ exports.processMessage = async (req, res) => {
     const tenantId = req.tenant._id;
     const { phone, message } = req.body;
     
-    // Primeiro, armazenar a mensagem na conversa
-    let conversation = await Conversation.findOne({ tenantId, phone });
-    
-    if (!conversation) {
-      // Criar nova conversa se não existir
-      conversation = new Conversation({
-        tenantId,
-        phone,
-        messages: []
-      });
-    }
-    
-    // Adicionar mensagem do cliente
-    conversation.messages.push({
-      content: message,
-      isFromBot: false
-    });
-    
-    await conversation.save();
-    
-    // Processar mensagem com o serviço de bot
-    const botResponse = await botService.processMessage(tenantId, phone, message);
-    
-    if (botResponse) {
-      // Armazenar resposta do bot na conversa
-      conversation.messages.push({
-        content: botResponse,
-        isFromBot: true
-      });
-      
-      await conversation.save();
-    }
+    // Registrar a mensagem e obter a resposta do bot
+    // O telefone é escolhido pelo cliente da API: nunca vale como remetente confiável (comandos administrativos)
+    const botResponse = await conversationService.handleInboundMessage(tenantId, phone, message);
     
     res.json({
       success: true,
@@ -58,6 +39,19 @@ exports.getAllConversations = async (req, res) => {
   try {
     const tenantId = req.user.tenantId;
     
+    // Opções de filtro
+    const filter = { tenantId };
+    
+    if (req.query.handoff) {
+      filter['handoff.status'] = req.query.handoff;
+    }
+    
+    // Solicitações de atendimento ainda sem atendente
+    if (req.query.unassigned === 'true') {
+      filter['handoff.status'] = 'human';
+      filter['handoff.assignedTo'] = null;
+    }
+    
     // Paginação
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -68,29 +62,30 @@ exports.getAllConversations = async (req, res) => {
     
     // Executar consulta
     const [conversations, total] = await Promise.all([
-      Conversation.find({ tenantId })
-        .select('phone updatedAt messages')
+      Conversation.find(filter)
+        .select('phone channel handoff notificationsOptOut lastMessageAt updatedAt')
+        .populate('handoff.assignedTo', 'name')
         .sort(sort)
         .skip(skip)
         .limit(limit),
       
-      Conversation.countDocuments({ tenantId })
+      Conversation.countDocuments(filter)
     ]);
     
     // Para cada conversa, pegar apenas as últimas 3 mensagens
-    const conversationsWithLimitedMessages = conversations.map(conv => {
+    const conversationsWithLimitedMessages = await Promise.all(conversations.map(async conv => {
       const conversation = conv.toObject();
       
-      // Limitar mensagens para preview
-      if (conversation.messages.length > 3) {
-        conversation.messages = conversation.messages.slice(-3);
-        conversation.hasMoreMessages = true;
-      } else {
-        conversation.hasMoreMessages = false;
-      }
+      // Buscar uma a mais para saber se há mensagens anteriores
+      const messages = await Message.find({ conversationId: conv._id })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(4);
+      
+      conversation.hasMoreMessages = messages.length > 3;
+      conversation.messages = messages.slice(0, 3).reverse();
       
       return conversation;
-    });
+    }));
     
     res.json({
       conversations: conversationsWithLimitedMessages,
@@ -107,6 +102,36 @@ exports.getAllConversations = async (req, res) => {
   }
 };
 
+// Buscar no histórico de mensagens
+exports.searchMessages = async (req, res) => {
+  try {
+    const { q, from, to, sender, handoff, page, limit } = req.query;
+    
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Informe os termos da busca' });
+    }
+    
+    const result = await conversationService.searchMessages(req.user.tenantId, {
+      q: q.trim(),
+      from,
+      to,
+      sender,
+      handoff,
+      page,
+      limit
+    });
+    
+    res.json(result);
+  } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    logger.error(`Erro ao buscar mensagens para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar mensagens' });
+  }
+};
+
 // Obter conversa por telefone
 exports.getConversationByPhone = async (req, res) => {
   try {
@@ -119,8 +144,37 @@ exports.getConversationByPhone = async (req, res) => {
       return res.status(404).json({ error: 'Conversa não encontrada' });
     }
     
-    res.json({ conversation });
+    // Histórico paginado por cursor (?before=<nextCursor>&limit=50&session=2)
+    // ou posicionado em uma mensagem (?around=<messageId>)
+    const { messages, hasMore, nextCursor } = await conversationService.getMessages(
+      tenantId,
+      conversation._id,
+      {
+        limit: req.query.limit,
+        before: req.query.before,
+        around: req.query.around,
+        session: req.query.session
+      }
+    );
+    
+    res.json({
+      conversation,
+      serviceWindow: conversation.getServiceWindow(),
+      messages,
+      pagination: {
+        hasMore,
+        nextCursor
+      }
+    });
   } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (error.type === 'not-found') {
+      return res.status(404).json({ error: error.message });
+    }
+    
     logger.error(`Erro ao buscar conversa do telefone ${req.params.phone}:`, error);
     res.status(500).json({ error: 'Erro ao buscar conversa' });
   }
@@ -159,22 +213,19 @@ exports.getConversationStats = async (req, res) => {
     });
     
     // Total de mensagens
-    const conversations = await Conversation.find({ tenantId });
-    let totalMessages = 0;
-    let botMessages = 0;
-    let userMessages = 0;
+    const messageCounts = await Message.aggregate([
+      { $match: { tenantId: new mongoose.Types.ObjectId(tenantId) } },
+      { $group: { _id: '$isFromBot', count: { $sum: 1 } } }
+    ]);
     
-    conversations.forEach(conv => {
-      totalMessages += conv.messages.length;
-      
-      conv.messages.forEach(msg => {
-        if (msg.isFromBot) {
-          botMessages++;
-        } else {
-          userMessages++;
-        }
-      });
-    });
+    const countFor = (isFromBot) => {
+      const item = messageCounts.find(count => Boolean(count._id) === isFromBot);
+      return item ? item.count : 0;
+    };
+    
+    const botMessages = countFor(true);
+    const userMessages = countFor(false);
+    const totalMessages = botMessages + userMessages;
     
     // Responder com estatísticas
     res.json({
@@ -203,35 +254,280 @@ exports.sendMessageToPhone = async (req, res) => {
     const { message } = req.body;
     
     // Verificar se conversa existe
-    let conversation = await Conversation.findOne({ tenantId, phone });
+    const conversation = await Conversation.findOne({ tenantId, phone }, { channel: 1 });
     
-    if (!conversation) {
-      // Criar nova conversa
-      conversation = new Conversation({
-        tenantId,
-        phone,
-        messages: []
-      });
-    }
+    // Enfileirar envio pelo canal da conversa
+    const outbound = await botService.sendMessage(tenantId, phone, message, {
+      channel: conversation ? conversation.channel : undefined
+    });
     
-    // Adicionar mensagem do admin
+    // Adicionar mensagem do atendente
     const adminMessage = {
-      content: `[ADMIN: ${req.user.name}] ${message}`,
+      content: message,
+      sender: {
+        type: 'staff',
+        userId: req.user._id,
+        name: req.user.name
+      },
       isFromBot: true
     };
     
-    conversation.messages.push(adminMessage);
-    await conversation.save();
+    if (outbound) {
+      adminMessage.outboundMessageId = outbound._id;
+      adminMessage.deliveryStatus = 'queued';
+    }
+    
+    // Registrar na conversa (cria a conversa se necessário)
+    await Conversation.addMessage(tenantId, phone, adminMessage);
     
-    // Enviar mensagem via serviço de bot
-    const sent = await botService.sendMessage(tenantId, phone, message);
+    eventBus.publish(tenantId, 'message.staff', {
+      phone,
+      content: message,
+      user: { id: req.user._id, name: req.user.name },
+      deliveryStatus: adminMessage.deliveryStatus
+    });
     
     res.json({
-      success: sent,
-      message: sent ? 'Mensagem enviada com sucesso' : 'Mensagem armazenada, mas falha ao enviar'
+      success: Boolean(outbound),
+      message: outbound ? 'Mensagem enfileirada para envio' : 'Mensagem armazenada, mas falha ao enviar',
+      outboundMessageId: outbound ? outbound._id : null
     });
   } catch (error) {
     logger.error(`Erro ao enviar mensagem para ${req.params.phone}:`, error);
     res.status(500).json({ error: 'Erro ao enviar mensagem' });
   }
-};
\ No newline at end of file
+};
+
+// Status HTTP para os erros do serviço de conversas
+const handoffErrorStatus = {
+  'not-found': 404,
+  'conflict': 409,
+  'forbidden': 403
+};
+
+// Assumir atendimento da conversa
+exports.claimConversation = async (req, res) => {
+  try {
+    const conversation = await conversationService.claimConversation(
+      req.user.tenantId,
+      req.params.phone,
+      req.user
+    );
+    
+    res.json({
+      message: 'Conversa atribuída com sucesso',
+      handoff: conversation.handoff
+    });
+  } catch (error) {
+    if (handoffErrorStatus[error.type]) {
+      return res.status(handoffErrorStatus[error.type]).json({ error: error.message });
+    }
+    
+    logger.error(`Erro ao assumir conversa ${req.params.phone}:`, error);
+    res.status(500).json({ error: 'Erro ao assumir conversa' });
+  }
+};
+
+// Devolver conversa para o bot
+exports.releaseConversation = async (req, res) => {
+  try {
+    const conversation = await conversationService.releaseConversation(
+      req.user.tenantId,
+      req.params.phone,
+      req.user
+    );
+    
+    res.json({
+      message: 'Conversa devolvida para o bot',
+      handoff: conversation.handoff
+    });
+  } catch (error) {
+    if (handoffErrorStatus[error.type]) {
+      return res.status(handoffErrorStatus[error.type]).json({ error: error.message });
+    }
+    
+    logger.error(`Erro ao liberar conversa ${req.params.phone}:`, error);
+    res.status(500).json({ error: 'Erro ao liberar conversa' });
+  }
+};
+
+// Encerrar atendimento da conversa
+exports.closeConversation = async (req, res) => {
+  try {
+    const conversation = await conversationService.closeConversation(
+      req.user.tenantId,
+      req.params.phone,
+      req.user
+    );
+    
+    res.json({
+      message: 'Atendimento encerrado com sucesso',
+      handoff: conversation.handoff
+    });
+  } catch (error) {
+    if (handoffErrorStatus[error.type]) {
+      return res.status(handoffErrorStatus[error.type]).json({ error: error.message });
+    }
+    
+    logger.error(`Erro ao encerrar conversa ${req.params.phone}:`, error);
+    res.status(500).json({ error: 'Erro ao encerrar conversa' });
+  }
+};
+
+// Ativar/desativar notificações de pedido do cliente
+exports.updateNotificationPreferences = async (req, res) => {
+  try {
+    const { optOut } = req.body;
+    
+    await notificationService.setOptOut(req.user.tenantId, req.params.phone, optOut);
+    
+    res.json({
+      message: `Notificações ${optOut ? 'desativadas' : 'ativadas'} com sucesso`,
+      optOut
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar notificações do telefone ${req.params.phone}:`, error);
+    res.status(500).json({ error: 'Erro ao atualizar preferências de notificação' });
+  }
+};
+
+// Obter configurações de sessão, retenção e recuperação de carrinhos
+exports.getConversationSettings = async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId, {
+      'settings.conversations': 1,
+      'settings.cartRecovery': 1
+    });
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant não encontrado' });
+    }
+    
+    const settings = tenant.settings.conversations || {};
+    const cartRecovery = tenant.settings.cartRecovery || {};
+    
+    res.json({
+      settings: {
+        sessionTimeoutHours: settings.sessionTimeoutHours || config.conversations.sessionTimeoutHours,
+        retention: settings.retention,
+        cartRecovery: {
+          enabled: cartRecovery.enabled === true,
+          delayMinutes: cartRecovery.delayMinutes,
+          message: cartRecovery.message || cartRecoveryService.DEFAULT_MESSAGE
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Erro ao buscar configurações de conversas para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar configurações de conversas' });
+  }
+};
+
+// Atualizar configurações de sessão, retenção e recuperação de carrinhos
+exports.updateConversationSettings = async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId);
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant não encontrado' });
+    }
+    
+    const { sessionTimeoutHours, retention, cartRecovery } = req.body;
+    
+    if (sessionTimeoutHours !== undefined) {
+      tenant.set('settings.conversations.sessionTimeoutHours', sessionTimeoutHours);
+    }
+    
+    if (retention) {
+      Object.keys(retention).forEach(key => {
+        tenant.set(`settings.conversations.retention.${key}`, retention[key]);
+      });
+    }
+    
+    // Mensagem vazia volta a usar o texto padrão
+    if (cartRecovery) {
+      Object.keys(cartRecovery).forEach(key => {
+        const value = key === 'message' ? cartRecovery.message || undefined : cartRecovery[key];
+        tenant.set(`settings.cartRecovery.${key}`, value);
+      });
+    }
+    
+    await tenant.save();
+    
+    res.json({
+      message: 'Configurações de conversas atualizadas com sucesso',
+      settings: {
+        sessionTimeoutHours: tenant.settings.conversations.sessionTimeoutHours,
+        retention: tenant.settings.conversations.retention,
+        cartRecovery: tenant.settings.cartRecovery
+      }
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar configurações de conversas para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao atualizar configurações de conversas' });
+  }
+};
+
+// Obter mensagens da fila de saída (ex.: ?status=failed para as mensagens mortas)
+exports.getOutboundMessages = async (req, res) => {
+  try {
+    const tenantId = req.user.tenantId;
+    
+    // Opções de filtro
+    const filter = { tenantId };
+    
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    
+    if (req.query.phone) {
+      filter.phone = req.query.phone;
+    }
+    
+    // Paginação
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    
+    const [messages, total] = await Promise.all([
+      OutboundMessage.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      
+      OutboundMessage.countDocuments(filter)
+    ]);
+    
+    res.json({
+      messages,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error(`Erro ao listar fila de saída para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar mensagens da fila' });
+  }
+};
+
+// Reenviar mensagem que falhou
+exports.retryOutboundMessage = async (req, res) => {
+  try {
+    const outbound = await messageQueueService.retry(req.user.tenantId, req.params.id);
+    
+    if (!outbound) {
+      return res.status(404).json({ error: 'Mensagem com falha não encontrada' });
+    }
+    
+    res.json({
+      message: 'Mensagem recolocada na fila de envio',
+      status: outbound.status
+    });
+  } catch (error) {
+    logger.error(`Erro ao reenviar mensagem ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao reenviar mensagem' });
+  }
+};
@@ -0,0 +1,230 @@
+const DeliveryZone = require('../models/deliveryZone');
+const Tenant = require('../models/tenant');
+const logger = require('../utils/logger');
+
+// CEPs guardados só com os dígitos, para comparar as faixas como texto
+const normalizeCepRanges = (cepRanges) => {
+  return (cepRanges || []).map(range => ({
+    from: range.from.replace(/\D/g, ''),
+    to: range.to.replace(/\D/g, '')
+  }));
+};
+
+// ==== ROTAS ADMINISTRATIVAS ====
+
+// Obter todas as zonas de entrega, com as coordenadas da loja
+exports.getAllZones = async (req, res) => {
+  try {
+    const tenantId = req.user.tenantId;
+    
+    const [zones, tenant] = await Promise.all([
+      DeliveryZone.find({ tenantId }).sort({ order: 1, name: 1 }),
+      Tenant.findById(tenantId, { 'settings.store': 1 })
+    ]);
+    
+    res.json({
+      zones,
+      origin: (tenant && tenant.settings.store && tenant.settings.store.location) || null
+    });
+  } catch (error) {
+    logger.error(`Erro ao buscar zonas de entrega para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar zonas de entrega' });
+  }
+};
+
+// Definir as coordenadas da loja (origem das zonas por raio)
+exports.updateOrigin = async (req, res) => {
+  try {
+    const { lat, lng } = req.body;
+    
+    const tenant = await Tenant.findByIdAndUpdate(
+      req.user.tenantId,
+      { $set: { 'settings.store.location': { lat, lng } } },
+      { new: true }
+    );
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant não encontrado' });
+    }
+    
+    res.json({
+      message: 'Localização da loja atualizada com sucesso',
+      origin: tenant.settings.store.location
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar localização da loja do tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao atualizar localização da loja' });
+  }
+};
+
+// Obter zona por ID
+exports.getZoneById = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findOne({
+      _id: req.params.id,
+      tenantId: req.user.tenantId
+    });
+    
+    if (!zone) {
+      return res.status(404).json({ error: 'Zona de entrega não encontrada' });
+    }
+    
+    res.json({ zone });
+  } catch (error) {
+    logger.error(`Erro ao buscar zona de entrega ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar zona de entrega' });
+  }
+};
+
+// Criar zona de entrega
+exports.createZone = async (req, res) => {
+  try {
+    const {
+      name,
+      type,
+      neighborhoods,
+      cepRanges,
+      radiusKm,
+      polygon,
+      fee,
+      minOrder,
+      estimatedMinutes,
+      order,
+      active
+    } = req.body;
+    
+    const zone = new DeliveryZone({
+      tenantId: req.user.tenantId,
+      name,
+      type,
+      neighborhoods: neighborhoods || [],
+      cepRanges: normalizeCepRanges(cepRanges),
+      radiusKm,
+      polygon: polygon || [],
+      fee,
+      minOrder: minOrder || 0,
+      estimatedMinutes,
+      order: order || 0,
+      active: active !== undefined ? active : true
+    });
+    
+    await zone.save();
+    
+    res.status(201).json({
+      message: 'Zona de entrega criada com sucesso',
+      zone
+    });
+  } catch (error) {
+    logger.error(`Erro ao criar zona de entrega para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao criar zona de entrega' });
+  }
+};
+
+// Atualizar zona de entrega
+// Os campos da área acompanham o tipo enviado; os dos outros tipos são removidos
+exports.updateZone = async (req, res) => {
+  try {
+    const {
+      name,
+      type,
+      neighborhoods,
+      cepRanges,
+      radiusKm,
+      polygon,
+      fee,
+      minOrder,
+      estimatedMinutes,
+      order,
+      active
+    } = req.body;
+    
+    const zone = await DeliveryZone.findOne({
+      _id: req.params.id,
+      tenantId: req.user.tenantId
+    });
+    
+    if (!zone) {
+      return res.status(404).json({ error: 'Zona de entrega não encontrada' });
+    }
+    
+    // Atualizar campos
+    zone.name = name || zone.name;
+    zone.type = type;
+    zone.neighborhoods = neighborhoods || [];
+    zone.cepRanges = normalizeCepRanges(cepRanges);
+    zone.radiusKm = radiusKm;
+    zone.polygon = polygon || [];
+    zone.fee = fee;
+    zone.minOrder = minOrder || 0;
+    zone.estimatedMinutes = estimatedMinutes || undefined;
+    
+    if (order !== undefined) {
+      zone.order = order;
+    }
+    
+    if (active !== undefined) {
+      zone.active = active;
+    }
+    
+    await zone.save();
+    
+    res.json({
+      message: 'Zona de entrega atualizada com sucesso',
+      zone
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar zona de entrega ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao atualizar zona de entrega' });
+  }
+};
+
+// Ativar/desativar zona de entrega
+exports.toggleZoneStatus = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findOne({
+      _id: req.params.id,
+      tenantId: req.user.tenantId
+    });
+    
+    if (!zone) {
+      return res.status(404).json({ error: 'Zona de entrega não encontrada' });
+    }
+    
+    // Inverter status
+    zone.active = !zone.active;
+    
+    await zone.save();
+    
+    res.json({
+      message: `Zona de entrega ${zone.active ? 'ativada' : 'desativada'} com sucesso`,
+      active: zone.active
+    });
+  } catch (error) {
+    logger.error(`Erro ao alterar status da zona de entrega ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao alterar status da zona de entrega' });
+  }
+};
+
+// Excluir zona de entrega
+// Os pedidos guardam o nome da zona, então a exclusão não afeta o histórico
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findOne({
+      _id: req.params.id,
+      tenantId: req.user.tenantId
+    });
+    
+    if (!zone) {
+      return res.status(404).json({ error: 'Zona de entrega não encontrada' });
+    }
+    
+    await zone.deleteOne();
+    
+    res.json({
+      message: 'Zona de entrega excluída com sucesso'
+    });
+  } catch (error) {
+    logger.error(`Erro ao excluir zona de entrega ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao excluir zona de entrega' });
+  }
+};
@@ -0,0 +1,49 @@
+const eventBus = require('../utils/eventBus');
+const { signStreamToken } = require('../middleware/auth');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Intervalo do comentário de keep-alive, para proxies não fecharem a conexão
+const HEARTBEAT_INTERVAL = 25000;
+
+// Emitir token para abrir o stream de eventos
+exports.createStreamToken = (req, res) => {
+  res.json({
+    token: signStreamToken(req.user),
+    expiresIn: config.jwt.streamExpiresIn
+  });
+};
+
+// Stream de eventos do tenant (Server-Sent Events)
+exports.stream = (req, res) => {
+  const tenantId = req.user.tenantId;
+  let eventId = 0;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // Avisar o cliente para reconectar após 5 segundos se a conexão cair
+  res.write('retry: 5000\n\n');
+  
+  const unsubscribe = eventBus.subscribe(tenantId, (event) => {
+    eventId++;
+    res.write(`id: ${eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+  
+  logger.debug(`Stream de eventos aberto para usuário ${req.user._id} (tenant ${tenantId})`);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug(`Stream de eventos fechado para usuário ${req.user._id} (tenant ${tenantId})`);
+  });
+};
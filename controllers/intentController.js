@@ -0,0 +1,312 @@
+const BotIntent = require('../models/botIntent');
+const Tenant = require('../models/tenant');
+const intentService = require('../services/intentService');
+const nlu = require('../services/nlu');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Obter intenções do tenant (e as intenções padrão do bot)
+exports.getIntents = async (req, res) => {
+  try {
+    const tenantId = req.user.tenantId;
+    
+    const intents = await BotIntent.find({ tenantId })
+      .sort({ priority: -1, name: 1 });
+    
+    res.json({
+      intents,
+      defaults: intentService.DEFAULT_INTENTS
+    });
+  } catch (error) {
+    logger.error(`Erro ao listar intenções para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar intenções' });
+  }
+};
+
+// Obter intenção por ID
+exports.getIntentById = async (req, res) => {
+  try {
+    const intent = await BotIntent.findOne({
+      _id: req.params.id,
+      tenantId: req.user.tenantId
+    });
+    
+    if (!intent) {
+      return res.status(404).json({ error: 'Intenção não encontrada' });
+    }
+    
+    res.json({ intent });
+  } catch (error) {
+    logger.error(`Erro ao buscar intenção ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar intenção' });
+  }
+};
+
+// Criar intenção
+exports.createIntent = async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      keywords,
+      synonyms,
+      responses,
+      action,
+      priority,
+      active
+    } = req.body;
+    
+    const tenantId = req.user.tenantId;
+    
+    // Verificar se já existe intenção com esse nome
+    const existingIntent = await BotIntent.findOne({ tenantId, name: name.toLowerCase() });
+    if (existingIntent) {
+      return res.status(400).json({ error: 'Já existe uma intenção com esse nome' });
+    }
+    
+    const intent = new BotIntent({
+      tenantId,
+      name,
+      description,
+      keywords,
+      synonyms,
+      responses,
+      action,
+      priority: priority || 0,
+      active: active !== undefined ? active : true
+    });
+    
+    await intent.save();
+    
+    // Limpar cache
+    intentService.clearCache(tenantId);
+    
+    res.status(201).json({
+      message: 'Intenção criada com sucesso',
+      intent
+    });
+  } catch (error) {
+    logger.error(`Erro ao criar intenção para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao criar intenção' });
+  }
+};
+
+// Atualizar intenção
+exports.updateIntent = async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      keywords,
+      synonyms,
+      responses,
+      action,
+      priority,
+      active
+    } = req.body;
+    
+    const tenantId = req.user.tenantId;
+    
+    const intent = await BotIntent.findOne({
+      _id: req.params.id,
+      tenantId
+    });
+    
+    if (!intent) {
+      return res.status(404).json({ error: 'Intenção não encontrada' });
+    }
+    
+    // Se alterar o nome, verificar duplicidade
+    if (name && name.toLowerCase() !== intent.name) {
+      const existingIntent = await BotIntent.findOne({ tenantId, name: name.toLowerCase() });
+      if (existingIntent) {
+        return res.status(400).json({ error: 'Já existe uma intenção com esse nome' });
+      }
+      
+      intent.name = name;
+    }
+    
+    // Atualizar campos
+    if (description !== undefined) intent.description = description;
+    if (keywords) intent.keywords = keywords;
+    if (synonyms) intent.synonyms = synonyms;
+    if (responses) intent.responses = responses;
+    if (action) intent.action = action;
+    if (priority !== undefined) intent.priority = priority;
+    if (active !== undefined) intent.active = active;
+    
+    await intent.save();
+    
+    // Limpar cache
+    intentService.clearCache(tenantId);
+    
+    res.json({
+      message: 'Intenção atualizada com sucesso',
+      intent
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar intenção ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao atualizar intenção' });
+  }
+};
+
+// Ativar/desativar intenção
+exports.toggleIntentStatus = async (req, res) => {
+  try {
+    const tenantId = req.user.tenantId;
+    
+    const intent = await BotIntent.findOne({
+      _id: req.params.id,
+      tenantId
+    });
+    
+    if (!intent) {
+      return res.status(404).json({ error: 'Intenção não encontrada' });
+    }
+    
+    // Inverter status
+    intent.active = !intent.active;
+    
+    await intent.save();
+    
+    // Limpar cache
+    intentService.clearCache(tenantId);
+    
+    res.json({
+      message: `Intenção ${intent.active ? 'ativada' : 'desativada'} com sucesso`,
+      active: intent.active
+    });
+  } catch (error) {
+    logger.error(`Erro ao alterar status da intenção ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao alterar status da intenção' });
+  }
+};
+
+// Excluir intenção
+exports.deleteIntent = async (req, res) => {
+  try {
+    const tenantId = req.user.tenantId;
+    
+    const result = await BotIntent.deleteOne({
+      _id: req.params.id,
+      tenantId
+    });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Intenção não encontrada' });
+    }
+    
+    // Limpar cache
+    intentService.clearCache(tenantId);
+    
+    res.json({
+      message: 'Intenção excluída com sucesso'
+    });
+  } catch (error) {
+    logger.error(`Erro ao excluir intenção ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao excluir intenção' });
+  }
+};
+
+// Configurações de NLU sem expor a chave do serviço externo
+const nluSettingsResponse = (settings = {}) => {
+  const http = settings.http || {};
+  
+  return {
+    provider: settings.provider || 'local',
+    minConfidence: settings.minConfidence || config.nlu.minConfidence,
+    http: {
+      url: http.url,
+      model: http.model,
+      hasApiKey: Boolean(http.apiKey)
+    }
+  };
+};
+
+// Obter configurações do classificador de intenções
+exports.getNluSettings = async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId, { 'settings.nlu': 1 });
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant não encontrado' });
+    }
+    
+    res.json({ settings: nluSettingsResponse(tenant.settings.nlu) });
+  } catch (error) {
+    logger.error(`Erro ao buscar configurações de NLU para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar configurações de NLU' });
+  }
+};
+
+// Atualizar configurações do classificador de intenções
+exports.updateNluSettings = async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId);
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant não encontrado' });
+    }
+    
+    const { provider, minConfidence, http } = req.body;
+    
+    if (provider !== undefined) {
+      tenant.set('settings.nlu.provider', provider);
+    }
+    
+    // Valor vazio volta a usar o padrão do servidor
+    if (minConfidence !== undefined) {
+      tenant.set('settings.nlu.minConfidence', minConfidence === null ? undefined : minConfidence);
+    }
+    
+    if (http) {
+      Object.keys(http).forEach(key => {
+        tenant.set(`settings.nlu.http.${key}`, http[key] || undefined);
+      });
+    }
+    
+    if (tenant.settings.nlu.provider === 'http' && !(tenant.settings.nlu.http && tenant.settings.nlu.http.url)) {
+      return res.status(400).json({ error: 'Informe a URL do serviço de NLU' });
+    }
+    
+    await tenant.save();
+    
+    res.json({
+      message: 'Configurações de NLU atualizadas com sucesso',
+      settings: nluSettingsResponse(tenant.settings.nlu)
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar configurações de NLU para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao atualizar configurações de NLU' });
+  }
+};
+
+// Testar a classificação de uma mensagem com as intenções do tenant
+exports.classifyMessage = async (req, res) => {
+  try {
+    const tenantId = req.user.tenantId;
+    const { message, provider } = req.body;
+    
+    const [tenant, intents] = await Promise.all([
+      Tenant.findById(tenantId),
+      intentService.getIntents(tenantId)
+    ]);
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant não encontrado' });
+    }
+    
+    const result = await nlu.classify(tenant, message, intents, { provider });
+    
+    res.json({
+      provider: result.provider,
+      intent: result.intent ? result.intent.name : null,
+      action: result.intent ? result.intent.action : null,
+      confidence: result.confidence,
+      entities: result.entities
+    });
+  } catch (error) {
+    logger.error(`Erro ao classificar mensagem para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao classificar mensagem' });
+  }
+};
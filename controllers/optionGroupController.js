@@ -0,0 +1,230 @@
+const OptionGroup = require('../models/optionGroup');
+const Catalog = require('../models/catalog');
+const logger = require('../utils/logger');
+const cacheManager = require('../utils/cacheManager');
+
+// Os detalhes dos produtos em cache trazem os grupos de opções
+const clearProductCache = (tenantId) => {
+  cacheManager.delByPrefix(`tenant_${tenantId}_product_`);
+};
+
+// ==== ROTAS ADMINISTRATIVAS ====
+
+// Obter todos os grupos de opções
+exports.getAllGroups = async (req, res) => {
+  try {
+    const groups = await OptionGroup.find({ tenantId: req.user.tenantId })
+      .sort({ order: 1, name: 1 });
+    
+    res.json({ groups });
+  } catch (error) {
+    logger.error(`Erro ao buscar grupos de opções para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar grupos de opções' });
+  }
+};
+
+// Obter grupo por ID, com os produtos que o utilizam
+exports.getGroupById = async (req, res) => {
+  try {
+    const tenantId = req.user.tenantId;
+    
+    const group = await OptionGroup.findOne({
+      _id: req.params.id,
+      tenantId
+    });
+    
+    if (!group) {
+      return res.status(404).json({ error: 'Grupo de opções não encontrado' });
+    }
+    
+    const products = await Catalog.find(
+      { tenantId, optionGroups: group._id },
+      { name: 1, available: 1 }
+    ).sort({ name: 1 });
+    
+    res.json({ group, products });
+  } catch (error) {
+    logger.error(`Erro ao buscar grupo de opções ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar grupo de opções' });
+  }
+};
+
+// Criar grupo de opções
+exports.createGroup = async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      required,
+      minSelections,
+      maxSelections,
+      options,
+      order,
+      active
+    } = req.body;
+    
+    if ((minSelections || 0) > (maxSelections || 1)) {
+      return res.status(400).json({ error: 'O mínimo de escolhas não pode ser maior que o máximo' });
+    }
+    
+    const group = new OptionGroup({
+      tenantId: req.user.tenantId,
+      name,
+      description,
+      required,
+      minSelections,
+      maxSelections,
+      options,
+      order: order || 0,
+      active: active !== undefined ? active : true
+    });
+    
+    await group.save();
+    
+    res.status(201).json({
+      message: 'Grupo de opções criado com sucesso',
+      group
+    });
+  } catch (error) {
+    logger.error(`Erro ao criar grupo de opções para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao criar grupo de opções' });
+  }
+};
+
+// Atualizar grupo de opções
+// Opções enviadas com _id mantêm o ID, que é referenciado nos pedidos
+exports.updateGroup = async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      required,
+      minSelections,
+      maxSelections,
+      options,
+      order,
+      active
+    } = req.body;
+    
+    const tenantId = req.user.tenantId;
+    
+    const group = await OptionGroup.findOne({
+      _id: req.params.id,
+      tenantId
+    });
+    
+    if (!group) {
+      return res.status(404).json({ error: 'Grupo de opções não encontrado' });
+    }
+    
+    // Atualizar campos
+    group.name = name || group.name;
+    group.description = description !== undefined ? description : group.description;
+    group.options = options || group.options;
+    
+    if (required !== undefined) {
+      group.required = required;
+    }
+    
+    if (minSelections !== undefined) {
+      group.minSelections = minSelections;
+    }
+    
+    if (maxSelections !== undefined) {
+      group.maxSelections = maxSelections;
+    }
+    
+    if (group.minSelections > group.maxSelections) {
+      return res.status(400).json({ error: 'O mínimo de escolhas não pode ser maior que o máximo' });
+    }
+    
+    if (order !== undefined) {
+      group.order = order;
+    }
+    
+    if (active !== undefined) {
+      group.active = active;
+    }
+    
+    await group.save();
+    
+    clearProductCache(tenantId);
+    
+    res.json({
+      message: 'Grupo de opções atualizado com sucesso',
+      group
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar grupo de opções ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao atualizar grupo de opções' });
+  }
+};
+
+// Ativar/desativar grupo de opções
+exports.toggleGroupStatus = async (req, res) => {
+  try {
+    const tenantId = req.user.tenantId;
+    
+    const group = await OptionGroup.findOne({
+      _id: req.params.id,
+      tenantId
+    });
+    
+    if (!group) {
+      return res.status(404).json({ error: 'Grupo de opções não encontrado' });
+    }
+    
+    // Inverter status
+    group.active = !group.active;
+    
+    await group.save();
+    
+    clearProductCache(tenantId);
+    
+    res.json({
+      message: `Grupo de opções ${group.active ? 'ativado' : 'desativado'} com sucesso`,
+      active: group.active
+    });
+  } catch (error) {
+    logger.error(`Erro ao alterar status do grupo de opções ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao alterar status do grupo de opções' });
+  }
+};
+
+// Excluir grupo de opções
+exports.deleteGroup = async (req, res) => {
+  try {
+    const tenantId = req.user.tenantId;
+    
+    const group = await OptionGroup.findOne({
+      _id: req.params.id,
+      tenantId
+    });
+    
+    if (!group) {
+      return res.status(404).json({ error: 'Grupo de opções não encontrado' });
+    }
+    
+    // Verificar se está em uso
+    const productsUsingGroup = await Catalog.countDocuments({
+      tenantId,
+      optionGroups: group._id
+    });
+    
+    if (productsUsingGroup > 0) {
+      return res.status(400).json({
+        error: 'Não é possível excluir este grupo pois ele está sendo usado em produtos',
+        count: productsUsingGroup
+      });
+    }
+    
+    await group.deleteOne();
+    
+    res.json({
+      message: 'Grupo de opções excluído com sucesso'
+    });
+  } catch (error) {
+    logger.error(`Erro ao excluir grupo de opções ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao excluir grupo de opções' });
+  }
+};
@@ -1,6 +1,12 @@
 const Order = require('../models/order');
+const Tenant = require('../models/tenant');
 const orderService = require('../services/orderService');
+const orderParserService = require('../services/orderParserService');
+const deliveryService = require('../services/deliveryService');
+const addressService = require('../services/addressService');
+const cep = require('../services/cep');
 const botService = require('../services/botService');
+const notificationService = require('../services/notificationService');
 const logger = require('../utils/logger');
 
 // Criar novo pedido (cliente)
@@ -20,8 +26,13 @@ exports.createOrder = async (req, res) => {
       order: {
         orderNumber: order.orderNumber,
         status: order.status,
+        deliveryFee: order.deliveryFee,
+        delivery: order.delivery,
+        discount: order.discount,
         total: order.total
-      }
+      },
+      // Preços enviados que foram substituídos pelos do catálogo
+      warnings: order.priceAdjustments
     });
   } catch (error) {
     logger.error(`Erro ao criar pedido para tenant ${req.tenant._id}:`, error);
@@ -35,6 +46,54 @@ exports.createOrder = async (req, res) => {
   }
 };
 
+// Calcular a taxa de entrega para o endereço (cliente)
+exports.quoteDelivery = async (req, res) => {
+  try {
+    const { location, subtotal } = req.body;
+    const address = await addressService.resolve(req.body.address);
+    
+    const delivery = await deliveryService.quote(req.tenant._id, {
+      address: address.text,
+      details: address.details,
+      coordinates: address.location || location,
+      subtotal: subtotal || 0
+    });
+    
+    // Sem zonas cadastradas, a loja não restringe a área de entrega (zona vazia, taxa fixa do tenant)
+    res.json({
+      address: address.text,
+      delivery: { zone: delivery.zone, fee: delivery.fee, estimatedMinutes: delivery.estimatedMinutes }
+    });
+  } catch (error) {
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    
+    logger.error(`Erro ao calcular entrega para tenant ${req.tenant._id}:`, error);
+    res.status(500).json({ error: 'Erro ao calcular a taxa de entrega' });
+  }
+};
+
+// Consultar o endereço de um CEP (cliente)
+exports.lookupCep = async (req, res) => {
+  try {
+    if (!cep.normalizeCep(req.params.cep)) {
+      return res.status(400).json({ error: 'CEP inválido' });
+    }
+    
+    const address = await cep.lookup(req.params.cep);
+    
+    if (!address) {
+      return res.status(404).json({ error: 'CEP não encontrado' });
+    }
+    
+    res.json({ address });
+  } catch (error) {
+    logger.error(`Erro ao consultar CEP ${req.params.cep}:`, error);
+    res.status(500).json({ error: 'Erro ao consultar CEP' });
+  }
+};
+
 // Consultar status do pedido
 exports.getOrderStatus = async (req, res) => {
   try {
@@ -193,37 +252,8 @@ exports.updateOrderStatus = async (req, res) => {
     const { status } = req.body;
     const tenantId = req.user.tenantId;
     
-    const order = await Order.findOne({
-      _id: req.params.id,
-      tenantId
-    });
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Pedido não encontrado' });
-    }
-    
-    // Validar transição de status
-    const validTransitions = {
-      'pending': ['confirmed', 'cancelled'],
-      'confirmed': ['preparing', 'cancelled'],
-      'preparing': ['delivering', 'completed', 'cancelled'],
-      'delivering': ['completed', 'cancelled'],
-      'completed': [],
-      'cancelled': []
-    };
-    
-    if (!validTransitions[order.status].includes(status)) {
-      return res.status(400).json({ 
-        error: `Não é possível alterar o status de '${order.status}' para '${status}'`
-      });
-    }
-    
-    // Atualizar status
-    order.status = status;
-    await order.save();
-    
-    // Notificar cliente sobre mudança de status
-    await botService.notifyStatusChange(tenantId, order);
+    // Usar service para validar a transição, atualizar o status e notificar o cliente
+    const order = await orderService.updateOrderStatus(tenantId, req.params.id, status);
     
     res.json({
       message: 'Status do pedido atualizado com sucesso',
@@ -231,6 +261,16 @@ exports.updateOrderStatus = async (req, res) => {
     });
   } catch (error) {
     logger.error(`Erro ao atualizar status do pedido ${req.params.id}:`, error);
+    
+    // Erros específicos do serviço
+    if (error.type === 'not-found') {
+      return res.status(404).json({ error: error.message });
+    }
+    
+    if (error.type === 'validation') {
+      return res.status(400).json({ error: error.message });
+    }
+    
     res.status(500).json({ error: 'Erro ao atualizar status do pedido' });
   }
 };
@@ -322,4 +362,61 @@ exports.getOrderStats = async (req, res) => {
     logger.error(`Erro ao obter estatísticas para tenant ${req.user.tenantId}:`, error);
     res.status(500).json({ error: 'Erro ao gerar estatísticas' });
   }
-};
\ No newline at end of file
+};
+
+// Obter templates das notificações de status
+exports.getStatusTemplates = async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId);
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant não encontrado' });
+    }
+    
+    res.json({
+      templates: notificationService.getStatusTemplates(tenant),
+      defaults: notificationService.DEFAULT_STATUS_TEMPLATES
+    });
+  } catch (error) {
+    logger.error(`Erro ao buscar templates de status para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar templates de status' });
+  }
+};
+
+// Atualizar templates das notificações de status
+// Um template vazio volta a usar a mensagem padrão
+exports.updateStatusTemplates = async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId);
+    
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant não encontrado' });
+    }
+    
+    Object.keys(req.body).forEach(status => {
+      tenant.set(`settings.statusMessages.${status}`, req.body[status] || undefined);
+    });
+    
+    await tenant.save();
+    
+    res.json({
+      message: 'Templates de status atualizados com sucesso',
+      templates: notificationService.getStatusTemplates(tenant)
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar templates de status para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao atualizar templates de status' });
+  }
+};
+
+// Interpretar pedido escrito em texto livre (ex.: pedido recebido por telefone)
+exports.parseOrderText = async (req, res) => {
+  try {
+    const draft = await orderParserService.parse(req.user.tenantId, req.body.message);
+    
+    res.json({ draft });
+  } catch (error) {
+    logger.error(`Erro ao interpretar pedido em texto para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao interpretar pedido' });
+  }
+};
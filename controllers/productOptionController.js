@@ -9,8 +9,8 @@ exports.getOptionsByType = async (req, res) => {
     const tenantId = req.tenant._id;
     const type = req.params.type;
     
-    // Validar tipo
-    if (!['pizza-size', 'pizza-crust', 'burger-addon'].includes(type)) {
+    // Validar tipo (massas e adicionais agora são grupos de opções em /option-groups)
+    if (type !== 'pizza-size') {
       return res.status(400).json({ error: 'Tipo de opção inválido' });
     }
     
@@ -63,7 +63,7 @@ exports.getAdminOptionsByType = async (req, res) => {
     const type = req.params.type;
     
     // Validar tipo
-    if (!['pizza-size', 'pizza-crust', 'burger-addon'].includes(type)) {
+    if (type !== 'pizza-size') {
       return res.status(400).json({ error: 'Tipo de opção inválido' });
     }
     
@@ -0,0 +1,279 @@
+const Promotion = require('../models/promotion');
+const Catalog = require('../models/catalog');
+const Order = require('../models/order');
+const logger = require('../utils/logger');
+
+// Verifica período, cupom repetido e produtos da promoção; retorna a mensagem de erro ou null
+const findInvalidPromotion = async (tenantId, data, promotionId) => {
+  if (data.startsAt && data.endsAt && new Date(data.endsAt) <= new Date(data.startsAt)) {
+    return 'A data final deve ser posterior à data inicial';
+  }
+  
+  if (data.code) {
+    const existingPromotion = await Promotion.findOne({
+      tenantId,
+      code: data.code.trim().toUpperCase(),
+      _id: { $ne: promotionId }
+    });
+    
+    if (existingPromotion) {
+      return 'Já existe uma promoção com esse cupom';
+    }
+  }
+  
+  if (data.products && data.products.length > 0) {
+    const count = await Catalog.countDocuments({ _id: { $in: data.products }, tenantId });
+    
+    if (count !== new Set(data.products).size) {
+      return 'A promoção possui produtos inválidos';
+    }
+  }
+  
+  return null;
+};
+
+// ==== ROTAS ADMINISTRATIVAS ====
+
+// Obter todas as promoções
+exports.getAllPromotions = async (req, res) => {
+  try {
+    const promotions = await Promotion.find({ tenantId: req.user.tenantId })
+      .sort({ createdAt: -1 });
+    
+    res.json({ promotions });
+  } catch (error) {
+    logger.error(`Erro ao buscar promoções para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar promoções' });
+  }
+};
+
+// Obter promoção por ID, com os pedidos em que foi aplicada
+exports.getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      tenantId: req.user.tenantId
+    });
+    
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promoção não encontrada' });
+    }
+    
+    const [usage] = await Order.aggregate([
+      {
+        $match: {
+          tenantId: promotion.tenantId,
+          'discount.promotionId': promotion._id,
+          status: { $ne: 'cancelled' }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          discountTotal: { $sum: '$discount.amount' }
+        }
+      }
+    ]);
+    
+    res.json({
+      promotion,
+      usage: {
+        orders: usage ? usage.orders : 0,
+        discountTotal: usage ? usage.discountTotal : 0
+      }
+    });
+  } catch (error) {
+    logger.error(`Erro ao buscar promoção ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao buscar promoção' });
+  }
+};
+
+// Criar promoção
+exports.createPromotion = async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      code,
+      type,
+      value,
+      buyQuantity,
+      getQuantity,
+      products,
+      minSubtotal,
+      firstOrderOnly,
+      startsAt,
+      endsAt,
+      maxUses,
+      maxUsesPerCustomer,
+      active
+    } = req.body;
+    
+    const tenantId = req.user.tenantId;
+    
+    const invalid = await findInvalidPromotion(tenantId, req.body);
+    
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    const promotion = new Promotion({
+      tenantId,
+      name,
+      description,
+      code: code || undefined,
+      type,
+      value,
+      buyQuantity,
+      getQuantity,
+      products: products || [],
+      minSubtotal: minSubtotal || 0,
+      firstOrderOnly: firstOrderOnly || false,
+      startsAt,
+      endsAt,
+      maxUses,
+      maxUsesPerCustomer,
+      active: active !== undefined ? active : true
+    });
+    
+    await promotion.save();
+    
+    res.status(201).json({
+      message: 'Promoção criada com sucesso',
+      promotion
+    });
+  } catch (error) {
+    logger.error(`Erro ao criar promoção para tenant ${req.user.tenantId}:`, error);
+    res.status(500).json({ error: 'Erro ao criar promoção' });
+  }
+};
+
+// Atualizar promoção
+// O contador de usos é mantido; os campos de cada tipo acompanham o tipo enviado
+exports.updatePromotion = async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      code,
+      type,
+      value,
+      buyQuantity,
+      getQuantity,
+      products,
+      minSubtotal,
+      firstOrderOnly,
+      startsAt,
+      endsAt,
+      maxUses,
+      maxUsesPerCustomer,
+      active
+    } = req.body;
+    
+    const tenantId = req.user.tenantId;
+    
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      tenantId
+    });
+    
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promoção não encontrada' });
+    }
+    
+    const invalid = await findInvalidPromotion(tenantId, req.body, promotion._id);
+    
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    
+    // Atualizar campos
+    promotion.name = name || promotion.name;
+    promotion.description = description !== undefined ? description : promotion.description;
+    promotion.code = code || undefined;
+    promotion.type = type;
+    promotion.value = value;
+    promotion.buyQuantity = buyQuantity;
+    promotion.getQuantity = getQuantity;
+    promotion.products = products || [];
+    promotion.minSubtotal = minSubtotal || 0;
+    promotion.firstOrderOnly = firstOrderOnly || false;
+    promotion.startsAt = startsAt || undefined;
+    promotion.endsAt = endsAt || undefined;
+    promotion.maxUses = maxUses || undefined;
+    promotion.maxUsesPerCustomer = maxUsesPerCustomer || undefined;
+    
+    if (active !== undefined) {
+      promotion.active = active;
+    }
+    
+    await promotion.save();
+    
+    res.json({
+      message: 'Promoção atualizada com sucesso',
+      promotion
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar promoção ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao atualizar promoção' });
+  }
+};
+
+// Ativar/desativar promoção
+exports.togglePromotionStatus = async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      tenantId: req.user.tenantId
+    });
+    
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promoção não encontrada' });
+    }
+    
+    // Inverter status
+    promotion.active = !promotion.active;
+    
+    await promotion.save();
+    
+    res.json({
+      message: `Promoção ${promotion.active ? 'ativada' : 'desativada'} com sucesso`,
+      active: promotion.active
+    });
+  } catch (error) {
+    logger.error(`Erro ao alterar status da promoção ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao alterar status da promoção' });
+  }
+};
+
+// Excluir promoção
+// Promoções já usadas continuam referenciadas nos pedidos e só podem ser desativadas
+exports.deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      tenantId: req.user.tenantId
+    });
+    
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promoção não encontrada' });
+    }
+    
+    if (promotion.usageCount > 0) {
+      return res.status(400).json({
+        error: 'Não é possível excluir esta promoção pois ela já foi usada em pedidos. Desative-a',
+        count: promotion.usageCount
+      });
+    }
+    
+    await promotion.deleteOne();
+    
+    res.json({
+      message: 'Promoção excluída com sucesso'
+    });
+  } catch (error) {
+    logger.error(`Erro ao excluir promoção ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Erro ao excluir promoção' });
+  }
+};
@@ -0,0 +1,171 @@
+const channels = require('../services/channels');
+const messageQueueService = require('../services/messageQueueService');
+const conversationService = require('../services/conversationService');
+const logger = require('../utils/logger');
+
+// Rótulos dos tipos de mídia registrados na conversa
+const mediaLabels = {
+  image: 'Imagem',
+  audio: 'Áudio',
+  video: 'Vídeo',
+  document: 'Documento',
+  sticker: 'Figurinha'
+};
+
+// Converte a mensagem normalizada no texto registrado na conversa e enviado ao bot
+const toContent = (message) => {
+  switch (message.type) {
+    case 'text':
+      return message.text;
+    case 'button':
+      return message.button.title || message.button.id;
+    case 'location': {
+      const { latitude, longitude, name, address } = message.location;
+      const place = [name, address].filter(Boolean).join(' - ');
+      return `📍 Localização: ${latitude}, ${longitude}${place ? ` (${place})` : ''}`;
+    }
+    default:
+      if (message.media) {
+        const label = mediaLabels[message.type] || 'Arquivo';
+        return message.media.caption ? `[${label}] ${message.media.caption}` : `[${label}]`;
+      }
+      
+      return null;
+  }
+};
+
+// Converte a mensagem normalizada no formato armazenado na conversa
+const toMessage = (message) => {
+  const content = toContent(message);
+  
+  if (!content) {
+    return null;
+  }
+  
+  const stored = {
+    type: message.type,
+    content,
+    providerMessageId: message.providerMessageId,
+    timestamp: message.timestamp
+  };
+  
+  if (message.type === 'button') {
+    stored.type = 'interactive';
+    stored.interactive = { kind: 'reply', selected: message.button };
+  } else if (message.type === 'location') {
+    stored.location = message.location;
+  } else if (message.media) {
+    stored.attachments = [{
+      mediaId: message.media.id,
+      mimeType: message.media.mimeType,
+      fileName: message.media.fileName,
+      caption: message.media.caption
+    }];
+  }
+  
+  return stored;
+};
+
+// Descarta as mensagens já registradas (webhooks reenviados pelo provedor)
+const newMessages = async (tenant, messages) => {
+  const fresh = [];
+  
+  for (const message of messages) {
+    if (message.providerMessageId &&
+        await conversationService.isRegistered(tenant._id, message.phone, message.providerMessageId)) {
+      logger.debug(`Mensagem ${message.providerMessageId} de ${message.phone} já registrada, ignorando`);
+      continue;
+    }
+    
+    fresh.push(message);
+  }
+  
+  return fresh;
+};
+
+// O bot roda depois da confirmação do webhook: os provedores reenviam webhooks
+// que demoram a responder
+const inBackground = (tenant, channel, task) => {
+  task().catch(error => {
+    logger.error(`Erro ao processar webhook do ${channel} para tenant ${tenant._id}:`, error);
+  });
+};
+
+// Processa as mensagens recebidas e responde pelo mesmo canal
+// O telefone vem do provedor (assinatura verificada), então vale para comandos administrativos
+const handleInbound = async (tenant, channel, messages) => {
+  for (const message of messages) {
+    const stored = toMessage(message);
+    
+    if (!stored) {
+      logger.debug(`Mensagem do tipo ${message.type} ignorada (tenant ${tenant._id}, canal ${channel})`);
+      continue;
+    }
+    
+    await conversationService.handleInboundMessage(
+      tenant._id,
+      message.phone,
+      stored,
+      { channel, reply: true, trusted: true }
+    );
+  }
+};
+
+// Verificação do webhook do WhatsApp (hub.challenge)
+exports.verifyWhatsapp = (req, res) => {
+  const challenge = channels.getAdapter(req.tenant, 'whatsapp').verifyChallenge(req.tenant, req.query);
+  
+  if (!challenge) {
+    return res.status(403).json({ error: 'Token de verificação inválido' });
+  }
+  
+  res.status(200).send(challenge);
+};
+
+// Receber mensagens do WhatsApp
+exports.receiveWhatsapp = async (req, res) => {
+  try {
+    const adapter = channels.getAdapter(req.tenant, 'whatsapp');
+    
+    if (!adapter.verifyRequest(req.tenant, req)) {
+      return res.status(401).json({ error: 'Assinatura inválida' });
+    }
+    
+    const messages = await newMessages(req.tenant, adapter.parseInbound(req.body));
+    const statuses = adapter.parseStatuses(req.body);
+    
+    res.json({ received: messages.length, statuses: statuses.length });
+    
+    inBackground(req.tenant, 'WhatsApp', async () => {
+      await handleInbound(req.tenant, 'whatsapp', messages);
+      
+      // Confirmações de entrega e leitura das mensagens enviadas
+      for (const status of statuses) {
+        await messageQueueService.updateDeliveryStatus(req.tenant._id, status.providerMessageId, status.status, status);
+      }
+    });
+  } catch (error) {
+    logger.error(`Erro ao processar webhook do WhatsApp para tenant ${req.tenant._id}:`, error);
+    res.status(500).json({ error: 'Erro ao processar webhook' });
+  }
+};
+
+// Receber updates do Telegram
+exports.receiveTelegram = async (req, res) => {
+  try {
+    const adapter = channels.getAdapter(req.tenant, 'telegram');
+    
+    if (!adapter.verifyRequest(req.tenant, req)) {
+      return res.status(401).json({ error: 'Token secreto inválido' });
+    }
+    
+    const messages = await newMessages(req.tenant, adapter.parseInbound(req.body));
+    
+    res.json({ received: messages.length });
+    
+    inBackground(req.tenant, 'Telegram', () => handleInbound(req.tenant, 'telegram', messages));
+  } catch (error) {
+    logger.error(`Erro ao processar webhook do Telegram para tenant ${req.tenant._id}:`, error);
+    res.status(500).json({ error: 'Erro ao processar webhook' });
+  }
+};
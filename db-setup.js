@@ -131,7 +131,7 @@ const ProductOptionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['pizza-size', 'pizza-crust', 'burger-addon'],
+    enum: ['pizza-size'],
     required: true
   },
   name: {
@@ -171,6 +171,77 @@ ProductOptionSchema.index({ tenantId: 1 });
 ProductOptionSchema.index({ tenantId: 1, type: 1 });
 ProductOptionSchema.index({ tenantId: 1, type: 1, order: 1 });
 
+// 3.1 OPTION GROUP (Grupos de opções: massas, adicionais, coberturas...)
+const GroupOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    default: 0
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const OptionGroupSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  options: [GroupOptionSchema],
+  order: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas
+OptionGroupSchema.index({ tenantId: 1 });
+OptionGroupSchema.index({ tenantId: 1, order: 1 });
+
 // 4. CATALOG (Produtos)
 const SizesPriceSchema = new mongoose.Schema({
   sizeId: {
@@ -181,6 +252,32 @@ const SizesPriceSchema = new mongoose.Schema({
   price: Number
 }, { _id: false });
 
+// Vagas dos combos: produtos listados ou de uma categoria
+const BundleSlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catalog'
+  }],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  sizeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductOption'
+  }
+});
+
 const CatalogSchema = new mongoose.Schema({
   tenantId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -211,10 +308,18 @@ const CatalogSchema = new mongoose.Schema({
   },
   productType: {
     type: String,
-    enum: ['standard', 'pizza', 'hamburger'],
+    enum: ['standard', 'pizza', 'hamburger', 'bundle'],
     default: 'standard'
   },
-  sizesPrices: [SizesPriceSchema]
+  sizesPrices: [SizesPriceSchema],
+  bundleSlots: {
+    type: [BundleSlotSchema],
+    default: undefined
+  },
+  optionGroups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OptionGroup'
+  }]
 }, {
   timestamps: true
 });
@@ -319,7 +424,7 @@ const ConversationSchema = new mongoose.Schema({
 
 // Índices para melhorar consultas
 ConversationSchema.index({ tenantId: 1 });
-ConversationSchema.index({ tenantId: 1, phone: 1 });
+ConversationSchema.index({ tenantId: 1, phone: 1 }, { unique: true });
 ConversationSchema.index({ tenantId: 1, updatedAt: -1 });
 
 // 7. ORDER (Pedidos)
@@ -431,6 +536,170 @@ OrderSchema.statics.generateOrderNumber = async function(tenantId) {
   return `ORD-${dateStr}-${sequence.toString().padStart(3, '0')}`;
 };
 
+// 7.1 PROMOTION (Promoções e cupons: com código é um cupom, sem código é automática)
+const PromotionSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free-delivery', 'buy-x-get-y'],
+    required: true
+  },
+  // Percentual (percentage) ou valor em reais (fixed)
+  value: {
+    type: Number,
+    min: 0
+  },
+  // Leve buyQuantity + getQuantity e pague buyQuantity; as unidades mais baratas saem de graça
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  // Produtos que participam do leve X pague Y (vazio = todos)
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Catalog'
+  }],
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  startsAt: Date,
+  endsAt: Date,
+  // Limites de uso no total e por cliente (telefone); vazio = sem limite
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  maxUsesPerCustomer: {
+    type: Number,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas
+PromotionSchema.index({ tenantId: 1, active: 1 });
+PromotionSchema.index(
+  { tenantId: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+
+// 7.2 DELIVERY ZONE (Zonas de entrega: taxa, pedido mínimo e tempo estimado)
+const CepRangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const PointSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: true
+  },
+  lng: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const DeliveryZoneSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // neighborhoods: lista de bairros; cep-range: faixas de CEP;
+  // radius: distância da loja (settings.store.location); polygon: área desenhada no mapa
+  type: {
+    type: String,
+    enum: ['neighborhoods', 'cep-range', 'radius', 'polygon'],
+    required: true
+  },
+  neighborhoods: [{
+    type: String,
+    trim: true
+  }],
+  cepRanges: [CepRangeSchema],
+  radiusKm: {
+    type: Number,
+    min: 0
+  },
+  polygon: [PointSchema],
+  fee: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  minOrder: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  estimatedMinutes: {
+    type: Number,
+    min: 0
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas
+DeliveryZoneSchema.index({ tenantId: 1, active: 1, order: 1 });
+
 // 8. REPORTS (Relatórios/Cache de Estatísticas)
 const ReportSchema = new mongoose.Schema({
   tenantId: {
@@ -469,10 +738,13 @@ ReportSchema.index({ tenantId: 1, 'period.start': 1, 'period.end': 1 });
 const Tenant = mongoose.model('Tenant', TenantSchema);
 const Category = mongoose.model('Category', CategorySchema);
 const ProductOption = mongoose.model('ProductOption', ProductOptionSchema);
+const OptionGroup = mongoose.model('OptionGroup', OptionGroupSchema);
 const Catalog = mongoose.model('Catalog', CatalogSchema);
 const User = mongoose.model('User', UserSchema);
 const Conversation = mongoose.model('Conversation', ConversationSchema);
 const Order = mongoose.model('Order', OrderSchema);
+const Promotion = mongoose.model('Promotion', PromotionSchema);
+const DeliveryZone = mongoose.model('DeliveryZone', DeliveryZoneSchema);
 const Report = mongoose.model('Report', ReportSchema);
 
 // ==== FUNÇÃO PARA CRIAR TENANT E USUÁRIO ADMIN INICIAL ====
@@ -597,27 +869,33 @@ const setupInitialData = async () => {
           slices: 8,
           order: 3,
           active: true
-        },
-        {
-          tenantId: tenant._id,
-          type: 'pizza-crust',
-          name: 'Tradicional',
-          price: 0.00,
-          order: 1,
-          active: true
-        },
-        {
-          tenantId: tenant._id,
-          type: 'pizza-crust',
-          name: 'Borda Recheada',
-          description: 'Borda recheada com catupiry',
-          price: 5.00,
-          order: 2,
-          active: true
         }
       ];
       
       const savedOptions = await ProductOption.insertMany(options);
+      
+      // Grupo de massas oferecido nas pizzas
+      const crustGroup = await OptionGroup.create({
+        tenantId: tenant._id,
+        name: 'Massa',
+        required: false,
+        minSelections: 0,
+        maxSelections: 1,
+        options: [
+          {
+            name: 'Tradicional',
+            price: 0.00,
+            order: 1
+          },
+          {
+            name: 'Borda Recheada',
+            description: 'Borda recheada com catupiry',
+            price: 5.00,
+            order: 2
+          }
+        ],
+        order: 1
+      });
       console.log('Opções de produtos criadas com sucesso!');
       
       // Referência para as categorias criadas
@@ -633,6 +911,7 @@ const setupInitialData = async () => {
           available: true,
           category: pizzaCategory._id,
           productType: 'pizza',
+          optionGroups: [crustGroup._id],
           sizesPrices: [
             {
               sizeId: savedOptions[0]._id,
@@ -691,6 +970,7 @@ module.exports = {
   Tenant,
   Category,
   ProductOption,
+  OptionGroup,
   Catalog,
   User,
   Conversation,
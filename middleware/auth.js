@@ -4,6 +4,9 @@ const User = require('../models/user');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
+// Finalidade gravada nos tokens de stream, que não valem como login
+const STREAM_TOKEN_PURPOSE = 'event-stream';
+
 // Middleware para autenticar chave de API (para clientes da API)
 exports.authenticateApiKey = async (req, res, next) => {
   try {
@@ -39,6 +42,11 @@ exports.authenticateJwt = async (req, res, next) => {
     
     const decoded = jwt.verify(token, config.jwt.secret);
     
+    // Tokens de stream só abrem o stream de eventos
+    if (decoded.purpose) {
+      return res.status(401).json({ error: 'Token inválido ou expirado' });
+    }
+    
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user || !user.active) {
@@ -56,6 +64,48 @@ exports.authenticateJwt = async (req, res, next) => {
   }
 };
 
+// Middleware para autenticar o token de stream pela query string (?token=)
+// Usado apenas no stream de eventos, já que o EventSource não envia headers
+// Só aceita tokens de curta duração emitidos para o stream, nunca o JWT de login
+exports.authenticateStreamToken = async (req, res, next) => {
+  try {
+    const token = req.query.token;
+    
+    if (!token) {
+      return res.status(401).json({ error: 'Token não fornecido' });
+    }
+    
+    const decoded = jwt.verify(token, config.jwt.secret);
+    
+    if (decoded.purpose !== STREAM_TOKEN_PURPOSE) {
+      return res.status(401).json({ error: 'Token inválido ou expirado' });
+    }
+    
+    const user = await User.findById(decoded.id).select('-password');
+    
+    if (!user || !user.active) {
+      return res.status(401).json({ error: 'Usuário não autorizado' });
+    }
+    
+    req.user = user;
+    req.tenantId = user.tenantId;
+    
+    next();
+  } catch (error) {
+    logger.warn(`Token de stream recusado: ${error.message}`);
+    return res.status(401).json({ error: 'Token inválido ou expirado' });
+  }
+};
+
+// Emite o token de curta duração usado para abrir o stream de eventos
+exports.signStreamToken = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: STREAM_TOKEN_PURPOSE },
+    config.jwt.secret,
+    { expiresIn: config.jwt.streamExpiresIn }
+  );
+};
+
 // Middleware para verificar roles de usuário
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const Message = require('./message');
+
+// Mensagens movidas pela política de retenção; mesmo formato da coleção Message
+const ArchivedMessageSchema = Message.schema.clone();
+
+ArchivedMessageSchema.add({
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ArchivedMessage', ArchivedMessageSchema);
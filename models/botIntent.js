@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const BotIntentSchema = new Schema({
+  tenantId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  keywords: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  synonyms: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  responses: [String],
+  action: {
+    type: String,
+    enum: ['reply', 'menu', 'order', 'handoff', 'opt-out', 'opt-in', 'order-status', 'repeat-order'],
+    default: 'reply'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas
+BotIntentSchema.index({ tenantId: 1 });
+BotIntentSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('BotIntent', BotIntentSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Carrinho montado pelo cliente no fluxo de pedido do bot
+const CartSchema = new Schema({
+  tenantId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'abandoned', 'recovered', 'converted', 'cancelled'],
+    default: 'open'
+  },
+  // Cópia do estado do diálogo, usada para retomar o pedido
+  state: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  abandonedAt: Date,
+  recoveryMessageSentAt: Date,
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderTotal: Number,
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas
+CartSchema.index({ tenantId: 1, phone: 1, status: 1 });
+CartSchema.index({ tenantId: 1, status: 1, lastActivityAt: 1 });
+CartSchema.index({ tenantId: 1, abandonedAt: -1 });
+
+module.exports = mongoose.model('Cart', CartSchema);
@@ -10,6 +10,34 @@ const SizesPriceSchema = new Schema({
   price: Number
 }, { _id: false });
 
+// Vaga de um combo: um dos produtos listados ou qualquer produto da categoria
+// Ex.: "2 pizzas grandes + refrigerante" = vaga Pizza (quantity 2, sizeId Grande) + vaga Bebida
+const BundleSlotSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  products: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Catalog'
+  }],
+  category: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  // Tamanho das pizzas escolhidas na vaga
+  sizeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ProductOption'
+  }
+});
+
 const CatalogSchema = new Schema({
   tenantId: {
     type: Schema.Types.ObjectId,
@@ -40,10 +68,20 @@ const CatalogSchema = new Schema({
   },
   productType: {
     type: String,
-    enum: ['standard', 'pizza', 'hamburger'],
+    enum: ['standard', 'pizza', 'hamburger', 'bundle'],
     default: 'standard'
   },
-  sizesPrices: [SizesPriceSchema]
+  sizesPrices: [SizesPriceSchema],
+  // Combos: price é o preço do pacote e os componentes são escolhidos nas vagas
+  bundleSlots: {
+    type: [BundleSlotSchema],
+    default: undefined
+  },
+  // Grupos de opções oferecidos com o produto, na ordem em que são apresentados
+  optionGroups: [{
+    type: Schema.Types.ObjectId,
+    ref: 'OptionGroup'
+  }]
 }, {
   timestamps: true
 });
@@ -1,21 +1,49 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const Message = require('./message');
 
-const MessageSchema = new Schema({
-  content: {
+// Estado do diálogo do bot (fluxo de pedido em andamento)
+const DialogStateSchema = new Schema({
+  step: {
     type: String,
-    required: true
+    default: 'idle'
+  },
+  data: {
+    type: Schema.Types.Mixed,
+    default: {}
   },
-  timestamp: {
+  updatedAt: {
     type: Date,
     default: Date.now
-  },
-  isFromBot: {
-    type: Boolean,
-    default: false
   }
 }, { _id: false });
 
+// Controle de atendimento humano da conversa
+const HandoffSchema = new Schema({
+  status: {
+    type: String,
+    enum: ['bot', 'human', 'closed'],
+    default: 'bot'
+  },
+  assignedTo: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: Date,
+  assignedAt: Date,
+  closedAt: Date
+}, { _id: false });
+
+// Sessão de atendimento: recomeça após um período sem mensagens do cliente
+const SessionSchema = new Schema({
+  number: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  lastInboundAt: Date
+}, { _id: false });
+
 const ConversationSchema = new Schema({
   tenantId: {
     type: Schema.Types.ObjectId,
@@ -26,14 +54,115 @@ const ConversationSchema = new Schema({
     type: String,
     required: true
   },
-  messages: [MessageSchema]
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'telegram', 'webhook', 'mock']
+  },
+  // As mensagens ficam na coleção Message; aqui só a data da última
+  lastMessageAt: Date,
+  session: {
+    type: SessionSchema,
+    default: () => ({})
+  },
+  state: {
+    type: DialogStateSchema,
+    default: () => ({})
+  },
+  handoff: {
+    type: HandoffSchema,
+    default: () => ({})
+  },
+  // Cliente optou por não receber notificações de pedido
+  notificationsOptOut: {
+    type: Boolean,
+    default: false
+  },
+  notificationsOptOutAt: Date
 }, {
   timestamps: true
 });
 
 // Índices para melhorar consultas
 ConversationSchema.index({ tenantId: 1 });
-ConversationSchema.index({ tenantId: 1, phone: 1 });
+// Uma conversa por telefone: upserts simultâneos não criam duplicatas
+// Bancos antigos: rode scripts/dedupe-conversations.js antes de subir a API
+ConversationSchema.index({ tenantId: 1, phone: 1 }, { unique: true });
 ConversationSchema.index({ tenantId: 1, updatedAt: -1 });
+ConversationSchema.index({ tenantId: 1, 'handoff.status': 1 });
+
+// Método para obter o estado do diálogo de um telefone
+ConversationSchema.statics.getState = async function(tenantId, phone) {
+  const conversation = await this.findOne({ tenantId, phone }, { state: 1 });
+  
+  return conversation && conversation.state
+    ? { step: conversation.state.step, data: conversation.state.data || {} }
+    : { step: 'idle', data: {} };
+};
+
+// Método para persistir o estado do diálogo (cria a conversa se necessário)
+ConversationSchema.statics.setState = function(tenantId, phone, state) {
+  return this.updateOne(
+    { tenantId, phone },
+    {
+      $set: {
+        state: {
+          step: state.step,
+          data: state.data || {},
+          updatedAt: new Date()
+        }
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Método para o cliente solicitar atendimento humano
+ConversationSchema.statics.requestHandoff = function(tenantId, phone) {
+  return this.updateOne(
+    { tenantId, phone },
+    {
+      $set: {
+        'handoff.status': 'human',
+        'handoff.requestedAt': new Date(),
+        'handoff.closedAt': null
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Método para registrar uma mensagem na conversa (cria a conversa se necessário)
+ConversationSchema.statics.addMessage = async function(tenantId, phone, message) {
+  const timestamp = message.timestamp || new Date();
+  
+  const conversation = await this.findOneAndUpdate(
+    { tenantId, phone },
+    { $set: { lastMessageAt: timestamp } },
+    { upsert: true, new: true, projection: { _id: 1, 'session.number': 1 } }
+  );
+  
+  return Message.create({
+    ...message,
+    timestamp,
+    tenantId,
+    phone,
+    conversationId: conversation._id,
+    session: conversation.session ? conversation.session.number : undefined
+  });
+};
+
+// Janela de atendimento do WhatsApp: 24h após a última mensagem do cliente
+// Fora dela o provedor só aceita mensagens de template
+ConversationSchema.methods.getServiceWindow = function() {
+  const lastInboundAt = this.session && this.session.lastInboundAt;
+  
+  if (!lastInboundAt) {
+    return { open: false, expiresAt: null };
+  }
+  
+  const expiresAt = new Date(lastInboundAt.getTime() + 24 * 60 * 60 * 1000);
+  
+  return { open: expiresAt > new Date(), expiresAt };
+};
 
 module.exports = mongoose.model('Conversation', ConversationSchema);
\ No newline at end of file
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CepRangeSchema = new Schema({
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const PointSchema = new Schema({
+  lat: {
+    type: Number,
+    required: true
+  },
+  lng: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Área de entrega do tenant, com taxa, pedido mínimo e tempo estimado próprios
+// O endereço do pedido fica na primeira zona ativa (pela ordem) que o contém
+const DeliveryZoneSchema = new Schema({
+  tenantId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // neighborhoods: lista de bairros; cep-range: faixas de CEP;
+  // radius: distância da loja (settings.store.location); polygon: área desenhada no mapa
+  type: {
+    type: String,
+    enum: ['neighborhoods', 'cep-range', 'radius', 'polygon'],
+    required: true
+  },
+  neighborhoods: [{
+    type: String,
+    trim: true
+  }],
+  cepRanges: [CepRangeSchema],
+  radiusKm: {
+    type: Number,
+    min: 0
+  },
+  polygon: [PointSchema],
+  fee: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  minOrder: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  estimatedMinutes: {
+    type: Number,
+    min: 0
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas
+DeliveryZoneSchema.index({ tenantId: 1, active: 1, order: 1 });
+
+module.exports = mongoose.model('DeliveryZone', DeliveryZoneSchema);
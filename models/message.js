@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Arquivo de mídia recebido ou enviado (imagem, áudio, documento...)
+const AttachmentSchema = new Schema({
+  mediaId: String,
+  url: String,
+  mimeType: String,
+  fileName: String,
+  caption: String,
+  size: Number
+}, { _id: false });
+
+// Opção de uma mensagem interativa (botão ou item de lista)
+const InteractiveOptionSchema = new Schema({
+  id: String,
+  title: String,
+  description: String
+}, { _id: false });
+
+const MessageSchema = new Schema({
+  tenantId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  conversationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  // Número da sessão da conversa em que a mensagem foi trocada
+  session: Number,
+  type: {
+    type: String,
+    enum: ['text', 'image', 'audio', 'video', 'document', 'sticker', 'location', 'interactive'],
+    default: 'text'
+  },
+  // Texto da mensagem; para mídia, localização e botões guarda um resumo legível
+  content: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  sender: {
+    type: {
+      type: String,
+      enum: ['customer', 'bot', 'staff', 'system'],
+      default: 'customer'
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+  // Mantido por compatibilidade: true para tudo que não foi enviado pelo cliente
+  isFromBot: {
+    type: Boolean,
+    default: false
+  },
+  attachments: {
+    type: [AttachmentSchema],
+    default: undefined
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+    name: String,
+    address: String
+  },
+  interactive: {
+    kind: {
+      type: String,
+      enum: ['buttons', 'list', 'reply']
+    },
+    options: {
+      type: [InteractiveOptionSchema],
+      default: undefined
+    },
+    selected: {
+      id: String,
+      title: String
+    }
+  },
+  // ID da mensagem no provedor (WhatsApp, Telegram), usado para evitar duplicidade
+  providerMessageId: String,
+  // Status de entrega das mensagens enviadas ao cliente
+  deliveryStatus: {
+    type: String,
+    enum: ['queued', 'sent', 'delivered', 'read', 'failed']
+  },
+  outboundMessageId: {
+    type: Schema.Types.ObjectId,
+    ref: 'OutboundMessage'
+  },
+  // Preenchido quando a mensagem é uma notificação de status de pedido
+  notification: {
+    orderId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    status: String
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas (histórico paginado por data)
+MessageSchema.index({ conversationId: 1, timestamp: -1, _id: -1 });
+MessageSchema.index({ conversationId: 1, session: 1, timestamp: -1 });
+MessageSchema.index({ tenantId: 1, timestamp: -1 });
+MessageSchema.index({ outboundMessageId: 1 }, { sparse: true });
+
+// Busca textual no histórico, sempre restrita ao tenant
+MessageSchema.index(
+  { tenantId: 1, content: 'text' },
+  { default_language: 'portuguese', name: 'message_content_text' }
+);
+
+// IDs do provedor são únicos por chat (no Telegram a numeração é por conversa)
+MessageSchema.index(
+  { tenantId: 1, phone: 1, providerMessageId: 1 },
+  { unique: true, partialFilterExpression: { providerMessageId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Message', MessageSchema);
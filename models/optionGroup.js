@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Opção do grupo; o _id é referenciado nos itens dos pedidos
+const GroupOptionSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    default: 0
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Grupo de opções definido pelo tenant (massas, adicionais, coberturas, molhos...)
+// e associado aos produtos em Catalog.optionGroups
+const OptionGroupSchema = new Schema({
+  tenantId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Grupo obrigatório exige ao menos uma escolha; nos opcionais o mínimo vale
+  // apenas quando o cliente escolhe alguma opção
+  required: {
+    type: Boolean,
+    default: false
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  options: [GroupOptionSchema],
+  order: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas
+OptionGroupSchema.index({ tenantId: 1 });
+OptionGroupSchema.index({ tenantId: 1, order: 1 });
+
+module.exports = mongoose.model('OptionGroup', OptionGroupSchema);
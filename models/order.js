@@ -2,10 +2,67 @@ const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
 const ItemOptionSchema = new Schema({
+  groupId: {
+    type: Schema.Types.ObjectId,
+    ref: 'OptionGroup'
+  },
+  group: String,
+  optionId: Schema.Types.ObjectId,
+  name: String,
+  price: Number
+}, { _id: false });
+
+// Preços do catálogo no momento do pedido
+const PriceSnapshotSchema = new Schema({
+  basePrice: Number,
+  optionsTotal: Number,
+  unitTotal: Number,
+  // Regra usada quando a pizza tem mais de um sabor (highest ou average)
+  flavorPricing: String,
+  pricedAt: Date
+}, { _id: false });
+
+// Preço enviado pelo cliente que foi substituído pelo do catálogo
+const PriceAdjustmentSchema = new Schema({
+  item: String,
+  field: String,
+  submitted: Number,
+  charged: Number
+}, { _id: false });
+
+// Sabor de uma pizza com vários sabores, com o preço do sabor no tamanho escolhido
+const ItemFlavorSchema = new Schema({
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Catalog'
+  },
   name: String,
   price: Number
 }, { _id: false });
 
+// Produto escolhido em uma vaga de combo
+const ItemComponentSchema = new Schema({
+  slotId: Schema.Types.ObjectId,
+  slot: String,
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Catalog'
+  },
+  name: String,
+  size: String,
+  sizeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ProductOption'
+  },
+  flavors: {
+    type: [ItemFlavorSchema],
+    default: undefined
+  },
+  options: [ItemOptionSchema],
+  // Preço avulso do produto, usado para dividir o preço do combo entre os componentes
+  listPrice: Number
+}, { _id: false });
+
 const OrderItemSchema = new Schema({
   productId: {
     type: Schema.Types.ObjectId,
@@ -13,6 +70,17 @@ const OrderItemSchema = new Schema({
   },
   name: String,
   flavor: String,
+  size: String,
+  sizeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ProductOption'
+  },
+  // Massa dos pedidos anteriores aos grupos de opções (hoje uma opção em options)
+  crustId: Schema.Types.ObjectId,
+  flavors: {
+    type: [ItemFlavorSchema],
+    default: undefined
+  },
   quantity: {
     type: Number,
     required: true,
@@ -22,7 +90,65 @@ const OrderItemSchema = new Schema({
     type: Number,
     required: true
   },
-  options: [ItemOptionSchema]
+  options: [ItemOptionSchema],
+  components: {
+    type: [ItemComponentSchema],
+    default: undefined
+  },
+  priceSnapshot: PriceSnapshotSchema
+}, { _id: false });
+
+// Item como sai para a cozinha e entra nos relatórios: combos viram seus componentes,
+// com o preço do combo dividido entre eles
+const ExpandedItemSchema = new Schema({
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Catalog'
+  },
+  name: String,
+  quantity: Number,
+  unitPrice: Number,
+  options: [ItemOptionSchema],
+  bundleId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Catalog'
+  },
+  bundle: String
+}, { _id: false });
+
+// Endereço estruturado; customer.address guarda o mesmo endereço em uma linha
+const CustomerAddressSchema = new Schema({
+  street: String,
+  number: String,
+  complement: String,
+  neighborhood: String,
+  city: String,
+  state: String,
+  // Apenas os 8 dígitos
+  cep: String,
+  reference: String
+}, { _id: false });
+
+// Zona de entrega que atendeu o endereço do pedido
+const OrderDeliverySchema = new Schema({
+  zoneId: {
+    type: Schema.Types.ObjectId,
+    ref: 'DeliveryZone'
+  },
+  zone: String,
+  estimatedMinutes: Number
+}, { _id: false });
+
+// Desconto da promoção ou cupom aplicado ao pedido
+const OrderDiscountSchema = new Schema({
+  promotionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  code: String,
+  name: String,
+  type: String,
+  amount: Number
 }, { _id: false });
 
 const OrderSchema = new Schema({
@@ -49,9 +175,22 @@ const OrderSchema = new Schema({
       type: String,
       required: true
     },
-    address: String
+    address: String,
+    addressDetails: {
+      type: CustomerAddressSchema,
+      default: undefined
+    },
+    location: {
+      lat: Number,
+      lng: Number
+    }
   },
   items: [OrderItemSchema],
+  // Presente apenas em pedidos com combos
+  expandedItems: {
+    type: [ExpandedItemSchema],
+    default: undefined
+  },
   paymentMethod: {
     type: String,
     enum: ['pix', 'credit-card', 'cash'],
@@ -62,14 +201,26 @@ const OrderSchema = new Schema({
     type: Number,
     default: 0
   },
+  delivery: {
+    type: OrderDeliverySchema,
+    default: undefined
+  },
   subtotal: {
     type: Number,
     required: true
   },
+  discount: {
+    type: OrderDiscountSchema,
+    default: undefined
+  },
   total: {
     type: Number,
     required: true
   },
+  priceAdjustments: {
+    type: [PriceAdjustmentSchema],
+    default: undefined
+  },
   rating: {
     type: Number,
     min: 1,
@@ -86,6 +237,7 @@ OrderSchema.index({ tenantId: 1, status: 1 });
 OrderSchema.index({ tenantId: 1, 'customer.phone': 1 });
 OrderSchema.index({ tenantId: 1, createdAt: -1 });
 OrderSchema.index({ orderNumber: 1 });
+OrderSchema.index({ tenantId: 1, 'discount.promotionId': 1, 'customer.phone': 1 });
 
 // Método para gerar número de pedido
 OrderSchema.statics.generateOrderNumber = async function(tenantId) {
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const OutboundMessageSchema = new Schema({
+  tenantId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  phone: {
+    type: String,
+    required: true
+  },
+  channel: String,
+  content: {
+    type: String,
+    required: true
+  },
+  // Botões de resposta rápida enviados junto com a mensagem
+  buttons: {
+    type: [{
+      _id: false,
+      id: String,
+      title: String
+    }],
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'delivered', 'read', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  lastError: String,
+  providerMessageId: String,
+  sentAt: Date,
+  deliveredAt: Date,
+  readAt: Date,
+  failedAt: Date,
+  deadLettered: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas
+OutboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+OutboundMessageSchema.index({ status: 1, lockedUntil: 1 });
+OutboundMessageSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+OutboundMessageSchema.index({ tenantId: 1, providerMessageId: 1 });
+
+module.exports = mongoose.model('OutboundMessage', OutboundMessageSchema);
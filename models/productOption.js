@@ -7,9 +7,11 @@ const ProductOptionSchema = new Schema({
     ref: 'Tenant',
     required: true
   },
+  // Massas e adicionais agora são grupos de opções (OptionGroup);
+  // os tipos antigos são convertidos por scripts/migrate-option-groups.js
   type: {
     type: String,
-    enum: ['pizza-size', 'pizza-crust', 'burger-addon'],
+    enum: ['pizza-size'],
     required: true
   },
   name: {
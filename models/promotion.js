@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Promoção do tenant: com código é um cupom informado pelo cliente,
+// sem código é aplicada automaticamente aos pedidos que atendem às condições
+const PromotionSchema = new Schema({
+  tenantId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free-delivery', 'buy-x-get-y'],
+    required: true
+  },
+  // Percentual (percentage) ou valor em reais (fixed)
+  value: {
+    type: Number,
+    min: 0
+  },
+  // Leve buyQuantity + getQuantity e pague buyQuantity; as unidades mais baratas saem de graça
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  // Produtos que participam do leve X pague Y (vazio = todos)
+  products: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Catalog'
+  }],
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  startsAt: Date,
+  endsAt: Date,
+  // Limites de uso no total e por cliente (telefone); vazio = sem limite
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  maxUsesPerCustomer: {
+    type: Number,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para melhorar consultas
+PromotionSchema.index({ tenantId: 1, active: 1 });
+PromotionSchema.index(
+  { tenantId: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
@@ -49,6 +49,124 @@ const TenantSchema = new Schema({
         type: Boolean,
         default: false
       }
+    },
+    channel: {
+      provider: {
+        type: String,
+        enum: ['whatsapp', 'telegram', 'webhook', 'mock'],
+        default: 'mock'
+      },
+      whatsapp: {
+        phoneNumberId: String,
+        accessToken: String,
+        appSecret: String,
+        verifyToken: String
+      },
+      telegram: {
+        botToken: String,
+        secretToken: String
+      },
+      webhook: {
+        url: String,
+        secret: String
+      }
+    },
+    conversations: {
+      // Horas sem mensagem do cliente para iniciar uma nova sessão
+      sessionTimeoutHours: {
+        type: Number,
+        min: 1
+      },
+      // Mensagens mais antigas que "days" são arquivadas ou excluídas
+      retention: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        days: {
+          type: Number,
+          min: 1,
+          default: 90
+        },
+        action: {
+          type: String,
+          enum: ['archive', 'purge'],
+          default: 'archive'
+        }
+      }
+    },
+    // Mensagem de recuperação de carrinhos abandonados no fluxo do bot
+    // Desativada até o tenant ativar (envia mensagem sem o cliente pedir)
+    cartRecovery: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      delayMinutes: {
+        type: Number,
+        min: 5,
+        default: 30
+      },
+      message: String
+    },
+    // Classificação de intenções do bot (local ou serviço HTTP externo, ex.: LLM)
+    nlu: {
+      provider: {
+        type: String,
+        enum: ['local', 'http'],
+        default: 'local'
+      },
+      minConfidence: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      http: {
+        url: String,
+        apiKey: String,
+        model: String
+      }
+    },
+    orders: {
+      // Preço enviado diferente do catálogo: rejeitar o pedido ou cobrar o preço do catálogo
+      priceMismatch: {
+        type: String,
+        enum: ['reject', 'override'],
+        default: 'reject'
+      },
+      // Preço da pizza com vários sabores: o do sabor mais caro ou a média dos sabores
+      flavorPricing: {
+        type: String,
+        enum: ['highest', 'average'],
+        default: 'highest'
+      }
+    },
+    // Loja pausada pelo dono: o bot não inicia novos pedidos
+    store: {
+      paused: {
+        type: Boolean,
+        default: false
+      },
+      pausedAt: Date,
+      // Coordenadas da loja, origem das zonas de entrega por raio
+      location: {
+        lat: Number,
+        lng: Number
+      },
+      // Taxa de entrega cobrada enquanto o tenant não tem zonas de entrega cadastradas
+      deliveryFee: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
+    // Templates das notificações de status enviadas ao cliente
+    statusMessages: {
+      confirmed: String,
+      preparing: String,
+      delivering: String,
+      completed: String,
+      cancelled: String
     }
   }
 }, {
@@ -24,6 +24,12 @@ const UserSchema = new Schema({
     type: String,
     required: true
   },
+  // Telefone usado para enviar comandos administrativos pelo chat (só dígitos)
+  // Definido apenas pelo admin do tenant, nunca pelo próprio usuário
+  phone: {
+    type: String,
+    trim: true
+  },
   role: {
     type: String,
     enum: ['admin', 'staff', 'super-admin'],
@@ -40,6 +46,12 @@ const UserSchema = new Schema({
   timestamps: true
 });
 
+// Um telefone identifica um único usuário do tenant nos comandos pelo chat
+UserSchema.index(
+  { tenantId: 1, phone: 1 },
+  { unique: true, partialFilterExpression: { phone: { $type: 'string', $gt: '' } } }
+);
+
 // Método pré-save para hash de senha
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
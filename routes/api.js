@@ -6,8 +6,13 @@ const tenantRoutes = require('./tenant');
 const categoryRoutes = require('./category');
 const catalogRoutes = require('./catalog');
 const productOptionRoutes = require('./productOption');
+const optionGroupRoutes = require('./optionGroup');
+const promotionRoutes = require('./promotion');
+const deliveryZoneRoutes = require('./deliveryZone');
 const orderRoutes = require('./order');
 const conversationRoutes = require('./conversation');
+const webhookRoutes = require('./webhook');
+const eventRoutes = require('./events');
 
 // Mount all routes
 router.use('/auth', authRoutes);
@@ -15,8 +20,13 @@ router.use('/tenants', tenantRoutes);
 router.use('/categories', categoryRoutes);
 router.use('/catalog', catalogRoutes);
 router.use('/options', productOptionRoutes);
+router.use('/option-groups', optionGroupRoutes);
+router.use('/promotions', promotionRoutes);
+router.use('/delivery-zones', deliveryZoneRoutes);
 router.use('/orders', orderRoutes);
 router.use('/conversations', conversationRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/events', eventRoutes);
 
 // API status endpoint
 router.get('/status', (req, res) => {
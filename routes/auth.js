@@ -15,6 +15,14 @@ router.post('/register',
   authController.register
 );
 
+// Definir o telefone de comandos pelo chat de um usuário (apenas admin)
+router.put('/users/:id/phone', 
+  authenticateJwt, 
+  authorize('admin', 'super-admin'), 
+  validate(validators.userPhone), 
+  authController.updateUserPhone
+);
+
 // Obter perfil do usuário autenticado
 router.get('/me', authenticateJwt, authController.getCurrentUser);
 
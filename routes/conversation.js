@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const conversationController = require('../controllers/conversationController');
+const intentController = require('../controllers/intentController');
 const { authenticateJwt, authenticateApiKey, authorize } = require('../middleware/auth');
 const tenantResolver = require('../middleware/tenantResolver');
 const { validate, validators } = require('../utils/validator');
@@ -20,9 +21,27 @@ router.use(authorize('admin', 'staff', 'super-admin'));
 // Obter todas as conversas
 router.get('/', conversationController.getAllConversations);
 
+// Buscar no histórico de mensagens (?q=pizza fria&sender=customer&from=2024-01-01)
+router.get('/search', conversationController.searchMessages);
+
 // Obter conversa por telefone
 router.get('/phone/:phone', conversationController.getConversationByPhone);
 
+// Assumir atendimento (silencia o bot)
+router.post('/phone/:phone/claim', conversationController.claimConversation);
+
+// Devolver conversa para o bot
+router.post('/phone/:phone/release', conversationController.releaseConversation);
+
+// Encerrar atendimento
+router.post('/phone/:phone/close', conversationController.closeConversation);
+
+// Ativar/desativar notificações de pedido do cliente
+router.patch('/phone/:phone/notifications', 
+  validate(validators.notificationPreferences),
+  conversationController.updateNotificationPreferences
+);
+
 // Obter estatísticas de conversas
 router.get('/stats', conversationController.getConversationStats);
 
@@ -32,4 +51,70 @@ router.post('/send/:phone',
   conversationController.sendMessageToPhone
 );
 
+// Obter configurações de sessão, retenção e recuperação de carrinhos
+router.get('/settings', conversationController.getConversationSettings);
+
+// Atualizar configurações de sessão, retenção e recuperação de carrinhos
+router.put('/settings', 
+  authorize('admin', 'super-admin'),
+  validate(validators.conversationSettings),
+  conversationController.updateConversationSettings
+);
+
+// Obter mensagens da fila de saída
+router.get('/outbound', conversationController.getOutboundMessages);
+
+// Reenviar mensagem que falhou
+router.post('/outbound/:id/retry', conversationController.retryOutboundMessage);
+
+// ==== INTENÇÕES DO BOT ====
+
+// Obter intenções
+router.get('/intents', intentController.getIntents);
+
+// Obter configurações do classificador de intenções (NLU)
+router.get('/intents/nlu', intentController.getNluSettings);
+
+// Atualizar configurações do classificador de intenções
+router.put('/intents/nlu', 
+  authorize('admin', 'super-admin'),
+  validate(validators.nluSettings),
+  intentController.updateNluSettings
+);
+
+// Testar a classificação de uma mensagem
+router.post('/intents/classify', 
+  validate(validators.classifyMessage),
+  intentController.classifyMessage
+);
+
+// Obter intenção por ID
+router.get('/intents/:id', intentController.getIntentById);
+
+// Criar intenção
+router.post('/intents', 
+  authorize('admin', 'super-admin'),
+  validate(validators.botIntent),
+  intentController.createIntent
+);
+
+// Atualizar intenção
+router.put('/intents/:id', 
+  authorize('admin', 'super-admin'),
+  validate(validators.botIntent),
+  intentController.updateIntent
+);
+
+// Ativar/desativar intenção
+router.patch('/intents/:id/toggle-status', 
+  authorize('admin', 'super-admin'),
+  intentController.toggleIntentStatus
+);
+
+// Excluir intenção
+router.delete('/intents/:id', 
+  authorize('admin', 'super-admin'),
+  intentController.deleteIntent
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const deliveryZoneController = require('../controllers/deliveryZoneController');
+const { authenticateJwt, authorize } = require('../middleware/auth');
+const { validate, validators } = require('../utils/validator');
+
+// Rotas administrativas (com autenticação JWT)
+// Para os clientes, a taxa é calculada em /orders/:tenantId/delivery-quote e na criação do pedido
+router.use(authenticateJwt);
+router.use(authorize('admin', 'super-admin'));
+
+// Obter todas as zonas de entrega
+router.get('/', deliveryZoneController.getAllZones);
+
+// Definir a localização da loja
+router.put('/origin', 
+  validate(validators.storeLocation),
+  deliveryZoneController.updateOrigin
+);
+
+// Obter zona por ID
+router.get('/:id', deliveryZoneController.getZoneById);
+
+// Criar nova zona
+router.post('/', 
+  validate(validators.deliveryZone),
+  deliveryZoneController.createZone
+);
+
+// Atualizar zona
+router.put('/:id', 
+  validate(validators.deliveryZone),
+  deliveryZoneController.updateZone
+);
+
+// Ativar/desativar zona
+router.patch('/:id/toggle-status', deliveryZoneController.toggleZoneStatus);
+
+// Excluir zona
+router.delete('/:id', deliveryZoneController.deleteZone);
+
+module.exports = router;
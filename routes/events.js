@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { authenticateJwt, authenticateStreamToken, authorize } = require('../middleware/auth');
+
+// Token de curta duração para abrir o stream (o JWT de login não vai na URL)
+router.post('/token', 
+  authenticateJwt,
+  authorize('admin', 'staff', 'super-admin'),
+  eventController.createStreamToken
+);
+
+// Stream de eventos em tempo real para o painel administrativo
+// EventSource não envia headers, então o token de stream vai em ?token=
+// Ao reconectar com o token expirado, o painel pede um novo token
+router.get('/stream', 
+  authenticateStreamToken,
+  authorize('admin', 'staff', 'super-admin'),
+  eventController.stream
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const optionGroupController = require('../controllers/optionGroupController');
+const { authenticateJwt, authorize } = require('../middleware/auth');
+const { validate, validators } = require('../utils/validator');
+
+// Rotas administrativas (com autenticação JWT)
+// Para os clientes, os grupos são retornados junto com o produto (/catalog/:tenantId/product/:productId)
+router.use(authenticateJwt);
+router.use(authorize('admin', 'super-admin'));
+
+// Obter todos os grupos de opções
+router.get('/', optionGroupController.getAllGroups);
+
+// Obter grupo por ID
+router.get('/:id', optionGroupController.getGroupById);
+
+// Criar novo grupo
+router.post('/', 
+  validate(validators.optionGroup),
+  optionGroupController.createGroup
+);
+
+// Atualizar grupo
+router.put('/:id', 
+  validate(validators.optionGroup),
+  optionGroupController.updateGroup
+);
+
+// Ativar/desativar grupo
+router.patch('/:id/toggle-status', optionGroupController.toggleGroupStatus);
+
+// Excluir grupo
+router.delete('/:id', optionGroupController.deleteGroup);
+
+module.exports = router;
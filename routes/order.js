@@ -13,6 +13,21 @@ router.post('/:tenantId',
   orderController.createOrder
 );
 
+// Calcular a taxa de entrega de um endereço antes do pedido
+router.post('/:tenantId/delivery-quote', 
+  authenticateApiKey,
+  tenantResolver,
+  validate(validators.deliveryQuote),
+  orderController.quoteDelivery
+);
+
+// Consultar o endereço de um CEP para preencher o endereço de entrega
+router.get('/:tenantId/cep/:cep', 
+  authenticateApiKey,
+  tenantResolver,
+  orderController.lookupCep
+);
+
 router.get('/:tenantId/status/:orderNumber', 
   authenticateApiKey,
   tenantResolver,
@@ -32,6 +47,22 @@ router.use(authorize('admin', 'staff', 'super-admin'));
 // Obter todos os pedidos
 router.get('/', orderController.getAllOrders);
 
+// Obter templates das notificações de status
+router.get('/status-templates', orderController.getStatusTemplates);
+
+// Atualizar templates das notificações de status
+router.put('/status-templates', 
+  authorize('admin', 'super-admin'),
+  validate(validators.statusMessages),
+  orderController.updateStatusTemplates
+);
+
+// Interpretar pedido escrito em texto livre
+router.post('/drafts/parse', 
+  validate(validators.orderText),
+  orderController.parseOrderText
+);
+
 // Obter pedido por ID
 router.get('/:id', orderController.getOrderById);
 
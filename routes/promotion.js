@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { authenticateJwt, authorize } = require('../middleware/auth');
+const { validate, validators } = require('../utils/validator');
+
+// Rotas administrativas (com autenticação JWT)
+// Os cupons são informados pelos clientes no pedido (couponCode)
+router.use(authenticateJwt);
+router.use(authorize('admin', 'super-admin'));
+
+// Obter todas as promoções
+router.get('/', promotionController.getAllPromotions);
+
+// Obter promoção por ID
+router.get('/:id', promotionController.getPromotionById);
+
+// Criar nova promoção
+router.post('/', 
+  validate(validators.promotion),
+  promotionController.createPromotion
+);
+
+// Atualizar promoção
+router.put('/:id', 
+  validate(validators.promotion),
+  promotionController.updatePromotion
+);
+
+// Ativar/desativar promoção
+router.patch('/:id/toggle-status', promotionController.togglePromotionStatus);
+
+// Excluir promoção
+router.delete('/:id', promotionController.deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const tenantResolver = require('../middleware/tenantResolver');
+
+// Rotas públicas chamadas pelos provedores de mensagens
+// A autenticação é feita pela assinatura/token de cada provedor
+
+// Verificação do webhook do WhatsApp
+router.get('/whatsapp/:tenantId', 
+  tenantResolver,
+  webhookController.verifyWhatsapp
+);
+
+// Mensagens recebidas pelo WhatsApp
+router.post('/whatsapp/:tenantId', 
+  tenantResolver,
+  webhookController.receiveWhatsapp
+);
+
+// Mensagens recebidas pelo Telegram
+router.post('/telegram/:tenantId', 
+  tenantResolver,
+  webhookController.receiveTelegram
+);
+
+module.exports = router;
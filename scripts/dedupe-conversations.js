@@ -0,0 +1,103 @@
+/**
+ * dedupe-conversations.js - Junta as conversas duplicadas de um mesmo telefone
+ * e cria o índice único { tenantId, phone }
+ *
+ * Execute uma vez após a atualização, antes de subir a API:
+ * node scripts/dedupe-conversations.js [--dry-run]
+ *
+ * Upserts simultâneos podiam criar mais de uma conversa para o mesmo telefone.
+ * Fica a conversa atualizada por último (estado do diálogo, sessão e atendimento
+ * atuais); as mensagens das demais passam para ela antes de serem removidas.
+ * O script pode ser executado novamente com segurança.
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Junta as duplicadas de um telefone na conversa mantida
+const mergeGroup = async (group) => {
+  // Ler direto da coleção: o índice único ainda não existe
+  const conversations = await Conversation.collection
+    .find({ _id: { $in: group.ids } })
+    .sort({ updatedAt: -1, _id: -1 })
+    .toArray();
+
+  const [kept, ...duplicates] = conversations;
+  const duplicateIds = duplicates.map(conversation => conversation._id);
+
+  if (dryRun || duplicateIds.length === 0) {
+    return duplicateIds.length;
+  }
+
+  await Message.collection.updateMany(
+    { conversationId: { $in: duplicateIds } },
+    { $set: { conversationId: kept._id } }
+  );
+
+  // Última mensagem entre todas e opt-out de notificações de qualquer uma delas
+  const lastMessageAt = conversations
+    .map(conversation => conversation.lastMessageAt)
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0];
+  const optedOut = conversations.find(conversation => conversation.notificationsOptOut);
+
+  const update = {};
+
+  if (lastMessageAt) {
+    update.lastMessageAt = lastMessageAt;
+  }
+
+  if (optedOut && !kept.notificationsOptOut) {
+    update.notificationsOptOut = true;
+    update.notificationsOptOutAt = optedOut.notificationsOptOutAt || new Date();
+  }
+
+  if (Object.keys(update).length > 0) {
+    await Conversation.collection.updateOne({ _id: kept._id }, { $set: update });
+  }
+
+  await Conversation.collection.deleteMany({ _id: { $in: duplicateIds } });
+
+  return duplicateIds.length;
+};
+
+const dedupe = async () => {
+  await mongoose.connect(config.mongodb.uri);
+  console.log(`MongoDB conectado${dryRun ? ' (simulação, nada será gravado)' : ''}`);
+
+  const cursor = Conversation.collection.aggregate([
+    { $group: { _id: { tenantId: '$tenantId', phone: '$phone' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ], { allowDiskUse: true });
+
+  let phones = 0;
+  let removed = 0;
+
+  for await (const group of cursor) {
+    removed += await mergeGroup(group);
+    phones++;
+
+    if (phones % 100 === 0) {
+      console.log(`${phones} telefones processados...`);
+    }
+  }
+
+  console.log(`${phones} telefones com conversas duplicadas, ${removed} conversas ${dryRun ? 'a remover' : 'removidas'}`);
+
+  if (!dryRun) {
+    // Troca o índice antigo { tenantId, phone } pelo índice único do schema
+    await Conversation.syncIndexes();
+    console.log('Índices da coleção de conversas atualizados');
+  }
+};
+
+dedupe()
+  .catch(error => {
+    console.error('Erro ao remover conversas duplicadas:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,128 @@
+/**
+ * migrate-messages.js - Move as mensagens embutidas em Conversation.messages
+ * para a coleção Message
+ *
+ * Execute uma vez após a atualização:
+ * node scripts/migrate-messages.js [--dry-run]
+ *
+ * O script pode ser executado novamente com segurança: mensagens já copiadas
+ * não são duplicadas e o array só é removido depois da cópia.
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Mensagens enviadas pelo painel antes do campo sender tinham o prefixo "[ADMIN: nome]"
+const ADMIN_PREFIX = /^\[ADMIN: ([^\]]*)\] ?/;
+
+// Converte uma mensagem embutida no documento da coleção Message
+const toMessage = (conversation, embedded) => {
+  const message = {
+    ...embedded,
+    tenantId: conversation.tenantId,
+    phone: conversation.phone,
+    conversationId: conversation._id
+  };
+
+  if (!message.sender || !message.sender.type) {
+    const admin = typeof message.content === 'string' && message.content.match(ADMIN_PREFIX);
+
+    if (admin) {
+      message.sender = { type: 'staff', name: admin[1] };
+      message.content = message.content.replace(ADMIN_PREFIX, '');
+    } else {
+      message.sender = { type: message.isFromBot ? 'bot' : 'customer' };
+    }
+  }
+
+  return message;
+};
+
+// Chave usada para reconhecer mensagens copiadas em uma execução interrompida
+const messageKey = (message) => {
+  return [
+    new Date(message.timestamp).getTime(),
+    message.sender.type,
+    message.content
+  ].join('|');
+};
+
+// Copia as mensagens de uma conversa e remove o array embutido
+const migrateConversation = async (conversation) => {
+  const messages = conversation.messages.map(embedded => toMessage(conversation, embedded));
+
+  // Ignorar mensagens que já estão na coleção
+  const existing = await Message.find(
+    { conversationId: conversation._id },
+    { timestamp: 1, 'sender.type': 1, content: 1 }
+  ).lean();
+  const existingKeys = new Set(existing.map(messageKey));
+  const pending = messages.filter(message => !existingKeys.has(messageKey(message)));
+
+  if (dryRun) {
+    return pending.length;
+  }
+
+  if (pending.length > 0) {
+    try {
+      await Message.insertMany(pending, { ordered: false });
+    } catch (error) {
+      // Mensagens com providerMessageId repetido já foram registradas
+      const writeErrors = error.writeErrors || [];
+      const onlyDuplicates = writeErrors.length > 0 &&
+        writeErrors.every(writeError => writeError.code === 11000);
+
+      if (!onlyDuplicates) {
+        throw error;
+      }
+    }
+  }
+
+  const last = messages[messages.length - 1];
+
+  await Conversation.collection.updateOne(
+    { _id: conversation._id },
+    {
+      $unset: { messages: '' },
+      $set: { lastMessageAt: last ? new Date(last.timestamp) : conversation.updatedAt }
+    }
+  );
+
+  return pending.length;
+};
+
+const migrate = async () => {
+  await mongoose.connect(config.mongodb.uri);
+  console.log(`MongoDB conectado${dryRun ? ' (simulação, nada será gravado)' : ''}`);
+
+  // Ler direto da coleção: o schema atual não possui mais o campo messages
+  const cursor = Conversation.collection.find(
+    { messages: { $exists: true } },
+    { projection: { tenantId: 1, phone: 1, messages: 1, updatedAt: 1 } }
+  );
+
+  let conversations = 0;
+  let messages = 0;
+
+  for await (const conversation of cursor) {
+    messages += await migrateConversation(conversation);
+    conversations++;
+
+    if (conversations % 100 === 0) {
+      console.log(`${conversations} conversas processadas...`);
+    }
+  }
+
+  console.log(`Migração concluída: ${conversations} conversas, ${messages} mensagens ${dryRun ? 'a copiar' : 'copiadas'}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Erro durante a migração das mensagens:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
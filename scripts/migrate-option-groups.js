@@ -0,0 +1,110 @@
+/**
+ * migrate-option-groups.js - Converte as massas (pizza-crust) e os adicionais
+ * (burger-addon) de ProductOption em grupos de opções (OptionGroup) e associa
+ * os grupos às pizzas e aos hambúrgueres de cada tenant
+ *
+ * Execute uma vez após a atualização:
+ * node scripts/migrate-option-groups.js [--dry-run]
+ *
+ * As opções mantêm o _id original, então o crustId dos pedidos antigos continua
+ * válido. O script pode ser executado novamente com segurança: opções já
+ * convertidas não são duplicadas e só são removidas de ProductOption depois da cópia.
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const ProductOption = require('../models/productOption');
+const OptionGroup = require('../models/optionGroup');
+const Catalog = require('../models/catalog');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Grupo criado para cada tipo antigo e produtos que passam a oferecê-lo
+const LEGACY_TYPES = {
+  'pizza-crust': { name: 'Massa', productType: 'pizza', maxSelections: () => 1 },
+  'burger-addon': { name: 'Adicionais', productType: 'hamburger', maxSelections: (count) => count }
+};
+
+// Converte as opções de um tipo antigo de um tenant
+const migrateType = async (tenantId, type) => {
+  const legacy = LEGACY_TYPES[type];
+
+  // Ler direto da coleção: o schema atual aceita apenas pizza-size
+  const options = await ProductOption.collection
+    .find({ tenantId, type })
+    .sort({ order: 1, name: 1 })
+    .toArray();
+
+  if (options.length === 0) {
+    return 0;
+  }
+
+  const group = await OptionGroup.findOne({ tenantId, name: legacy.name }) || new OptionGroup({
+    tenantId,
+    name: legacy.name,
+    required: false,
+    minSelections: 0
+  });
+
+  const existingIds = new Set(group.options.map(option => String(option._id)));
+  const pending = options.filter(option => !existingIds.has(String(option._id)));
+
+  pending.forEach(option => {
+    group.options.push({
+      _id: option._id,
+      name: option.name,
+      description: option.description,
+      price: option.price || 0,
+      order: option.order || 0,
+      active: option.active !== false
+    });
+  });
+
+  group.maxSelections = Math.max(group.maxSelections || 1, legacy.maxSelections(group.options.length));
+
+  if (dryRun) {
+    return pending.length;
+  }
+
+  await group.save();
+
+  await Catalog.updateMany(
+    { tenantId, productType: legacy.productType },
+    { $addToSet: { optionGroups: group._id } }
+  );
+
+  await ProductOption.collection.deleteMany({ _id: { $in: options.map(option => option._id) } });
+
+  return pending.length;
+};
+
+const migrate = async () => {
+  await mongoose.connect(config.mongodb.uri);
+  console.log(`MongoDB conectado${dryRun ? ' (simulação, nada será gravado)' : ''}`);
+
+  const types = Object.keys(LEGACY_TYPES);
+  const tenantIds = await ProductOption.collection.distinct('tenantId', { type: { $in: types } });
+
+  let converted = 0;
+
+  for (const tenantId of tenantIds) {
+    for (const type of types) {
+      const count = await migrateType(tenantId, type);
+
+      if (count > 0) {
+        console.log(`Tenant ${tenantId}: ${count} opções ${type} ${dryRun ? 'a converter' : 'convertidas'}`);
+      }
+
+      converted += count;
+    }
+  }
+
+  console.log(`Migração concluída: ${tenantIds.length} tenants, ${converted} opções ${dryRun ? 'a converter' : 'convertidas'}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Erro durante a migração dos grupos de opções:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
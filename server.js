@@ -14,6 +14,10 @@ const config = require('./config/config');
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
+const scheduler = require('./utils/scheduler');
+const messageQueueService = require('./services/messageQueueService');
+const retentionService = require('./services/retentionService');
+const cartRecoveryService = require('./services/cartRecoveryService');
 
 // Create Express app
 const app = express();
@@ -24,7 +28,12 @@ connectDB();
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Mantém o corpo original para validar assinaturas de webhooks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: false }));
 
 // Logging middleware
@@ -32,6 +41,19 @@ if (config.env === 'development') {
   app.use(morgan('dev'));
 }
 
+// Webhooks dos provedores de mensagens (fora do rate limiting da API)
+app.use('/api/webhooks', require('./routes/webhook'));
+
+// Stream de eventos do painel, com limite próprio: a conexão fica aberta e o
+// EventSource reconecta sozinho, o que não deve consumir o limite geral da API
+const eventsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300,
+  message: { error: 'Muitas requisições, tente novamente mais tarde.' }
+});
+
+app.use('/api/events', eventsLimiter, require('./routes/events'));
+
 // Rate limiting
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -48,6 +70,9 @@ app.use('/api/tenants', require('./routes/tenant'));
 app.use('/api/categories', require('./routes/category'));
 app.use('/api/catalog', require('./routes/catalog'));
 app.use('/api/options', require('./routes/productOption'));
+app.use('/api/option-groups', require('./routes/optionGroup'));
+app.use('/api/promotions', require('./routes/promotion'));
+app.use('/api/delivery-zones', require('./routes/deliveryZone'));
 app.use('/api/orders', require('./routes/order'));
 app.use('/api/conversations', require('./routes/conversation'));
 
@@ -69,6 +94,11 @@ app.listen(PORT, config.host, () => {
   logger.info(`Servidor rodando em ${config.env} na porta ${PORT}`);
 });
 
+// Background jobs
+scheduler.every('outbound-queue', config.queue.interval, () => messageQueueService.processQueue());
+scheduler.every('message-retention', config.conversations.retentionInterval, () => retentionService.enforceAll());
+scheduler.every('cart-recovery', config.carts.interval, () => cartRecoveryService.detectAbandoned());
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error('Unhandled Rejection:', err);
@@ -0,0 +1,109 @@
+const cep = require('./cep');
+const logger = require('../utils/logger');
+
+// "01310100" -> "01310-100"
+const formatCep = (digits) => `${digits.slice(0, 5)}-${digits.slice(5)}`;
+
+const addressError = (message) => ({
+  type: 'validation',
+  message,
+  details: ['customer.address']
+});
+
+// Campos do endereço estruturado, na ordem em que são guardados
+const FIELDS = ['street', 'number', 'complement', 'neighborhood', 'city', 'state', 'cep', 'reference'];
+
+/**
+ * Serviço de endereços de entrega: texto livre (formato antigo) ou estruturado,
+ * completado pela consulta do CEP
+ */
+const addressService = {
+  /**
+   * Monta o endereço em uma linha
+   * Ex.: "Avenida Paulista, 1000 - Apto 12 - Bela Vista, São Paulo/SP - CEP 01310-100"
+   * @param {Object} details - Endereço estruturado
+   * @returns {string} Endereço em texto
+   */
+  format: (details) => {
+    const street = [details.street, details.number].filter(Boolean).join(', ');
+    const place = [street, details.complement, details.neighborhood].filter(Boolean).join(' - ');
+    const city = [details.city, details.state].filter(Boolean).join('/');
+
+    let text = city ? `${place}, ${city}` : place;
+
+    if (details.cep) {
+      text += ` - CEP ${formatCep(details.cep)}`;
+    }
+
+    if (details.reference) {
+      text += ` (Referência: ${details.reference})`;
+    }
+
+    return text;
+  },
+
+  /**
+   * Normaliza o endereço do pedido
+   * No estruturado, rua, bairro, cidade e estado não informados vêm da consulta do CEP
+   * @param {string|Object} address - Endereço em texto ou estruturado (street, number, complement,
+   *   neighborhood, city, state, cep, reference, lat, lng)
+   * @returns {Promise<Object>} text (endereço em uma linha), details (só no estruturado) e location ({ lat, lng })
+   */
+  resolve: async (address) => {
+    if (!address || typeof address === 'string') {
+      return { text: address ? address.trim() : address };
+    }
+
+    const digits = address.cep ? cep.normalizeCep(address.cep) : null;
+
+    if (address.cep && !digits) {
+      throw addressError('CEP inválido');
+    }
+
+    let found = null;
+
+    if (digits) {
+      try {
+        found = await cep.lookup(digits);
+      } catch (error) {
+        // Sem a consulta, vale o que o cliente informou
+        logger.warn(`Falha na consulta do CEP ${digits}: ${error.message}`);
+      }
+
+      if (!found && !address.street) {
+        throw addressError(`CEP ${formatCep(digits)} não encontrado. Informe o endereço completo`);
+      }
+    }
+
+    const details = {};
+
+    FIELDS.forEach(field => {
+      const value = address[field] || (found && found[field]);
+
+      if (value) {
+        details[field] = value;
+      }
+    });
+
+    if (digits) {
+      details.cep = digits;
+    }
+
+    // CEPs gerais da cidade não indicam a rua
+    if (!details.street) {
+      throw addressError('Informe a rua do endereço');
+    }
+
+    const location = address.lat !== undefined && address.lng !== undefined
+      ? { lat: address.lat, lng: address.lng }
+      : (found && found.location) || undefined;
+
+    return {
+      text: addressService.format(details),
+      details,
+      location
+    };
+  }
+};
+
+module.exports = addressService;
@@ -0,0 +1,269 @@
+const Order = require('../models/order');
+const Tenant = require('../models/tenant');
+const User = require('../models/user');
+const orderService = require('./orderService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+// Comandos aceitos pelo chat e perfis autorizados a usá-los
+const COMMANDS = [
+  { name: 'view', pattern: /^ver\s+(\S+)$/i, roles: ['admin', 'staff'], usage: 'ver <pedido> - detalhes do pedido' },
+  { name: 'confirm', pattern: /^confirmar\s+(\S+)$/i, roles: ['admin', 'staff'], usage: 'confirmar <pedido> - confirma o pedido' },
+  { name: 'cancel', pattern: /^cancelar\s+(\S+)$/i, roles: ['admin', 'staff'], usage: 'cancelar <pedido> - cancela o pedido' },
+  { name: 'today', pattern: /^pedidos\s+(?:de\s+)?hoje$/i, roles: ['admin', 'staff'], usage: 'pedidos hoje - resumo do dia' },
+  { name: 'pause', pattern: /^pausar\s+loja$/i, roles: ['admin'], usage: 'pausar loja - deixa de aceitar pedidos' },
+  { name: 'resume', pattern: /^(?:abrir|retomar)\s+loja$/i, roles: ['admin'], usage: 'abrir loja - volta a aceitar pedidos' },
+  { name: 'help', pattern: /^comandos$/i, roles: ['admin', 'staff'], usage: 'comandos - esta lista' }
+];
+
+const PAYMENT_LABELS = {
+  'pix': 'PIX',
+  'credit-card': 'Cartão de crédito',
+  'cash': 'Dinheiro'
+};
+
+// Pedidos que ainda exigem ação da loja
+const OPEN_STATUSES = ['pending', 'confirmed', 'preparing', 'delivering'];
+
+// Compara telefones ignorando formatação (+55 (11) 9999-9999 == 5511999999999)
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+// Aceita o número completo (ORD-20240101-001) ou só a sequência do dia (1, 001)
+const toOrderNumber = (value) => {
+  if (/^\d+$/.test(value)) {
+    const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
+    return `ORD-${dateStr}-${value.padStart(3, '0')}`;
+  }
+
+  return value.toUpperCase();
+};
+
+const formatPrice = (value) => `R$ ${value.toFixed(2)}`;
+
+const statusLabel = (status) => notificationService.STATUS_LABELS[status] || status;
+
+const describeOrder = (order) => {
+  const items = orderService.getKitchenItems(order)
+    .map(item => {
+      const options = item.options && item.options.length > 0
+        ? ` (${item.options.map(opt => opt.name).join(', ')})`
+        : '';
+      const bundle = item.bundle ? ` [${item.bundle}]` : '';
+      return `${item.quantity}x ${item.name}${options}${bundle}`;
+    })
+    .join('\n');
+
+  return `📦 Pedido ${order.orderNumber}
+Status: ${statusLabel(order.status)}
+Cliente: ${order.customer.name} (${order.customer.phone})
+Endereço: ${order.customer.address || '-'}
+
+${items}
+${order.discount ? `\nDesconto (${order.discount.name}): -${formatPrice(order.discount.amount)}` : ''}
+Total: ${formatPrice(order.total)}
+Pagamento: ${PAYMENT_LABELS[order.paymentMethod] || order.paymentMethod}${order.changeFor ? ` (troco para ${formatPrice(order.changeFor)})` : ''}${order.notes ? `\nObservações: ${order.notes}` : ''}`;
+};
+
+const findOrder = async (tenantId, value) => {
+  const orderNumber = toOrderNumber(value);
+  const order = await Order.findOne({ tenantId, orderNumber });
+
+  if (!order) {
+    throw { type: 'not-found', message: `Pedido ${orderNumber} não encontrado` };
+  }
+
+  return order;
+};
+
+// Execução de cada comando
+const handlers = {
+  view: async (tenant, admin, value) => {
+    return describeOrder(await findOrder(tenant._id, value));
+  },
+
+  confirm: async (tenant, admin, value) => {
+    const order = await findOrder(tenant._id, value);
+    await orderService.updateOrderStatus(tenant._id, order._id, 'confirmed');
+
+    logger.info(`Pedido ${order.orderNumber} confirmado pelo chat por ${admin.name}`);
+
+    return `✅ Pedido ${order.orderNumber} confirmado. O cliente foi avisado.`;
+  },
+
+  cancel: async (tenant, admin, value) => {
+    const order = await findOrder(tenant._id, value);
+    await orderService.updateOrderStatus(tenant._id, order._id, 'cancelled');
+
+    logger.info(`Pedido ${order.orderNumber} cancelado pelo chat por ${admin.name}`);
+
+    return `❌ Pedido ${order.orderNumber} cancelado. O cliente foi avisado.`;
+  },
+
+  today: async (tenant) => {
+    const startDate = new Date();
+    startDate.setHours(0, 0, 0, 0);
+
+    const [stats, openOrders] = await Promise.all([
+      orderService.getOrderStatistics(tenant._id, startDate, new Date()),
+      Order.find(
+        { tenantId: tenant._id, createdAt: { $gte: startDate }, status: { $in: OPEN_STATUSES } },
+        { orderNumber: 1, status: 1, total: 1, 'customer.name': 1 }
+      ).sort({ createdAt: 1 })
+    ]);
+
+    if (stats.totalOrders === 0) {
+      return 'Nenhum pedido hoje até agora.';
+    }
+
+    const byStatus = Object.keys(stats.byStatus)
+      .map(status => `${statusLabel(status)}: ${stats.byStatus[status].count}`)
+      .join('\n');
+
+    const open = openOrders.length > 0
+      ? `\n\nEm aberto:\n${openOrders
+        .map(order => `${order.orderNumber} - ${order.customer.name} - ${formatPrice(order.total)} (${statusLabel(order.status)})`)
+        .join('\n')}`
+      : '';
+
+    return `📊 Pedidos de hoje: ${stats.totalOrders}
+Vendas: ${formatPrice(stats.totalSales)}
+
+${byStatus}${open}`;
+  },
+
+  pause: async (tenant, admin) => {
+    await adminCommandService.setStorePaused(tenant._id, true);
+
+    logger.info(`Loja do tenant ${tenant._id} pausada pelo chat por ${admin.name}`);
+
+    return '⏸️ Loja pausada. O bot não aceitará novos pedidos até você digitar "abrir loja".';
+  },
+
+  resume: async (tenant, admin) => {
+    await adminCommandService.setStorePaused(tenant._id, false);
+
+    logger.info(`Loja do tenant ${tenant._id} reaberta pelo chat por ${admin.name}`);
+
+    return '▶️ Loja aberta. O bot voltou a aceitar pedidos.';
+  },
+
+  help: async (tenant, admin) => {
+    const available = COMMANDS
+      .filter(command => command.roles.includes(admin.role))
+      .map(command => command.usage)
+      .join('\n');
+
+    return `Comandos disponíveis:\n${available}`;
+  }
+};
+
+/**
+ * Serviço dos comandos administrativos enviados pelo chat
+ * O dono da loja (telefone de contato do tenant) e a equipe com telefone
+ * cadastrado podem consultar e atualizar pedidos pelo próprio WhatsApp/Telegram
+ */
+const adminCommandService = {
+  /**
+   * Identifica se o telefone pertence ao dono da loja ou a um usuário da equipe
+   * @param {Object} tenant - Tenant
+   * @param {string} phone - Número de telefone (ou chat id) de origem
+   * @returns {Promise<Object|null>} Remetente ({ role, name, userId }) ou null
+   */
+  identify: async (tenant, phone) => {
+    const normalized = normalizePhone(phone);
+
+    if (!normalized) {
+      return null;
+    }
+
+    if (normalizePhone(tenant.contact.phone) === normalized) {
+      return { role: 'admin', name: tenant.name };
+    }
+
+    const users = await User.find(
+      { tenantId: tenant._id, active: true, phone: { $exists: true, $ne: '' } },
+      { name: 1, role: 1, phone: 1 }
+    );
+    const user = users.find(candidate => normalizePhone(candidate.phone) === normalized);
+
+    if (!user) {
+      return null;
+    }
+
+    // Super-admin tem as mesmas permissões do admin da loja
+    return {
+      role: user.role === 'staff' ? 'staff' : 'admin',
+      name: user.name,
+      userId: user._id
+    };
+  },
+
+  /**
+   * Reconhece um comando administrativo na mensagem
+   * @param {string} message - Mensagem recebida
+   * @returns {Object|null} Comando ({ name, roles, argument }) ou null
+   */
+  parse: (message) => {
+    const text = String(message || '').trim();
+
+    for (const command of COMMANDS) {
+      const match = text.match(command.pattern);
+
+      if (match) {
+        return { name: command.name, roles: command.roles, argument: match[1] };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Executa um comando administrativo
+   * Mensagens que não são comandos retornam null e seguem para o bot
+   * @param {Object} tenant - Tenant
+   * @param {Object} admin - Remetente identificado por identify()
+   * @param {string} message - Mensagem recebida
+   * @returns {Promise<string|null>} Resposta do comando
+   */
+  execute: async (tenant, admin, message) => {
+    const command = adminCommandService.parse(message);
+
+    if (!command) {
+      return null;
+    }
+
+    if (!command.roles.includes(admin.role)) {
+      return 'Você não tem permissão para executar este comando.';
+    }
+
+    try {
+      return await handlers[command.name](tenant, admin, command.argument);
+    } catch (error) {
+      if (error.type === 'not-found' || error.type === 'validation') {
+        return `⚠️ ${error.message}`;
+      }
+
+      throw error;
+    }
+  },
+
+  /**
+   * Pausa ou reabre a loja para novos pedidos
+   * @param {string} tenantId - ID do tenant
+   * @param {boolean} paused - true para deixar de aceitar pedidos
+   * @returns {Promise<Object>} Resultado da atualização
+   */
+  setStorePaused: (tenantId, paused) => {
+    return Tenant.updateOne(
+      { _id: tenantId },
+      {
+        $set: {
+          'settings.store.paused': paused,
+          'settings.store.pausedAt': paused ? new Date() : null
+        }
+      }
+    );
+  }
+};
+
+module.exports = adminCommandService;
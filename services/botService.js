@@ -1,7 +1,18 @@
 const Conversation = require('../models/conversation');
 const Tenant = require('../models/tenant');
+const orderFlowService = require('./orderFlowService');
+const intentService = require('./intentService');
+const messageQueueService = require('./messageQueueService');
+const notificationService = require('./notificationService');
+const cartService = require('./cartService');
+const orderService = require('./orderService');
+const adminCommandService = require('./adminCommandService');
+const nlu = require('./nlu');
+const orderParserService = require('./orderParserService');
 const logger = require('../utils/logger');
-const axios = require('axios'); // Você precisará adicionar esta dependência
+const eventBus = require('../utils/eventBus');
+
+const STORE_PAUSED_MESSAGE = 'No momento não estamos recebendo pedidos. Por favor, tente novamente mais tarde.';
 
 /**
  * Serviço para gerenciamento do bot
@@ -12,30 +23,126 @@ const botService = {
    * @param {string} tenantId - ID do tenant
    * @param {string} phone - Número de telefone do cliente
    * @param {string} message - Mensagem recebida
+   * @param {Object} options - Opções adicionais
+   * @param {boolean} options.trusted - Telefone confirmado pelo provedor do canal; só então
+   *   o remetente pode ser identificado como dono da loja ou equipe
    * @returns {Promise<string>} Resposta do bot
    */
-  processMessage: async (tenantId, phone, message) => {
+  processMessage: async (tenantId, phone, message, options = {}) => {
     try {
       logger.info(`Processando mensagem para tenant ${tenantId}, telefone ${phone}`);
       
-      // Aqui você implementaria a lógica de processamento da mensagem
-      // Poderia ser integração com ChatGPT, DialogFlow, ou outro serviço
+      const [tenant, intents, state] = await Promise.all([
+        Tenant.findById(tenantId),
+        intentService.getIntents(tenantId),
+        Conversation.getState(tenantId, phone)
+      ]);
       
-      // Exemplo simples com respostas pré-definidas
-      let response = '';
+      if (!tenant) {
+        throw new Error(`Tenant ${tenantId} não encontrado`);
+      }
+      
+      // Mensagens do dono da loja ou da equipe podem ser comandos administrativos
+      // Na API o telefone é informado pelo chamador, então não identifica ninguém
+      const admin = options.trusted ? await adminCommandService.identify(tenant, phone) : null;
+      
+      if (admin) {
+        const commandResponse = await adminCommandService.execute(tenant, admin, message);
+        
+        if (commandResponse) {
+          return commandResponse;
+        }
+      }
       
-      const lowerMessage = message.toLowerCase();
+      const storePaused = Boolean(tenant.settings.store && tenant.settings.store.paused);
+      const flowActive = orderFlowService.isActive(state);
+      
+      // Resolver a intenção com o provedor de NLU do tenant (local ou serviço externo)
+      // Durante um pedido só interessa o pedido de atendimento humano, verificado localmente
+      const classification = flowActive
+        ? await nlu.classify(tenant, message, intents.filter(intent => intent.action === 'handoff'), { provider: 'local' })
+        : await nlu.classify(tenant, message, intents);
+      const matchedIntent = classification.intent;
+      const isHandoff = matchedIntent && matchedIntent.action === 'handoff';
+      
+      // Se houver um pedido em andamento, a mensagem pertence ao fluxo
+      // (exceto o pedido de atendimento humano, aceito em qualquer etapa)
+      if (!isHandoff && flowActive) {
+        const result = await orderFlowService.handleMessage(tenantId, phone, state, message);
+        await Conversation.setState(tenantId, phone, result.state);
+        await cartService.track(tenantId, phone, result.state, orderFlowService.getCart(result.state), result.order);
+        
+        if (result.order) {
+          await botService.notifyNewOrder(tenantId, result.order);
+        }
+        
+        return result.response;
+      }
+      
+      // Retomada de um carrinho cujo diálogo já foi reiniciado (ex.: nova sessão)
+      if (!isHandoff && orderFlowService.isResumeRequest(message)) {
+        const cart = await cartService.getResumable(tenantId, phone);
+        
+        if (cart && orderFlowService.isActive(cart.state)) {
+          if (storePaused) {
+            return STORE_PAUSED_MESSAGE;
+          }
+          
+          const result = await orderFlowService.resume(tenantId, cart.state);
+          await Conversation.setState(tenantId, phone, result.state);
+          await cartService.track(tenantId, phone, result.state, orderFlowService.getCart(result.state));
+          
+          return result.response;
+        }
+      }
+      
+      // Produto do cardápio citado sem outra intenção ("quero uma calabresa") inicia o pedido
+      const intent = matchedIntent
+        || (classification.entities.products.length > 0 && intents.find(candidate => candidate.action === 'order'))
+        || intentService.getFallbackIntent(intents);
+      
+      let response = '';
       
-      if (lowerMessage.includes('cardápio') || lowerMessage.includes('menu')) {
-        response = 'Você pode ver nosso cardápio completo em nosso site ou digitar a categoria: Pizza, Hambúrguer, Bebidas';
-      } else if (lowerMessage.includes('horário') || lowerMessage.includes('funcionamento')) {
-        response = 'Estamos abertos de terça a domingo, das 18h às 23h.';
-      } else if (lowerMessage.includes('entrega') || lowerMessage.includes('delivery')) {
-        response = 'Fazemos entregas em até 45 minutos para a região central. Taxa de entrega a partir de R$ 5,00.';
-      } else if (lowerMessage.includes('olá') || lowerMessage.includes('oi') || lowerMessage.includes('bom dia') || lowerMessage.includes('boa tarde') || lowerMessage.includes('boa noite')) {
-        response = `Olá! Bem-vindo ao nosso atendimento. Como posso ajudar?`;
+      if (storePaused && ['menu', 'order', 'repeat-order'].includes(intent.action)) {
+        response = STORE_PAUSED_MESSAGE;
+      } else if (intent.action === 'menu') {
+        const result = await orderFlowService.showMenu(tenantId);
+        await Conversation.setState(tenantId, phone, result.state);
+        response = result.response;
+      } else if (intent.action === 'order') {
+        // Pedido escrito em texto livre ("uma calabresa grande e uma coca") já começa com os itens
+        const draft = await orderParserService.parse(tenantId, message);
+        const result = draft.items.length > 0 || draft.pending.length > 0
+          ? await orderFlowService.startFromDraft(tenantId, draft)
+          : await orderFlowService.start(tenantId);
+        await Conversation.setState(tenantId, phone, result.state);
+        await cartService.track(tenantId, phone, result.state, orderFlowService.getCart(result.state));
+        response = result.response;
+      } else if (intent.action === 'repeat-order') {
+        const result = await orderFlowService.repeatLastOrder(tenantId, phone);
+        await Conversation.setState(tenantId, phone, result.state);
+        await cartService.track(tenantId, phone, result.state, orderFlowService.getCart(result.state));
+        response = result.response;
+      } else if (intent.action === 'order-status') {
+        response = await botService.describeLastOrder(tenantId, phone);
       } else {
-        response = 'Não entendi sua mensagem. Por favor, tente novamente ou escolha uma das opções: Cardápio, Horários, Entrega ou Pedido.';
+        // A partir daqui o bot fica em silêncio até um atendente liberar a conversa
+        if (intent.action === 'handoff') {
+          await Conversation.requestHandoff(tenantId, phone);
+          eventBus.publish(tenantId, 'handoff.requested', { phone, message });
+        } else if (intent.action === 'opt-out' || intent.action === 'opt-in') {
+          await notificationService.setOptOut(tenantId, phone, intent.action === 'opt-out');
+        }
+        
+        response = intentService.renderResponse(intent, {
+          tenant: {
+            name: tenant.name,
+            phone: tenant.contact.phone,
+            email: tenant.contact.email,
+            address: tenant.contact.address
+          },
+          customer: { phone }
+        });
       }
       
       return response;
@@ -45,46 +152,49 @@ const botService = {
     }
   },
   
+  /**
+   * Monta a resposta com o status do último pedido do cliente
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @returns {Promise<string>} Resposta do bot
+   */
+  describeLastOrder: async (tenantId, phone) => {
+    const order = await orderService.getLatestOrderByPhone(tenantId, phone);
+    
+    if (!order) {
+      return 'Não encontramos pedidos para este número. Digite "pedido" para fazer o seu!';
+    }
+    
+    const status = notificationService.STATUS_LABELS[order.status] || order.status;
+    const createdAt = order.createdAt.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+    const finished = ['completed', 'cancelled'].includes(order.status);
+    
+    return `📦 Pedido ${order.orderNumber}
+Status: ${status}
+Feito em: ${createdAt}
+Total: R$ ${order.total.toFixed(2)}${finished ? '\n\nDigite "repetir pedido" para pedir novamente.' : ''}`;
+  },
+  
   /**
    * Envia mensagem para o cliente
+   * A mensagem é colocada na fila de saída e enviada em segundo plano,
+   * com novas tentativas em caso de falha do provedor
    * @param {string} tenantId - ID do tenant
    * @param {string} phone - Número de telefone do cliente
    * @param {string} message - Mensagem a ser enviada
-   * @returns {Promise<boolean>} Status do envio
+   * @param {Object} options - Opções adicionais
+   * @param {string} options.channel - Canal a usar no lugar do configurado no tenant
+   * @param {Array} options.buttons - Botões de resposta rápida ({ id, title })
+   * @returns {Promise<Object|null>} Mensagem enfileirada ou null em caso de erro
    */
-  sendMessage: async (tenantId, phone, message) => {
+  sendMessage: async (tenantId, phone, message, options = {}) => {
     try {
-      logger.info(`Enviando mensagem para tenant ${tenantId}, telefone ${phone}`);
-      
-      // Buscar tenant para obter configurações específicas
-      const tenant = await Tenant.findById(tenantId);
+      logger.info(`Enfileirando mensagem para tenant ${tenantId}, telefone ${phone}`);
       
-      if (!tenant) {
-        logger.error(`Tenant ${tenantId} não encontrado ao enviar mensagem`);
-        return false;
-      }
-      
-      // Aqui você implementaria a integração com WhatsApp, Telegram, ou outro serviço
-      // usando as configurações específicas do tenant
-      
-      // Exemplo de integração com API de terceiros
-      // As configurações poderiam vir do tenant.settings.whatsappIntegration
-      
-      // Simulando envio
-      // Em produção, você faria uma chamada para um serviço real
-      // const response = await axios.post('https://api.whatsapp.com/send', {
-      //   phone,
-      //   message,
-      //   apiKey: tenant.settings.whatsappApiKey // Configuração específica do tenant
-      // });
-      
-      // return response.status === 200;
-      
-      // Por enquanto, apenas simulamos que o envio foi bem-sucedido
-      return true;
+      return await messageQueueService.enqueue(tenantId, phone, message, options);
     } catch (error) {
       logger.error(`Erro ao enviar mensagem para ${phone} (tenant ${tenantId}):`, error);
-      return false;
+      return null;
     }
   },
   
@@ -121,50 +231,11 @@ Status: Pendente
 
 Digite "ver ${order.orderNumber}" para detalhes`;
       
-      return await botService.sendMessage(tenantId, adminPhone, message);
+      return Boolean(await botService.sendMessage(tenantId, adminPhone, message));
     } catch (error) {
       logger.error(`Erro ao notificar novo pedido para tenant ${tenantId}:`, error);
       return false;
     }
-  },
-  
-  /**
-   * Notifica o cliente sobre uma mudança de status no pedido
-   * @param {string} tenantId - ID do tenant
-   * @param {Object} order - Pedido atualizado
-   * @returns {Promise<boolean>} Status da notificação
-   */
-  notifyStatusChange: async (tenantId, order) => {
-    try {
-      // Buscar o tenant para verificar configurações específicas
-      const tenant = await Tenant.findById(tenantId);
-      
-      if (!tenant) {
-        logger.error(`Tenant ${tenantId} não encontrado ao notificar mudança de status`);
-        return false;
-      }
-      
-      // As mensagens de status também poderiam ser personalizadas por tenant
-      // Aqui usamos mensagens padrão para simplificar
-      const statusMessages = {
-        'confirmed': 'Seu pedido foi confirmado e está sendo preparado.',
-        'preparing': 'Seu pedido está sendo preparado na cozinha.',
-        'delivering': 'Seu pedido saiu para entrega! Chega em breve.',
-        'completed': 'Seu pedido foi entregue. Bom apetite! Agradecemos a preferência.',
-        'cancelled': 'Seu pedido foi cancelado. Entre em contato para mais informações.'
-      };
-      
-      const message = `🔔 ATUALIZAÇÃO DE PEDIDO 🔔
-Número: ${order.orderNumber}
-Status: ${order.status}
-
-${statusMessages[order.status] || ''}`;
-      
-      return await botService.sendMessage(tenantId, order.customer.phone, message);
-    } catch (error) {
-      logger.error(`Erro ao notificar mudança de status para pedido ${order.orderNumber}:`, error);
-      return false;
-    }
   }
 };
 
@@ -0,0 +1,66 @@
+const Catalog = require('../models/catalog');
+
+// Pizzas da vaga precisam ter o tamanho definido no combo
+const hasSlotSize = (slot, product) => {
+  if (!slot.sizeId || product.productType !== 'pizza') {
+    return true;
+  }
+
+  return product.sizesPrices.some(size => String(size.sizeId) === String(slot.sizeId));
+};
+
+/**
+ * Serviço dos combos (produtos do tipo bundle)
+ */
+const bundleService = {
+  /**
+   * Verifica se o produto pode ser escolhido na vaga do combo
+   * @param {Object} slot - Vaga do combo (Catalog.bundleSlots)
+   * @param {Object} product - Produto do catálogo
+   * @returns {boolean} true se o produto pertence à vaga
+   */
+  isAllowed: (slot, product) => {
+    if (product.productType === 'bundle') {
+      return false;
+    }
+
+    const listed = (slot.products || []).some(productId => String(productId) === String(product._id));
+    const inCategory = Boolean(slot.category) && String(product.category) === String(slot.category);
+
+    return (listed || inCategory) && hasSlotSize(slot, product);
+  },
+
+  /**
+   * Busca os produtos disponíveis para uma vaga do combo
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} slot - Vaga do combo (Catalog.bundleSlots)
+   * @returns {Promise<Array>} Produtos que podem ser escolhidos, por nome
+   */
+  getSlotProducts: async (tenantId, slot) => {
+    const filters = [];
+
+    if (slot.products && slot.products.length > 0) {
+      filters.push({ _id: { $in: slot.products } });
+    }
+
+    if (slot.category) {
+      filters.push({ category: slot.category });
+    }
+
+    // Vaga sem produtos nem categoria não tem o que oferecer
+    if (filters.length === 0) {
+      return [];
+    }
+
+    const products = await Catalog.find({
+      tenantId,
+      available: true,
+      productType: { $ne: 'bundle' },
+      $or: filters
+    }).sort({ name: 1 });
+
+    return products.filter(product => hasSlotSize(slot, product));
+  }
+};
+
+module.exports = bundleService;
@@ -0,0 +1,136 @@
+const Tenant = require('../models/tenant');
+const Cart = require('../models/cart');
+const Conversation = require('../models/conversation');
+const botService = require('./botService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const { render } = require('../utils/template');
+
+// Botão de retomada; o id também é aceito como texto ("continuar")
+const RESUME_BUTTON = { id: 'continuar', title: 'Continuar pedido' };
+
+const DEFAULT_MESSAGE = 'Ei! Você deixou um pedido pela metade no {{tenant.name}}: {{cart.itemCount}} item(ns), total de R$ {{cart.total}}. Toque em "Continuar pedido" para retomar de onde parou.';
+
+/**
+ * Serviço de detecção e recuperação de carrinhos abandonados
+ */
+const cartRecoveryService = {
+  RESUME_BUTTON,
+  DEFAULT_MESSAGE,
+
+  /**
+   * Procura carrinhos sem atividade além do prazo de cada tenant e envia a recuperação
+   * @returns {Promise<number>} Quantidade de carrinhos marcados como abandonados
+   */
+  detectAbandoned: async () => {
+    // Mensagem proativa ao cliente: só para tenants que ativaram a recuperação
+    const tenants = await Tenant.find(
+      { active: true, 'settings.cartRecovery.enabled': true },
+      { name: 1, 'settings.cartRecovery': 1 }
+    );
+
+    let total = 0;
+
+    for (const tenant of tenants) {
+      try {
+        total += await cartRecoveryService.detectForTenant(tenant);
+      } catch (error) {
+        // Falha de um tenant não impede os demais
+        logger.error(`Erro ao verificar carrinhos abandonados do tenant ${tenant._id}:`, error);
+      }
+    }
+
+    return total;
+  },
+
+  /**
+   * Marca como abandonados os carrinhos parados do tenant
+   * @param {Object} tenant - Tenant com as configurações de recuperação
+   * @returns {Promise<number>} Quantidade de carrinhos abandonados
+   */
+  detectForTenant: async (tenant) => {
+    const settings = tenant.settings.cartRecovery || {};
+    const delay = (settings.delayMinutes || 30) * 60 * 1000;
+    const cutoff = new Date(Date.now() - delay);
+
+    const carts = await Cart.find({
+      tenantId: tenant._id,
+      status: 'open',
+      lastActivityAt: { $lt: cutoff }
+    }).limit(config.carts.batchSize);
+
+    let total = 0;
+
+    for (const cart of carts) {
+      // Reservar o carrinho; se o cliente voltou a responder, lastActivityAt mudou
+      const abandoned = await Cart.findOneAndUpdate(
+        { _id: cart._id, status: 'open', lastActivityAt: cart.lastActivityAt },
+        { $set: { status: 'abandoned', abandonedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!abandoned) continue;
+
+      await cartRecoveryService.sendRecovery(tenant, abandoned);
+      total++;
+    }
+
+    return total;
+  },
+
+  /**
+   * Envia a mensagem de recuperação com o botão para retomar o pedido
+   * @param {Object} tenant - Tenant
+   * @param {Object} cart - Carrinho abandonado
+   * @returns {Promise<boolean>} Se a mensagem foi enfileirada
+   */
+  sendRecovery: async (tenant, cart) => {
+    const conversation = await Conversation.findOne(
+      { tenantId: tenant._id, phone: cart.phone },
+      { channel: 1, handoff: 1, notificationsOptOut: 1 }
+    );
+
+    eventBus.publish(tenant._id, 'cart.abandoned', {
+      phone: cart.phone,
+      itemCount: cart.itemCount,
+      total: cart.total
+    });
+
+    // Não interromper um atendente nem quem pediu para não receber mensagens
+    if (conversation && (conversation.handoff.status === 'human' || conversation.notificationsOptOut)) {
+      return false;
+    }
+
+    const content = render(tenant.settings.cartRecovery.message || DEFAULT_MESSAGE, {
+      tenant: { name: tenant.name },
+      cart: { itemCount: cart.itemCount, total: cart.total.toFixed(2) }
+    });
+
+    const outbound = await botService.sendMessage(tenant._id, cart.phone, content, {
+      channel: conversation ? conversation.channel : undefined,
+      buttons: [RESUME_BUTTON]
+    });
+
+    if (!outbound) {
+      return false;
+    }
+
+    await Conversation.addMessage(tenant._id, cart.phone, {
+      type: 'interactive',
+      content,
+      sender: { type: 'bot' },
+      isFromBot: true,
+      interactive: { kind: 'buttons', options: [RESUME_BUTTON] },
+      deliveryStatus: 'queued',
+      outboundMessageId: outbound._id
+    });
+
+    cart.recoveryMessageSentAt = new Date();
+    await cart.save();
+
+    return true;
+  }
+};
+
+module.exports = cartRecoveryService;
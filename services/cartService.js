@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/cart');
+const logger = require('../utils/logger');
+
+// Carrinhos que ainda podem virar pedido
+const PENDING_STATUSES = ['open', 'abandoned'];
+
+/**
+ * Serviço de acompanhamento dos carrinhos montados no bot
+ */
+const cartService = {
+  /**
+   * Atualiza o carrinho do cliente a partir do estado do fluxo de pedido
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @param {Object} state - Novo estado do diálogo
+   * @param {Object} cart - Resumo do carrinho ({ itemCount, total })
+   * @param {Object} order - Pedido criado nesta etapa (se houver)
+   * @returns {Promise<Object|null>} Carrinho atualizado
+   */
+  track: async (tenantId, phone, state, cart, order) => {
+    try {
+      const filter = { tenantId, phone, status: { $in: PENDING_STATUSES } };
+      const now = new Date();
+
+      if (order) {
+        // Pedido fechado depois da mensagem de recuperação conta como recuperado
+        const pending = await Cart.findOne(filter);
+
+        if (!pending) {
+          return null;
+        }
+
+        pending.status = pending.recoveryMessageSentAt ? 'recovered' : 'converted';
+        pending.orderId = order._id;
+        pending.orderTotal = order.total;
+        pending.closedAt = now;
+        await pending.save();
+
+        return pending;
+      }
+
+      // Fluxo encerrado sem pedido (cancelado pelo cliente)
+      if (!state.step || state.step === 'idle') {
+        await Cart.updateMany(filter, { $set: { status: 'cancelled', closedAt: now } });
+        return null;
+      }
+
+      // Só acompanhamos carrinhos com pelo menos um item
+      if (cart.itemCount === 0) {
+        return null;
+      }
+
+      return await Cart.findOneAndUpdate(
+        filter,
+        {
+          $set: {
+            state,
+            itemCount: cart.itemCount,
+            total: cart.total,
+            lastActivityAt: now
+          },
+          $setOnInsert: { status: 'open' }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Falha no acompanhamento não deve interromper o atendimento
+      logger.error(`Erro ao atualizar carrinho de ${phone} (tenant ${tenantId}):`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Obtém o carrinho pendente mais recente do cliente, para retomada
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @returns {Promise<Object|null>} Carrinho pendente
+   */
+  getResumable: (tenantId, phone) => {
+    return Cart.findOne({ tenantId, phone, status: { $in: PENDING_STATUSES } })
+      .sort({ lastActivityAt: -1 });
+  },
+
+  /**
+   * Obtém as métricas de recuperação de carrinhos abandonados no período
+   * @param {string} tenantId - ID do tenant
+   * @param {Date} startDate - Data inicial
+   * @param {Date} endDate - Data final
+   * @returns {Promise<Object>} Carrinhos abandonados, recuperados e receita recuperada
+   */
+  getRecoveryStats: async (tenantId, startDate, endDate) => {
+    const [result] = await Cart.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(tenantId),
+          abandonedAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          abandoned: { $sum: 1 },
+          abandonedValue: { $sum: '$total' },
+          recovered: {
+            $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] }
+          },
+          recoveredRevenue: {
+            $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, '$orderTotal', 0] }
+          }
+        }
+      }
+    ]);
+
+    const stats = result || { abandoned: 0, abandonedValue: 0, recovered: 0, recoveredRevenue: 0 };
+
+    return {
+      abandoned: stats.abandoned,
+      abandonedValue: stats.abandonedValue,
+      recovered: stats.recovered,
+      recoveredRevenue: stats.recoveredRevenue,
+      recoveryRate: stats.abandoned > 0 ? stats.recovered / stats.abandoned : 0
+    };
+  }
+};
+
+module.exports = cartService;
@@ -1,6 +1,7 @@
 const Catalog = require('../models/catalog');
 const Category = require('../models/category');
 const ProductOption = require('../models/productOption');
+const optionGroupService = require('./optionGroupService');
 const logger = require('../utils/logger');
 const cacheManager = require('../utils/cacheManager');
 
@@ -82,30 +83,14 @@ const catalogService = {
       
       // Carregar opções relacionadas se solicitado
       if (includeOptions) {
+        additionalData.optionGroups = await optionGroupService.getProductGroups(tenantId, product);
+        
         if (product.productType === 'pizza') {
-          const [sizes, crusts] = await Promise.all([
-            ProductOption.find({
-              tenantId,
-              type: 'pizza-size',
-              active: true
-            }).sort({ price: 1 }),
-            
-            ProductOption.find({
-              tenantId,
-              type: 'pizza-crust',
-              active: true
-            }).sort({ price: 1 })
-          ]);
-          
-          additionalData = { sizes, crusts };
-        } else if (product.productType === 'hamburger') {
-          const addons = await ProductOption.find({
+          additionalData.sizes = await ProductOption.find({
             tenantId,
-            type: 'burger-addon',
+            type: 'pizza-size',
             active: true
           }).sort({ price: 1 });
-          
-          additionalData = { addons };
         }
       }
       
@@ -153,6 +138,7 @@ const catalogService = {
       
       // Limpar caches relacionados
       cacheManager.delByPrefix(`tenant_${tenantId}_products`);
+      cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
       cacheManager.delByPrefix(`tenant_${tenantId}_category_${productData.category}`);
       
       return product;
@@ -204,6 +190,7 @@ const catalogService = {
       
       // Limpar caches relacionados
       cacheManager.delByPrefix(`tenant_${tenantId}_products`);
+      cacheManager.delByPrefix(`tenant_${tenantId}_menu`);
       cacheManager.delByPrefix(`tenant_${tenantId}_category_`);
       cacheManager.delByPrefix(`tenant_${tenantId}_product_${product._id}`);
       
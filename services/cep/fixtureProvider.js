@@ -0,0 +1,22 @@
+const fixtures = require('./fixtures.json');
+
+/**
+ * Provedor de CEP offline, com os endereços de fixtures.json
+ * Usado nos testes e em ambientes sem acesso à internet
+ */
+const fixtureProvider = {
+  name: 'fixture',
+
+  /**
+   * Busca o endereço do CEP nas fixtures
+   * @param {string} cep - CEP com 8 dígitos
+   * @returns {Promise<Object|null>} street, neighborhood, city, state e location, ou null se não existir
+   */
+  lookup: async (cep) => {
+    const address = fixtures[cep];
+
+    return address ? { cep, ...address } : null;
+  }
+};
+
+module.exports = fixtureProvider;
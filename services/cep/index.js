@@ -0,0 +1,71 @@
+const viaCepProvider = require('./viaCepProvider');
+const fixtureProvider = require('./fixtureProvider');
+const config = require('../../config/config');
+const cacheManager = require('../../utils/cacheManager');
+
+// Provedores disponíveis, indexados pelo nome
+const providers = {
+  [viaCepProvider.name]: viaCepProvider,
+  [fixtureProvider.name]: fixtureProvider
+};
+
+/**
+ * Obtém o provedor de CEP
+ * Todo provedor expõe lookup(cep) => { cep, street, neighborhood, city, state, location } ou null
+ * @param {string} provider - Provedor a usar no lugar do configurado (opcional)
+ * @returns {Object} Provedor
+ */
+const getProvider = (provider = config.cep.provider) => {
+  const found = providers[provider];
+
+  if (!found) {
+    throw new Error(`Provedor de CEP desconhecido: ${provider}`);
+  }
+
+  return found;
+};
+
+/**
+ * Deixa o CEP só com os dígitos ("01310-100" -> "01310100")
+ * @param {string} cep - CEP informado
+ * @returns {string|null} CEP com 8 dígitos ou null se inválido
+ */
+const normalizeCep = (cep) => {
+  const digits = String(cep || '').replace(/\D/g, '');
+
+  return digits.length === 8 ? digits : null;
+};
+
+/**
+ * Busca o endereço do CEP no provedor configurado
+ * As respostas, inclusive de CEP inexistente, ficam em cache
+ * @param {string} cep - CEP, com ou sem hífen
+ * @returns {Promise<Object|null>} Endereço do CEP ou null se não existir
+ */
+const lookup = async (cep) => {
+  const digits = normalizeCep(cep);
+
+  if (!digits) {
+    return null;
+  }
+
+  const cacheKey = `cep_${digits}`;
+  const cached = cacheManager.get(cacheKey);
+
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const address = await getProvider().lookup(digits);
+
+  cacheManager.set(cacheKey, address, config.cep.cacheTtl);
+
+  return address;
+};
+
+module.exports = {
+  providers,
+  getProvider,
+  normalizeCep,
+  lookup
+};
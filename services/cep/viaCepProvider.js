@@ -0,0 +1,37 @@
+const axios = require('axios');
+const config = require('../../config/config');
+
+/**
+ * Provedor de CEP do ViaCEP (https://viacep.com.br)
+ * Resposta: { cep, logradouro, bairro, localidade, uf } ou { erro: true } para CEP inexistente
+ */
+const viaCepProvider = {
+  name: 'viacep',
+
+  /**
+   * Busca o endereço do CEP
+   * @param {string} cep - CEP com 8 dígitos
+   * @returns {Promise<Object|null>} street, neighborhood, city e state, ou null se não existir
+   */
+  lookup: async (cep) => {
+    const response = await axios.get(`${config.cep.url}/${cep}/json/`, {
+      timeout: config.cep.timeout
+    });
+
+    const data = response.data || {};
+
+    if (data.erro) {
+      return null;
+    }
+
+    return {
+      cep,
+      street: data.logradouro || undefined,
+      neighborhood: data.bairro || undefined,
+      city: data.localidade,
+      state: data.uf
+    };
+  }
+};
+
+module.exports = viaCepProvider;
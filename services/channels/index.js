@@ -0,0 +1,60 @@
+const whatsappAdapter = require('./whatsappAdapter');
+const telegramAdapter = require('./telegramAdapter');
+const webhookAdapter = require('./webhookAdapter');
+const mockAdapter = require('./mockAdapter');
+const config = require('../../config/config');
+
+// Ambientes em que o canal mock pode ser usado sem configuração explícita
+const MOCK_ENVS = ['development', 'test'];
+
+const mockAllowed = () => MOCK_ENVS.includes(config.env) || config.channels.allowMock;
+
+// Adaptadores disponíveis, indexados pelo nome do provedor
+const adapters = {
+  [whatsappAdapter.name]: whatsappAdapter,
+  [telegramAdapter.name]: telegramAdapter,
+  [webhookAdapter.name]: webhookAdapter,
+  [mockAdapter.name]: mockAdapter
+};
+
+/**
+ * Obtém o adaptador de canal configurado para o tenant
+ * Todo adaptador expõe send(tenant, phone, message, options) => { providerMessageId }
+ * Adaptadores com webhook de entrada expõem também verifyRequest e parseInbound
+ * Sem canal configurado, usa o mock apenas em desenvolvimento e testes
+ * @param {Object} tenant - Tenant
+ * @param {string} provider - Canal a usar no lugar do configurado (opcional)
+ * @returns {Object} Adaptador do canal
+ */
+const getAdapter = (tenant, provider) => {
+  if (!provider) {
+    const channel = tenant.settings && tenant.settings.channel;
+    provider = channel && channel.provider;
+  }
+  
+  if (!provider) {
+    if (!mockAllowed()) {
+      throw new Error(`Nenhum canal de mensagens configurado para o tenant ${tenant._id}`);
+    }
+    
+    provider = mockAdapter.name;
+  }
+  
+  const adapter = adapters[provider];
+  
+  if (!adapter) {
+    throw new Error(`Canal de mensagens desconhecido: ${provider}`);
+  }
+  
+  // Em produção as mensagens do mock não chegariam a ninguém
+  if (adapter === mockAdapter && !mockAllowed()) {
+    throw new Error(`Canal mock não permitido no ambiente ${config.env}`);
+  }
+  
+  return adapter;
+};
+
+module.exports = {
+  adapters,
+  getAdapter
+};
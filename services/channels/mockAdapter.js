@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Mensagens enviadas, mantidas em memória (apenas as mais recentes)
+const MAX_SENT_MESSAGES = 500;
+const sentMessages = [];
+
+/**
+ * Adaptador local que apenas registra as mensagens enviadas
+ * Útil em desenvolvimento e testes, sem depender de provedores externos
+ */
+const mockAdapter = {
+  name: 'mock',
+  
+  /**
+   * Registra a mensagem como enviada
+   * @param {Object} tenant - Tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @param {string} message - Mensagem a ser enviada
+   * @param {Object} options - Opções adicionais
+   * @param {Array} options.buttons - Botões de resposta rápida ({ id, title })
+   * @returns {Promise<Object>} ID gerado para a mensagem
+   */
+  send: async (tenant, phone, message, options = {}) => {
+    const providerMessageId = `mock-${crypto.randomBytes(8).toString('hex')}`;
+    
+    sentMessages.push({
+      tenantId: tenant._id.toString(),
+      phone,
+      message,
+      buttons: options.buttons,
+      providerMessageId,
+      sentAt: new Date()
+    });
+    
+    if (sentMessages.length > MAX_SENT_MESSAGES) {
+      sentMessages.splice(0, sentMessages.length - MAX_SENT_MESSAGES);
+    }
+    
+    return { providerMessageId };
+  },
+  
+  /**
+   * Lista as mensagens registradas (as últimas MAX_SENT_MESSAGES)
+   * @param {string} tenantId - Filtrar por tenant (opcional)
+   * @returns {Array} Mensagens enviadas
+   */
+  getSentMessages: (tenantId) => {
+    if (!tenantId) return [...sentMessages];
+    
+    return sentMessages.filter(sent => sent.tenantId === tenantId.toString());
+  },
+  
+  /**
+   * Limpa as mensagens registradas
+   */
+  clear: () => {
+    sentMessages.length = 0;
+  }
+};
+
+module.exports = mockAdapter;
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../config/config');
+
+/**
+ * Adaptador para a Telegram Bot API
+ * No Telegram, o "telefone" da conversa é o chat_id do cliente
+ */
+const telegramAdapter = {
+  name: 'telegram',
+  
+  /**
+   * Envia mensagem de texto pelo Telegram
+   * @param {Object} tenant - Tenant com as configurações do canal
+   * @param {string} phone - chat_id do cliente
+   * @param {string} message - Mensagem a ser enviada
+   * @param {Object} options - Opções adicionais
+   * @param {Array} options.buttons - Botões de resposta rápida ({ id, title })
+   * @returns {Promise<Object>} ID da mensagem no provedor
+   */
+  send: async (tenant, phone, message, options = {}) => {
+    const settings = tenant.settings.channel.telegram || {};
+    
+    if (!settings.botToken) {
+      throw new Error('Telegram não configurado para o tenant');
+    }
+    
+    const payload = {
+      chat_id: phone,
+      text: message
+    };
+    
+    // Botões inline; o callback_data volta no callback_query
+    if (options.buttons && options.buttons.length > 0) {
+      payload.reply_markup = {
+        inline_keyboard: [options.buttons.map(button => ({
+          text: button.title,
+          callback_data: button.id
+        }))]
+      };
+    }
+    
+    const response = await axios.post(
+      `${config.channels.telegramApiUrl}/bot${settings.botToken}/sendMessage`,
+      payload,
+      { timeout: config.channels.timeout }
+    );
+    
+    if (!response.data.ok) {
+      throw new Error(response.data.description || 'Falha ao enviar mensagem pelo Telegram');
+    }
+    
+    return { providerMessageId: String(response.data.result.message_id) };
+  },
+  
+  /**
+   * Verifica o header X-Telegram-Bot-Api-Secret-Token definido no setWebhook
+   * @param {Object} tenant - Tenant com as configurações do canal
+   * @param {Object} req - Requisição recebida
+   * @returns {boolean} Se o token confere
+   */
+  verifyRequest: (tenant, req) => {
+    const settings = tenant.settings.channel.telegram || {};
+    const token = req.headers['x-telegram-bot-api-secret-token'];
+    
+    if (!settings.secretToken || !token) {
+      return false;
+    }
+    
+    return token.length === settings.secretToken.length &&
+      crypto.timingSafeEqual(Buffer.from(token), Buffer.from(settings.secretToken));
+  },
+  
+  /**
+   * Normaliza o update do Telegram em mensagens recebidas
+   * @param {Object} body - Update recebido
+   * @returns {Array} Mensagens normalizadas
+   */
+  parseInbound: (body) => {
+    // Resposta de botão (inline keyboard)
+    if (body.callback_query) {
+      const query = body.callback_query;
+      
+      return [{
+        phone: String(query.message ? query.message.chat.id : query.from.id),
+        providerMessageId: String(query.id),
+        timestamp: new Date(),
+        contactName: query.from.first_name,
+        type: 'button',
+        button: { id: query.data, title: query.data }
+      }];
+    }
+    
+    const msg = body.message || body.edited_message;
+    
+    if (!msg) {
+      return [];
+    }
+    
+    const normalized = {
+      phone: String(msg.chat.id),
+      providerMessageId: String(msg.message_id),
+      timestamp: new Date(msg.date * 1000),
+      contactName: msg.from ? msg.from.first_name : undefined
+    };
+    
+    if (msg.text) {
+      normalized.type = 'text';
+      normalized.text = msg.text;
+    } else if (msg.location) {
+      normalized.type = 'location';
+      normalized.location = {
+        latitude: msg.location.latitude,
+        longitude: msg.location.longitude,
+        name: msg.venue ? msg.venue.title : undefined,
+        address: msg.venue ? msg.venue.address : undefined
+      };
+    } else if (msg.photo || msg.voice || msg.audio || msg.document || msg.video) {
+      // Fotos chegam em vários tamanhos; usamos o maior
+      const media = msg.photo
+        ? msg.photo[msg.photo.length - 1]
+        : msg.voice || msg.audio || msg.document || msg.video;
+      
+      normalized.type = msg.photo ? 'image'
+        : msg.voice || msg.audio ? 'audio'
+        : msg.document ? 'document'
+        : 'video';
+      normalized.media = {
+        id: media.file_id,
+        mimeType: media.mime_type,
+        fileName: media.file_name,
+        caption: msg.caption
+      };
+    } else {
+      normalized.type = 'unsupported';
+    }
+    
+    return [normalized];
+  }
+};
+
+module.exports = telegramAdapter;
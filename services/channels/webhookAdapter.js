@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../config/config');
+
+/**
+ * Adaptador genérico: envia as mensagens para um webhook do tenant
+ * O corpo é assinado com HMAC-SHA256 no header X-Signature quando há segredo configurado
+ */
+const webhookAdapter = {
+  name: 'webhook',
+  
+  /**
+   * Envia mensagem para o webhook configurado
+   * @param {Object} tenant - Tenant com as configurações do canal
+   * @param {string} phone - Número de telefone do cliente
+   * @param {string} message - Mensagem a ser enviada
+   * @param {Object} options - Opções adicionais
+   * @param {Array} options.buttons - Botões de resposta rápida ({ id, title })
+   * @returns {Promise<Object>} ID da mensagem no provedor
+   */
+  send: async (tenant, phone, message, options = {}) => {
+    const settings = tenant.settings.channel.webhook || {};
+    
+    if (!settings.url) {
+      throw new Error('Webhook de saída não configurado para o tenant');
+    }
+    
+    const body = JSON.stringify({
+      tenantId: tenant._id,
+      phone,
+      message,
+      buttons: options.buttons,
+      timestamp: new Date().toISOString()
+    });
+    
+    const headers = { 'Content-Type': 'application/json' };
+    
+    if (settings.secret) {
+      headers['X-Signature'] = crypto
+        .createHmac('sha256', settings.secret)
+        .update(body)
+        .digest('hex');
+    }
+    
+    const response = await axios.post(settings.url, body, {
+      headers,
+      timeout: config.channels.timeout
+    });
+    
+    return { providerMessageId: (response.data && response.data.id) || null };
+  }
+};
+
+module.exports = webhookAdapter;
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../config/config');
+
+/**
+ * Adaptador para a WhatsApp Cloud API (Meta)
+ */
+const whatsappAdapter = {
+  name: 'whatsapp',
+  
+  /**
+   * Envia mensagem de texto pelo WhatsApp (com botões, como mensagem interativa)
+   * @param {Object} tenant - Tenant com as configurações do canal
+   * @param {string} phone - Número de telefone do cliente
+   * @param {string} message - Mensagem a ser enviada
+   * @param {Object} options - Opções adicionais
+   * @param {Array} options.buttons - Botões de resposta rápida ({ id, title })
+   * @returns {Promise<Object>} ID da mensagem no provedor
+   */
+  send: async (tenant, phone, message, options = {}) => {
+    const settings = tenant.settings.channel.whatsapp || {};
+    
+    if (!settings.phoneNumberId || !settings.accessToken) {
+      throw new Error('WhatsApp não configurado para o tenant');
+    }
+    
+    const payload = {
+      messaging_product: 'whatsapp',
+      to: phone,
+      type: 'text',
+      text: { body: message }
+    };
+    
+    // A API aceita até 3 botões, com títulos de até 20 caracteres
+    if (options.buttons && options.buttons.length > 0) {
+      payload.type = 'interactive';
+      payload.interactive = {
+        type: 'button',
+        body: { text: message },
+        action: {
+          buttons: options.buttons.slice(0, 3).map(button => ({
+            type: 'reply',
+            reply: { id: button.id, title: button.title.slice(0, 20) }
+          }))
+        }
+      };
+      delete payload.text;
+    }
+    
+    const response = await axios.post(
+      `${config.channels.whatsappApiUrl}/${settings.phoneNumberId}/messages`,
+      payload,
+      {
+        headers: { Authorization: `Bearer ${settings.accessToken}` },
+        timeout: config.channels.timeout
+      }
+    );
+    
+    const sent = response.data.messages && response.data.messages[0];
+    
+    return { providerMessageId: sent ? sent.id : null };
+  },
+  
+  /**
+   * Responde ao desafio de verificação do webhook (GET hub.challenge)
+   * @param {Object} tenant - Tenant com as configurações do canal
+   * @param {Object} query - Query string recebida
+   * @returns {string|null} Desafio a devolver ou null se o token não confere
+   */
+  verifyChallenge: (tenant, query) => {
+    const settings = tenant.settings.channel.whatsapp || {};
+    
+    if (query['hub.mode'] === 'subscribe' &&
+        settings.verifyToken &&
+        query['hub.verify_token'] === settings.verifyToken) {
+      return query['hub.challenge'];
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Verifica a assinatura X-Hub-Signature-256 do corpo recebido
+   * @param {Object} tenant - Tenant com as configurações do canal
+   * @param {Object} req - Requisição (com rawBody)
+   * @returns {boolean} Se a assinatura é válida
+   */
+  verifyRequest: (tenant, req) => {
+    const settings = tenant.settings.channel.whatsapp || {};
+    const signature = req.headers['x-hub-signature-256'];
+    
+    if (!settings.appSecret || !signature || !req.rawBody) {
+      return false;
+    }
+    
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', settings.appSecret)
+      .update(req.rawBody)
+      .digest('hex');
+    
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  },
+  
+  /**
+   * Normaliza o payload do webhook em mensagens recebidas
+   * @param {Object} body - Corpo do webhook
+   * @returns {Array} Mensagens normalizadas
+   */
+  parseInbound: (body) => {
+    const messages = [];
+    
+    (body.entry || []).forEach(entry => {
+      (entry.changes || []).forEach(change => {
+        const value = change.value || {};
+        const contacts = value.contacts || [];
+        
+        (value.messages || []).forEach(msg => {
+          const contact = contacts.find(c => c.wa_id === msg.from);
+          const normalized = {
+            phone: msg.from,
+            providerMessageId: msg.id,
+            timestamp: msg.timestamp ? new Date(parseInt(msg.timestamp) * 1000) : new Date(),
+            contactName: contact && contact.profile ? contact.profile.name : undefined,
+            type: msg.type
+          };
+          
+          switch (msg.type) {
+            case 'text':
+              normalized.text = msg.text.body;
+              break;
+            case 'image':
+            case 'audio':
+            case 'video':
+            case 'document':
+            case 'sticker': {
+              const media = msg[msg.type];
+              normalized.media = {
+                id: media.id,
+                mimeType: media.mime_type,
+                fileName: media.filename,
+                caption: media.caption
+              };
+              break;
+            }
+            case 'location':
+              normalized.location = {
+                latitude: msg.location.latitude,
+                longitude: msg.location.longitude,
+                name: msg.location.name,
+                address: msg.location.address
+              };
+              break;
+            case 'interactive': {
+              const reply = msg.interactive.button_reply || msg.interactive.list_reply || {};
+              normalized.type = 'button';
+              normalized.button = { id: reply.id, title: reply.title };
+              break;
+            }
+            case 'button':
+              normalized.button = { id: msg.button.payload, title: msg.button.text };
+              break;
+            default:
+              break;
+          }
+          
+          messages.push(normalized);
+        });
+      });
+    });
+    
+    return messages;
+  },
+  
+  /**
+   * Extrai as confirmações de entrega (sent, delivered, read, failed) do webhook
+   * @param {Object} body - Corpo do webhook
+   * @returns {Array} Status normalizados
+   */
+  parseStatuses: (body) => {
+    const statuses = [];
+    
+    (body.entry || []).forEach(entry => {
+      (entry.changes || []).forEach(change => {
+        const value = change.value || {};
+        
+        (value.statuses || []).forEach(status => {
+          statuses.push({
+            providerMessageId: status.id,
+            status: status.status,
+            timestamp: status.timestamp ? new Date(parseInt(status.timestamp) * 1000) : new Date(),
+            error: status.errors && status.errors.length > 0 ? status.errors[0].title : undefined
+          });
+        });
+      });
+    });
+    
+    return statuses;
+  }
+};
+
+module.exports = whatsappAdapter;
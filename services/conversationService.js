@@ -0,0 +1,548 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+const Tenant = require('../models/tenant');
+const botService = require('./botService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const { foldText } = require('../utils/fuzzy');
+
+// Horas sem mensagem do cliente até abrir uma nova sessão (configurável por tenant)
+const getSessionTimeout = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId, { 'settings.conversations': 1 });
+  const hours = tenant && tenant.settings.conversations && tenant.settings.conversations.sessionTimeoutHours;
+  
+  return (hours || config.conversations.sessionTimeoutHours) * 60 * 60 * 1000;
+};
+
+// Cursor de paginação: data e ID da última mensagem entregue, em base64url
+const encodeCursor = (message) => {
+  return Buffer.from(JSON.stringify({
+    t: message.timestamp.toISOString(),
+    id: String(message._id)
+  })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const timestamp = new Date(t);
+    
+    if (isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    
+    return { timestamp, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Mensagens anteriores (mais antigas) a uma posição do histórico
+const olderThan = (position) => [
+  { timestamp: { $lt: position.timestamp } },
+  { timestamp: position.timestamp, _id: { $lt: position.id } }
+];
+
+// Mensagens posteriores (mais novas) a uma posição do histórico
+const newerThan = (position) => [
+  { timestamp: { $gt: position.timestamp } },
+  { timestamp: position.timestamp, _id: { $gt: position.id } }
+];
+
+// Caracteres exibidos antes e depois do primeiro termo encontrado no trecho
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Termos da busca que devem ser destacados (ignora exclusões como "-pizza")
+const searchTerms = (query) => {
+  return query
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(foldText);
+};
+
+// Monta o trecho da mensagem ao redor do primeiro termo encontrado
+// As posições destacadas são relativas ao trecho retornado
+const buildSnippet = (message, terms) => {
+  // Com os acentos compostos (NFC), o texto sem acentos mantém as posições do original
+  const content = message.normalize('NFC');
+  const folded = foldText(content);
+  const matches = [];
+  
+  terms.forEach(term => {
+    // Inclui variações da palavra (ex.: "fria" destaca "frias")
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegExp(term)}[\\p{L}\\p{N}]*)`, 'gu');
+    let match;
+    
+    while ((match = pattern.exec(folded)) !== null) {
+      const start = match.index + match[1].length;
+      matches.push({ start, end: start + match[2].length });
+    }
+  });
+  
+  matches.sort((a, b) => a.start - b.start);
+  
+  const first = matches[0];
+  const start = first ? Math.max(0, first.start - SNIPPET_RADIUS) : 0;
+  const end = first
+    ? Math.min(content.length, first.end + SNIPPET_RADIUS)
+    : Math.min(content.length, SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  
+  return {
+    snippet: `${prefix}${content.slice(start, end)}${end < content.length ? '…' : ''}`,
+    highlights: matches
+      .filter(match => match.start >= start && match.end <= end)
+      .filter((match, index, list) => index === 0 || match.start >= list[index - 1].end)
+      .map(match => ({
+        start: match.start - start + prefix.length,
+        end: match.end - start + prefix.length
+      }))
+  };
+};
+
+/**
+ * Serviço para gerenciamento das conversas com clientes
+ */
+const conversationService = {
+  /**
+   * Verifica se a mensagem recebida já foi registrada (webhook reenviado pelo provedor)
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone (ou chat id) do cliente
+   * @param {string} providerMessageId - ID da mensagem no provedor
+   * @returns {Promise<boolean>} true se a mensagem já está na conversa
+   */
+  isRegistered: async (tenantId, phone, providerMessageId) => {
+    return Boolean(await Message.exists({ tenantId, phone, providerMessageId }));
+  },
+  
+  /**
+   * Registra a mensagem recebida do cliente e a resposta do bot
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone (ou chat id) do cliente
+   * @param {string|Object} message - Texto recebido ou mensagem estruturada
+   *   ({ type, content, attachments, location, interactive, providerMessageId })
+   * @param {Object} options - Opções adicionais
+   * @param {string} options.channel - Canal pelo qual a mensagem chegou
+   * @param {boolean} options.reply - Enviar a resposta do bot ao cliente pelo canal
+   * @param {boolean} options.trusted - Telefone confirmado pelo provedor (webhook com assinatura verificada)
+   * @returns {Promise<string|null>} Resposta do bot
+   */
+  handleInboundMessage: async (tenantId, phone, message, options = {}) => {
+    try {
+      const inbound = typeof message === 'string'
+        ? { type: 'text', content: message }
+        : message;
+      
+      // Provedores reenviam o webhook quando não recebem confirmação a tempo
+      if (inbound.providerMessageId &&
+          await conversationService.isRegistered(tenantId, phone, inbound.providerMessageId)) {
+        logger.debug(`Mensagem ${inbound.providerMessageId} de ${phone} já registrada, ignorando`);
+        return null;
+      }
+      
+      let conversation = await Conversation.findOne({ tenantId, phone });
+      
+      if (!conversation) {
+        // Criar nova conversa se não existir
+        conversation = new Conversation({
+          tenantId,
+          phone
+        });
+      }
+      
+      if (options.channel) {
+        conversation.channel = options.channel;
+      }
+      
+      // Conversa encerrada volta para o bot quando o cliente escreve novamente
+      if (conversation.handoff.status === 'closed') {
+        conversation.handoff = { status: 'bot' };
+      }
+      
+      // Após um período de inatividade do cliente, começa uma nova sessão
+      const now = new Date();
+      const lastInboundAt = conversation.session.lastInboundAt;
+      const isNewSession = !lastInboundAt ||
+        now - lastInboundAt > await getSessionTimeout(tenantId);
+      
+      if (isNewSession) {
+        conversation.session = {
+          number: (conversation.session.number || 0) + 1,
+          startedAt: now,
+          lastInboundAt: now
+        };
+        
+        // Um pedido deixado pela metade na sessão anterior não continua na nova
+        conversation.state = { step: 'idle', data: {} };
+      } else {
+        conversation.session.lastInboundAt = now;
+      }
+      
+      await conversation.save();
+      
+      if (isNewSession) {
+        eventBus.publish(tenantId, 'session.started', {
+          phone,
+          session: conversation.session.number
+        });
+      }
+      
+      // Armazenar a mensagem do cliente
+      try {
+        await Conversation.addMessage(tenantId, phone, {
+          ...inbound,
+          sender: { type: 'customer' },
+          isFromBot: false
+        });
+      } catch (error) {
+        // Mesma mensagem recebida em paralelo: o índice único barra a segunda
+        if (error.code === 11000) {
+          logger.debug(`Mensagem ${inbound.providerMessageId} de ${phone} já registrada, ignorando`);
+          return null;
+        }
+        
+        throw error;
+      }
+      
+      eventBus.publish(tenantId, 'message.inbound', {
+        phone,
+        channel: conversation.channel,
+        type: inbound.type,
+        content: inbound.content,
+        handoff: conversation.handoff.status
+      });
+      
+      // Enquanto um atendente cuida da conversa, o bot não responde
+      if (conversation.handoff.status === 'human') {
+        return null;
+      }
+      
+      // Processar mensagem com o serviço de bot
+      const botResponse = await botService.processMessage(tenantId, phone, inbound.content, {
+        trusted: Boolean(options.trusted)
+      });
+      
+      if (botResponse) {
+        const botMessage = {
+          content: botResponse,
+          sender: { type: 'bot' },
+          isFromBot: true
+        };
+        
+        // Enfileirar o envio da resposta pelo mesmo canal da mensagem recebida
+        if (options.reply) {
+          const outbound = await botService.sendMessage(tenantId, phone, botResponse, {
+            channel: options.channel
+          });
+          
+          if (outbound) {
+            botMessage.outboundMessageId = outbound._id;
+            botMessage.deliveryStatus = 'queued';
+          }
+        }
+        
+        // Armazenar resposta do bot na conversa
+        await Conversation.addMessage(tenantId, phone, botMessage);
+        
+        eventBus.publish(tenantId, 'message.bot', {
+          phone,
+          content: botResponse,
+          deliveryStatus: botMessage.deliveryStatus
+        });
+      }
+      
+      return botResponse;
+    } catch (error) {
+      logger.error(`Erro ao registrar mensagem de ${phone} (tenant ${tenantId}):`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Obtém o histórico de mensagens de uma conversa, das mais recentes para as mais antigas
+   * @param {string} tenantId - ID do tenant
+   * @param {string} conversationId - ID da conversa
+   * @param {Object} options - Opções de paginação
+   * @param {number} options.limit - Quantidade de mensagens por página
+   * @param {string} options.before - Cursor retornado na página anterior
+   * @param {string} options.around - ID de uma mensagem para trazer as mensagens ao redor dela
+   * @param {number} options.session - Restringe a uma sessão da conversa
+   * @returns {Promise<Object>} Mensagens em ordem cronológica e cursor da próxima página
+   */
+  getMessages: async (tenantId, conversationId, options = {}) => {
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 200);
+    const filter = { tenantId, conversationId };
+    
+    if (options.session) {
+      filter.session = parseInt(options.session);
+    }
+    
+    if (options.around) {
+      return conversationService.getMessagesAround(filter, options.around, limit);
+    }
+    
+    if (options.before) {
+      const cursor = decodeCursor(options.before);
+      
+      if (!cursor) {
+        throw { type: 'validation', message: 'Cursor de paginação inválido' };
+      }
+      
+      filter.$or = olderThan(cursor);
+    }
+    
+    // Buscar um item a mais para saber se existem mensagens anteriores
+    const messages = await Message.find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1);
+    
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+    
+    return {
+      messages: page.reverse(),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[0]) : null
+    };
+  },
+  
+  /**
+   * Obtém as mensagens ao redor de uma mensagem (usado pelos resultados da busca)
+   * @param {Object} filter - Filtro da conversa
+   * @param {string} messageId - ID da mensagem de referência
+   * @param {number} limit - Quantidade total de mensagens
+   * @returns {Promise<Object>} Mensagens em ordem cronológica e cursor das anteriores
+   */
+  getMessagesAround: async (filter, messageId, limit) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw { type: 'validation', message: 'Mensagem de referência inválida' };
+    }
+    
+    const anchor = await Message.findOne({ ...filter, _id: messageId });
+    
+    if (!anchor) {
+      throw { type: 'not-found', message: 'Mensagem não encontrada' };
+    }
+    
+    const position = { timestamp: anchor.timestamp, id: anchor._id };
+    const half = Math.floor((limit - 1) / 2);
+    
+    const [older, newer] = await Promise.all([
+      Message.find({ ...filter, $or: olderThan(position) })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(half + 1),
+      Message.find({ ...filter, $or: newerThan(position) })
+        .sort({ timestamp: 1, _id: 1 })
+        .limit(limit - 1 - half)
+    ]);
+    
+    const hasMore = older.length > half;
+    const olderPage = older.slice(0, half).reverse();
+    
+    return {
+      messages: [...olderPage, anchor, ...newer],
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(olderPage[0]) : null
+    };
+  },
+  
+  /**
+   * Busca textual nas mensagens do tenant
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} params - Parâmetros da busca
+   * @param {string} params.q - Termos buscados (aceita "frase exata" e -exclusão)
+   * @param {string} params.from - Data inicial
+   * @param {string} params.to - Data final
+   * @param {string} params.sender - Tipo do remetente (customer, bot, staff, system)
+   * @param {string} params.handoff - Estado de atendimento da conversa (bot, human, closed)
+   * @param {number} params.page - Página
+   * @param {number} params.limit - Resultados por página
+   * @returns {Promise<Object>} Resultados com trechos destacados e paginação
+   */
+  searchMessages: async (tenantId, params = {}) => {
+    const filter = {
+      tenantId,
+      $text: { $search: params.q }
+    };
+    
+    if (params.from || params.to) {
+      filter.timestamp = {};
+      
+      if (params.from) filter.timestamp.$gte = new Date(params.from);
+      if (params.to) filter.timestamp.$lte = new Date(params.to);
+      
+      if (Object.values(filter.timestamp).some(date => isNaN(date.getTime()))) {
+        throw { type: 'validation', message: 'Período de busca inválido' };
+      }
+    }
+    
+    if (params.sender) {
+      filter['sender.type'] = params.sender;
+    }
+    
+    if (params.handoff) {
+      const conversationIds = await Conversation.find({
+        tenantId,
+        'handoff.status': params.handoff
+      }).distinct('_id');
+      
+      filter.conversationId = { $in: conversationIds };
+    }
+    
+    // Paginação
+    const page = parseInt(params.page) || 1;
+    const limit = Math.min(parseInt(params.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    
+    const [messages, total] = await Promise.all([
+      Message.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      
+      Message.countDocuments(filter)
+    ]);
+    
+    const terms = searchTerms(params.q);
+    
+    const results = messages.map(message => ({
+      messageId: message._id,
+      conversationId: message.conversationId,
+      phone: message.phone,
+      session: message.session,
+      timestamp: message.timestamp,
+      type: message.type,
+      sender: message.sender,
+      score: message.score,
+      ...buildSnippet(message.content, terms),
+      // Abre a conversa posicionada na mensagem encontrada
+      link: `/api/conversations/phone/${encodeURIComponent(message.phone)}?around=${message._id}`
+    }));
+    
+    return {
+      results,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  },
+  
+  /**
+   * Atribui a conversa a um atendente, silenciando o bot
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @param {Object} user - Usuário que assume a conversa
+   * @returns {Promise<Object>} Conversa atualizada
+   */
+  claimConversation: async (tenantId, phone, user) => {
+    const now = new Date();
+    
+    // Só assume se a conversa estiver livre ou já for deste atendente
+    const conversation = await Conversation.findOneAndUpdate(
+      {
+        tenantId,
+        phone,
+        $or: [
+          { 'handoff.assignedTo': null },
+          { 'handoff.assignedTo': user._id }
+        ]
+      },
+      {
+        $set: {
+          'handoff.status': 'human',
+          'handoff.assignedTo': user._id,
+          'handoff.assignedAt': now,
+          'handoff.closedAt': null
+        }
+      },
+      { new: true }
+    );
+    
+    if (!conversation) {
+      const exists = await Conversation.exists({ tenantId, phone });
+      
+      throw exists
+        ? { type: 'conflict', message: 'Conversa já está atribuída a outro atendente' }
+        : { type: 'not-found', message: 'Conversa não encontrada' };
+    }
+    
+    eventBus.publish(tenantId, 'handoff.updated', {
+      phone,
+      handoff: conversation.handoff
+    });
+    
+    return conversation;
+  },
+  
+  /**
+   * Devolve a conversa para o bot
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @param {Object} user - Usuário que libera a conversa
+   * @returns {Promise<Object>} Conversa atualizada
+   */
+  releaseConversation: async (tenantId, phone, user) => {
+    return conversationService.updateHandoff(tenantId, phone, user, {
+      status: 'bot'
+    });
+  },
+  
+  /**
+   * Encerra o atendimento da conversa
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @param {Object} user - Usuário que encerra a conversa
+   * @returns {Promise<Object>} Conversa atualizada
+   */
+  closeConversation: async (tenantId, phone, user) => {
+    return conversationService.updateHandoff(tenantId, phone, user, {
+      status: 'closed',
+      closedAt: new Date()
+    });
+  },
+  
+  /**
+   * Altera o estado de atendimento, validando se o usuário pode fazê-lo
+   * Apenas o atendente responsável ou um admin podem alterar uma conversa atribuída
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @param {Object} user - Usuário que faz a alteração
+   * @param {Object} handoff - Novos dados de atendimento
+   * @returns {Promise<Object>} Conversa atualizada
+   */
+  updateHandoff: async (tenantId, phone, user, handoff) => {
+    const conversation = await Conversation.findOne({ tenantId, phone });
+    
+    if (!conversation) {
+      throw { type: 'not-found', message: 'Conversa não encontrada' };
+    }
+    
+    const assignedTo = conversation.handoff.assignedTo;
+    const isAdmin = ['admin', 'super-admin'].includes(user.role);
+    
+    if (assignedTo && !assignedTo.equals(user._id) && !isAdmin) {
+      throw { type: 'forbidden', message: 'Conversa está atribuída a outro atendente' };
+    }
+    
+    conversation.handoff = handoff;
+    await conversation.save();
+    
+    eventBus.publish(tenantId, 'handoff.updated', {
+      phone,
+      handoff: conversation.handoff
+    });
+    
+    return conversation;
+  }
+};
+
+module.exports = conversationService;
@@ -0,0 +1,197 @@
+const DeliveryZone = require('../models/deliveryZone');
+const Tenant = require('../models/tenant');
+const { tokenize } = require('../utils/fuzzy');
+
+const EARTH_RADIUS_KM = 6371;
+
+const formatPrice = (value) => `R$ ${value.toFixed(2)}`;
+
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// CEP citado no endereço em texto ("01310-100" ou "01310100")
+const findCep = (text) => {
+  const match = String(text || '').match(/\b(\d{5})-?(\d{3})\b/);
+
+  return match ? `${match[1]}${match[2]}` : null;
+};
+
+// Distância em linha reta entre dois pontos (fórmula de haversine)
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Ponto dentro do polígono (ray casting)
+const insidePolygon = (point, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Palavras do bairro em sequência no endereço ("jardim america" em "Rua X, 10 - Jardim América")
+const containsWords = (tokens, words) => {
+  if (words.length === 0) return false;
+
+  return tokens.some((token, start) => words.every((word, index) => tokens[start + index] === word));
+};
+
+// Endereço do pedido no formato usado pelas zonas
+// Do endereço estruturado vêm o bairro e o CEP; do texto, o CEP citado nele
+const toLocation = (address, details = {}, coordinates) => ({
+  tokens: tokenize(address),
+  neighborhood: details.neighborhood ? tokenize(details.neighborhood) : null,
+  cep: details.cep || findCep(address),
+  coordinates: coordinates && coordinates.lat !== undefined && coordinates.lng !== undefined
+    ? coordinates
+    : null
+});
+
+// Zonas que dependem das coordenadas do endereço
+const GEOGRAPHIC_TYPES = ['radius', 'polygon'];
+
+// Verifica se o endereço está na zona, conforme o tipo da zona
+const MATCHERS = {
+  neighborhoods: (zone, location) => {
+    return zone.neighborhoods.some(neighborhood => {
+      const words = tokenize(neighborhood);
+
+      return location.neighborhood
+        ? words.join(' ') === location.neighborhood.join(' ')
+        : containsWords(location.tokens, words);
+    });
+  },
+  'cep-range': (zone, location) => {
+    return Boolean(location.cep) &&
+      zone.cepRanges.some(range => location.cep >= onlyDigits(range.from) && location.cep <= onlyDigits(range.to));
+  },
+  radius: (zone, location, origin) => {
+    return Boolean(location.coordinates && origin) && distanceKm(origin, location.coordinates) <= zone.radiusKm;
+  },
+  polygon: (zone, location) => {
+    return Boolean(location.coordinates) && insidePolygon(location.coordinates, zone.polygon);
+  }
+};
+
+const addressError = (message) => ({
+  type: 'validation',
+  message,
+  details: ['customer.address']
+});
+
+/**
+ * Serviço das zonas de entrega e do cálculo da taxa de entrega
+ */
+const deliveryService = {
+  /**
+   * Busca as zonas de entrega ativas do tenant
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<Array>} Zonas (objetos simples) na ordem de verificação
+   */
+  getActiveZones: async (tenantId) => {
+    return DeliveryZone.find({ tenantId, active: true })
+      .sort({ order: 1, name: 1 })
+      .lean();
+  },
+
+  /**
+   * Obtém as coordenadas da loja, usadas nas zonas por raio
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<Object|null>} { lat, lng } ou null se não configuradas
+   */
+  getOrigin: async (tenantId) => {
+    const tenant = await Tenant.findById(tenantId, { 'settings.store': 1 });
+    const location = tenant && tenant.settings.store && tenant.settings.store.location;
+
+    return location && location.lat !== undefined && location.lng !== undefined ? location : null;
+  },
+
+  /**
+   * Obtém a taxa de entrega fixa do tenant, usada enquanto não há zonas cadastradas
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<number>} Taxa de entrega (0 se não configurada)
+   */
+  getDefaultFee: async (tenantId) => {
+    const tenant = await Tenant.findById(tenantId, { 'settings.store': 1 });
+
+    return (tenant && tenant.settings.store && tenant.settings.store.deliveryFee) || 0;
+  },
+
+  /**
+   * Encontra a zona que atende o endereço
+   * @param {Array} zones - Zonas ativas (getActiveZones)
+   * @param {Object} address - Endereço do pedido
+   * @param {string} address.text - Endereço em texto
+   * @param {Object} address.details - Endereço estruturado (opcional)
+   * @param {Object} address.coordinates - Coordenadas do endereço ({ lat, lng }, opcional)
+   * @param {Object} origin - Coordenadas da loja (getOrigin)
+   * @returns {Object|null} Primeira zona que contém o endereço
+   */
+  findZone: (zones, address, origin) => {
+    const location = toLocation(address.text, address.details, address.coordinates);
+
+    return zones.find(zone => MATCHERS[zone.type](zone, location, origin)) || null;
+  },
+
+  /**
+   * Calcula a entrega do pedido pela zona do endereço
+   * Tenants sem zonas cadastradas não têm área de entrega definida: vale a taxa fixa do tenant, sem zona
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} order - Pedido
+   * @param {string} order.address - Endereço de entrega em texto
+   * @param {Object} order.details - Endereço estruturado (opcional)
+   * @param {Object} order.coordinates - Coordenadas do endereço ({ lat, lng }, opcional)
+   * @param {number} order.subtotal - Subtotal dos itens
+   * @returns {Promise<Object>} zoneId, zone, fee e estimatedMinutes
+   */
+  quote: async (tenantId, order) => {
+    const zones = await deliveryService.getActiveZones(tenantId);
+
+    if (zones.length === 0) {
+      return { fee: await deliveryService.getDefaultFee(tenantId) };
+    }
+
+    const geographic = zones.some(zone => GEOGRAPHIC_TYPES.includes(zone.type));
+    const origin = geographic ? await deliveryService.getOrigin(tenantId) : null;
+    const zone = deliveryService.findZone(zones, {
+      text: order.address,
+      details: order.details,
+      coordinates: order.coordinates
+    }, origin);
+
+    if (!zone) {
+      // Sem coordenadas, as zonas por raio ou polígono não têm como ser verificadas
+      throw addressError(geographic && !order.coordinates
+        ? 'Não foi possível localizar o endereço na área de entrega. Informe o bairro e o CEP'
+        : 'Endereço fora da área de entrega');
+    }
+
+    if (order.subtotal < (zone.minOrder || 0)) {
+      throw addressError(`O pedido mínimo para entrega em ${zone.name} é de ${formatPrice(zone.minOrder)}`);
+    }
+
+    return {
+      zoneId: zone._id,
+      zone: zone.name,
+      fee: zone.fee,
+      estimatedMinutes: zone.estimatedMinutes
+    };
+  }
+};
+
+module.exports = deliveryService;
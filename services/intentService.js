@@ -0,0 +1,187 @@
+const BotIntent = require('../models/botIntent');
+const logger = require('../utils/logger');
+const cacheManager = require('../utils/cacheManager');
+const { render } = require('../utils/template');
+
+// Intenções padrão, usadas quando o tenant não cadastrou uma com o mesmo nome
+const DEFAULT_INTENTS = [
+  {
+    name: 'handoff',
+    description: 'Solicita atendimento humano',
+    keywords: ['atendente', 'humano'],
+    synonyms: ['falar com atendente', 'falar com alguém', 'falar com alguem'],
+    responses: ['Certo! Um de nossos atendentes vai continuar o atendimento em instantes.'],
+    action: 'handoff',
+    priority: 60
+  },
+  {
+    name: 'notifications-off',
+    description: 'Desativa as notificações de pedido',
+    keywords: ['parar notificações', 'parar notificacoes'],
+    synonyms: ['desativar notificações', 'desativar notificacoes', 'não quero notificações', 'nao quero notificacoes'],
+    responses: ['Pronto! Você não receberá mais atualizações sobre seus pedidos. Para voltar a recebê-las, envie "ativar notificações".'],
+    action: 'opt-out',
+    priority: 55
+  },
+  {
+    name: 'notifications-on',
+    description: 'Reativa as notificações de pedido',
+    keywords: ['ativar notificações', 'ativar notificacoes'],
+    synonyms: ['receber notificações', 'receber notificacoes'],
+    responses: ['Pronto! Você voltará a receber atualizações sobre seus pedidos.'],
+    action: 'opt-in',
+    priority: 55
+  },
+  {
+    name: 'repeat-order',
+    description: 'Repete o último pedido do cliente',
+    keywords: ['repetir pedido', 'repetir'],
+    synonyms: ['pedir de novo', 'pedir novamente', 'mesmo pedido'],
+    responses: [],
+    action: 'repeat-order',
+    priority: 47
+  },
+  {
+    name: 'order-status',
+    description: 'Informa o status do último pedido',
+    keywords: ['meu pedido', 'status'],
+    synonyms: ['status do pedido', 'cadê meu pedido', 'cade meu pedido'],
+    responses: [],
+    action: 'order-status',
+    priority: 45
+  },
+  {
+    name: 'menu',
+    description: 'Exibe o cardápio',
+    keywords: ['cardápio', 'cardapio', 'menu'],
+    synonyms: [],
+    responses: [],
+    action: 'menu',
+    priority: 50
+  },
+  {
+    name: 'order',
+    description: 'Inicia um novo pedido',
+    keywords: ['pedido', 'pedir'],
+    synonyms: ['fazer pedido', 'quero pedir'],
+    responses: [],
+    action: 'order',
+    priority: 40
+  },
+  {
+    name: 'hours',
+    description: 'Horário de funcionamento',
+    keywords: ['horário', 'horario', 'funcionamento'],
+    synonyms: ['que horas abre', 'está aberto', 'esta aberto'],
+    responses: ['Estamos abertos de terça a domingo, das 18h às 23h.'],
+    action: 'reply',
+    priority: 30
+  },
+  {
+    name: 'delivery',
+    description: 'Informações sobre entrega',
+    keywords: ['entrega', 'delivery'],
+    synonyms: ['entregam', 'taxa de entrega'],
+    responses: ['Fazemos entregas em até 45 minutos para a região central. Taxa de entrega a partir de R$ 5,00.'],
+    action: 'reply',
+    priority: 20
+  },
+  {
+    name: 'greeting',
+    description: 'Saudação',
+    keywords: ['olá', 'ola', 'oi', 'bom dia', 'boa tarde', 'boa noite'],
+    synonyms: ['e aí', 'e ai', 'opa'],
+    responses: ['Olá! Bem-vindo ao atendimento {{tenant.name}}. Como posso ajudar?'],
+    action: 'reply',
+    priority: 10
+  },
+  {
+    name: 'fallback',
+    description: 'Resposta quando nenhuma intenção é reconhecida',
+    keywords: [],
+    synonyms: [],
+    responses: ['Não entendi sua mensagem. Por favor, tente novamente ou escolha uma das opções: Cardápio, Horários, Entrega ou Pedido.'],
+    action: 'reply',
+    priority: 0
+  }
+];
+
+/**
+ * Serviço para resolução de intenções e respostas do bot
+ */
+const intentService = {
+  DEFAULT_INTENTS,
+
+  /**
+   * Obtém as intenções do tenant combinadas com as intenções padrão
+   * Uma intenção do tenant substitui a padrão de mesmo nome
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<Array>} Intenções ativas ordenadas por prioridade
+   */
+  getIntents: async (tenantId) => {
+    try {
+      // Tentar obter do cache
+      const cacheKey = `tenant_${tenantId}_intents`;
+      const cachedIntents = cacheManager.get(cacheKey);
+
+      if (cachedIntents) {
+        return cachedIntents;
+      }
+
+      const tenantIntents = await BotIntent.find({ tenantId }).lean();
+      const overridden = new Set(tenantIntents.map(intent => intent.name));
+
+      const intents = [
+        ...DEFAULT_INTENTS.filter(intent => !overridden.has(intent.name)),
+        ...tenantIntents.filter(intent => intent.active)
+      ].sort((a, b) => b.priority - a.priority);
+
+      // Salvar no cache
+      cacheManager.set(cacheKey, intents);
+
+      return intents;
+    } catch (error) {
+      logger.error(`Erro ao buscar intenções para tenant ${tenantId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Obtém a intenção usada quando nenhuma outra é reconhecida
+   * @param {Array} intents - Intenções do tenant
+   * @returns {Object} Intenção de fallback
+   */
+  getFallbackIntent: (intents) => {
+    return intents.find(intent => intent.name === 'fallback')
+      || DEFAULT_INTENTS.find(intent => intent.name === 'fallback');
+  },
+
+  /**
+   * Monta a resposta de uma intenção, substituindo os placeholders
+   * @param {Object} intent - Intenção resolvida
+   * @param {Object} context - Dados disponíveis para os templates (tenant, customer)
+   * @returns {string} Resposta do bot
+   */
+  renderResponse: (intent, context) => {
+    const responses = intent.responses || [];
+
+    if (responses.length === 0) {
+      return '';
+    }
+
+    // Com várias respostas cadastradas, escolhe uma aleatoriamente
+    const template = responses[Math.floor(Math.random() * responses.length)];
+
+    return render(template, context);
+  },
+
+  /**
+   * Limpa o cache de intenções do tenant
+   * @param {string} tenantId - ID do tenant
+   */
+  clearCache: (tenantId) => {
+    cacheManager.delByPrefix(`tenant_${tenantId}_intents`);
+  }
+};
+
+module.exports = intentService;
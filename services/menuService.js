@@ -0,0 +1,128 @@
+const Category = require('../models/category');
+const Catalog = require('../models/catalog');
+const logger = require('../utils/logger');
+const cacheManager = require('../utils/cacheManager');
+
+// Quantidade de produtos exibidos por página do cardápio
+const PAGE_SIZE = 10;
+
+const formatPrice = (value) => `R$ ${value.toFixed(2)}`;
+
+// Linha de preço do produto (pizzas exibem os preços por tamanho)
+const formatProductPrice = (product) => {
+  if (product.productType === 'pizza' && product.sizesPrices && product.sizesPrices.length > 0) {
+    return product.sizesPrices
+      .map(size => `${size.sizeName} ${formatPrice(size.price)}`)
+      .join(' | ');
+  }
+
+  return formatPrice(product.price || 0);
+};
+
+/**
+ * Serviço para montagem do cardápio exibido pelo bot
+ */
+const menuService = {
+  PAGE_SIZE,
+
+  /**
+   * Busca o cardápio do tenant (categorias ativas e produtos disponíveis)
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<Array>} Produtos na ordem de exibição, com a categoria
+   */
+  getMenu: async (tenantId) => {
+    try {
+      // Tentar obter do cache
+      const cacheKey = `tenant_${tenantId}_menu`;
+      const cachedMenu = cacheManager.get(cacheKey);
+
+      if (cachedMenu) {
+        return cachedMenu;
+      }
+
+      const categories = await Category.find({ tenantId, active: true })
+        .sort({ order: 1, name: 1 });
+
+      const products = await Catalog.find({
+        tenantId,
+        available: true,
+        category: { $in: categories.map(category => category._id) }
+      }).sort({ name: 1 });
+
+      // Agrupar produtos seguindo a ordem das categorias
+      const menu = [];
+
+      categories.forEach(category => {
+        products
+          .filter(product => product.category.toString() === category._id.toString())
+          .forEach(product => {
+            menu.push({
+              id: product._id.toString(),
+              name: product.name,
+              description: product.description,
+              productType: product.productType,
+              price: product.price,
+              sizesPrices: product.sizesPrices.map(size => ({
+                sizeName: size.sizeName,
+                price: size.price
+              })),
+              category: category.name
+            });
+          });
+      });
+
+      // Salvar no cache
+      cacheManager.set(cacheKey, menu);
+
+      return menu;
+    } catch (error) {
+      logger.error(`Erro ao montar cardápio para tenant ${tenantId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Monta o texto de uma página do cardápio com opções numeradas
+   * A numeração é contínua entre as páginas, para que o cliente possa
+   * responder com o número de qualquer produto já exibido
+   * @param {Array} menu - Cardápio retornado por getMenu
+   * @param {number} page - Página a exibir (começando em 1)
+   * @returns {Object} Texto da página, página atual e total de páginas
+   */
+  renderPage: (menu, page = 1) => {
+    const pages = Math.max(Math.ceil(menu.length / PAGE_SIZE), 1);
+    const currentPage = Math.min(Math.max(page, 1), pages);
+    const start = (currentPage - 1) * PAGE_SIZE;
+
+    const lines = ['📋 CARDÁPIO 📋'];
+    let lastCategory = null;
+
+    menu.slice(start, start + PAGE_SIZE).forEach((product, index) => {
+      if (product.category !== lastCategory) {
+        lines.push('', `*${product.category}*`);
+        lastCategory = product.category;
+      }
+
+      lines.push(`${start + index + 1} - ${product.name}`);
+      lines.push(`    ${formatProductPrice(product)}`);
+    });
+
+    lines.push('');
+
+    if (currentPage < pages) {
+      lines.push(`Página ${currentPage} de ${pages}. Digite "mais" para ver a próxima página.`);
+    } else if (pages > 1) {
+      lines.push(`Página ${currentPage} de ${pages}.`);
+    }
+
+    lines.push('Digite o número do produto para fazer seu pedido ou "cancelar" para sair.');
+
+    return {
+      text: lines.join('\n'),
+      page: currentPage,
+      pages
+    };
+  }
+};
+
+module.exports = menuService;
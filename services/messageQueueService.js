@@ -0,0 +1,233 @@
+const OutboundMessage = require('../models/outboundMessage');
+const Message = require('../models/message');
+const Tenant = require('../models/tenant');
+const channels = require('./channels');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Ordem dos status de entrega, para não regredir com confirmações fora de ordem
+const STATUS_RANK = {
+  queued: 0,
+  sending: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3
+};
+
+// Espera antes da próxima tentativa: base * 2^(tentativas - 1), limitada ao máximo
+const backoffDelay = (attempts) => {
+  const delay = config.queue.baseDelay * Math.pow(2, attempts - 1);
+  return Math.min(delay, config.queue.maxDelay);
+};
+
+// Reflete o status de entrega (e o ID no provedor) na mensagem correspondente da conversa
+const updateConversationStatus = (outbound, status) => {
+  const update = { deliveryStatus: status };
+  
+  if (outbound.providerMessageId) {
+    update.providerMessageId = outbound.providerMessageId;
+  }
+  
+  return Message.updateOne(
+    { outboundMessageId: outbound._id },
+    { $set: update }
+  );
+};
+
+/**
+ * Serviço da fila persistente de mensagens de saída
+ */
+const messageQueueService = {
+  /**
+   * Coloca uma mensagem na fila de envio
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do destinatário
+   * @param {string} content - Mensagem a ser enviada
+   * @param {Object} options - Opções adicionais
+   * @param {string} options.channel - Canal a usar no lugar do configurado no tenant
+   * @param {Array} options.buttons - Botões de resposta rápida ({ id, title })
+   * @returns {Promise<Object>} Mensagem enfileirada
+   */
+  enqueue: async (tenantId, phone, content, options = {}) => {
+    try {
+      const outbound = new OutboundMessage({
+        tenantId,
+        phone,
+        content,
+        channel: options.channel,
+        buttons: options.buttons
+      });
+
+      await outbound.save();
+
+      return outbound;
+    } catch (error) {
+      logger.error(`Erro ao enfileirar mensagem para ${phone} (tenant ${tenantId}):`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Processa as mensagens da fila cujo horário de envio já chegou
+   * @param {number} batchSize - Quantidade máxima de mensagens por execução
+   * @returns {Promise<number>} Quantidade de mensagens processadas
+   */
+  processQueue: async (batchSize = config.queue.batchSize) => {
+    let processed = 0;
+
+    while (processed < batchSize) {
+      const now = new Date();
+
+      // Reservar a próxima mensagem (inclui envios travados por queda do processo)
+      const outbound = await OutboundMessage.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'queued', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedUntil: { $lte: now } }
+          ]
+        },
+        {
+          $set: {
+            status: 'sending',
+            lockedUntil: new Date(now.getTime() + config.queue.lockTimeout)
+          },
+          $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+
+      if (!outbound) break;
+
+      await messageQueueService.deliver(outbound);
+      processed++;
+    }
+
+    return processed;
+  },
+
+  /**
+   * Envia uma mensagem reservada pelo canal do tenant e registra o resultado
+   * @param {Object} outbound - Mensagem da fila
+   * @returns {Promise<Object>} Mensagem atualizada
+   */
+  deliver: async (outbound) => {
+    try {
+      const tenant = await Tenant.findById(outbound.tenantId);
+
+      if (!tenant) {
+        throw new Error(`Tenant ${outbound.tenantId} não encontrado`);
+      }
+
+      const adapter = channels.getAdapter(tenant, outbound.channel);
+      const result = await adapter.send(tenant, outbound.phone, outbound.content, {
+        buttons: outbound.buttons
+      });
+
+      outbound.status = 'sent';
+      outbound.sentAt = new Date();
+      outbound.providerMessageId = result.providerMessageId;
+      outbound.lockedUntil = undefined;
+      outbound.lastError = undefined;
+      await outbound.save();
+
+      await updateConversationStatus(outbound, 'sent');
+
+      logger.debug(`Mensagem ${outbound._id} enviada via ${adapter.name} para ${outbound.phone}`);
+    } catch (error) {
+      outbound.lastError = error.message;
+      outbound.lockedUntil = undefined;
+
+      if (outbound.attempts >= config.queue.maxAttempts) {
+        // Esgotou as tentativas: mover para a fila de mensagens mortas
+        outbound.status = 'failed';
+        outbound.failedAt = new Date();
+        outbound.deadLettered = true;
+
+        await updateConversationStatus(outbound, 'failed');
+
+        logger.error(`Mensagem ${outbound._id} para ${outbound.phone} falhou após ${outbound.attempts} tentativas:`, error);
+      } else {
+        outbound.status = 'queued';
+        outbound.nextAttemptAt = new Date(Date.now() + backoffDelay(outbound.attempts));
+
+        logger.warn(`Falha ao enviar mensagem ${outbound._id} (tentativa ${outbound.attempts}): ${error.message}`);
+      }
+
+      await outbound.save();
+    }
+
+    return outbound;
+  },
+
+  /**
+   * Atualiza o status de entrega informado pelo provedor
+   * @param {string} tenantId - ID do tenant dono do webhook
+   * @param {string} providerMessageId - ID da mensagem no provedor
+   * @param {string} status - Novo status (sent, delivered, read, failed)
+   * @param {Object} details - Data do evento e erro informado pelo provedor
+   * @returns {Promise<Object|null>} Mensagem atualizada
+   */
+  updateDeliveryStatus: async (tenantId, providerMessageId, status, details = {}) => {
+    try {
+      const outbound = await OutboundMessage.findOne({ tenantId, providerMessageId });
+
+      if (!outbound) {
+        return null;
+      }
+
+      const timestamp = details.timestamp || new Date();
+
+      if (status === 'failed') {
+        outbound.status = 'failed';
+        outbound.failedAt = timestamp;
+        outbound.lastError = details.error;
+      } else if (STATUS_RANK[status] > (STATUS_RANK[outbound.status] || 0)) {
+        outbound.status = status;
+
+        if (status === 'delivered') outbound.deliveredAt = timestamp;
+        if (status === 'read') outbound.readAt = timestamp;
+      } else {
+        return outbound;
+      }
+
+      await outbound.save();
+      await updateConversationStatus(outbound, outbound.status);
+
+      return outbound;
+    } catch (error) {
+      logger.error(`Erro ao atualizar status da mensagem ${providerMessageId} (tenant ${tenantId}):`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Recoloca na fila uma mensagem que falhou
+   * @param {string} tenantId - ID do tenant
+   * @param {string} outboundId - ID da mensagem na fila
+   * @returns {Promise<Object|null>} Mensagem reenfileirada
+   */
+  retry: async (tenantId, outboundId) => {
+    const outbound = await OutboundMessage.findOne({
+      _id: outboundId,
+      tenantId,
+      status: 'failed'
+    });
+
+    if (!outbound) {
+      return null;
+    }
+
+    outbound.status = 'queued';
+    outbound.attempts = 0;
+    outbound.nextAttemptAt = new Date();
+    outbound.deadLettered = false;
+    outbound.failedAt = undefined;
+    await outbound.save();
+
+    await updateConversationStatus(outbound, 'queued');
+
+    return outbound;
+  }
+};
+
+module.exports = messageQueueService;
@@ -0,0 +1,62 @@
+const axios = require('axios');
+const config = require('../../config/config');
+
+/**
+ * Classificador remoto: envia a mensagem e as intenções do tenant para um serviço HTTP
+ * (ex.: um proxy para um modelo de linguagem) e usa a intenção devolvida
+ *
+ * Requisição (POST): { message, locale, model, intents: [{ name, description, examples }] }
+ * Resposta esperada: { intent: 'nome-da-intencao' | null, confidence: 0..1, entities: { products } }
+ */
+const httpClassifier = {
+  name: 'http',
+
+  /**
+   * Classifica a mensagem no serviço configurado para o tenant
+   * @param {Object} tenant - Tenant com as configurações de NLU
+   * @param {string} message - Mensagem recebida
+   * @param {Array} intents - Intenções ordenadas por prioridade
+   * @returns {Promise<Object>} Intenção, confiança e entidades ({ products })
+   */
+  classify: async (tenant, message, intents) => {
+    const settings = (tenant.settings.nlu && tenant.settings.nlu.http) || {};
+
+    if (!settings.url) {
+      throw new Error('Serviço de NLU não configurado para o tenant');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (settings.apiKey) {
+      headers.Authorization = `Bearer ${settings.apiKey}`;
+    }
+
+    const response = await axios.post(settings.url, {
+      message,
+      locale: 'pt-BR',
+      model: settings.model,
+      intents: intents.map(intent => ({
+        name: intent.name,
+        description: intent.description,
+        examples: [...(intent.keywords || []), ...(intent.synonyms || [])]
+      }))
+    }, {
+      headers,
+      timeout: config.nlu.timeout
+    });
+
+    const data = response.data || {};
+    const entities = data.entities || {};
+
+    // Intenções desconhecidas pelo tenant são descartadas
+    return {
+      intent: intents.find(intent => intent.name === data.intent) || null,
+      confidence: Number(data.confidence) || 0,
+      entities: {
+        products: Array.isArray(entities.products) ? entities.products : []
+      }
+    };
+  }
+};
+
+module.exports = httpClassifier;
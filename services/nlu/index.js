@@ -0,0 +1,71 @@
+const localClassifier = require('./localClassifier');
+const httpClassifier = require('./httpClassifier');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+// Classificadores disponíveis, indexados pelo nome do provedor
+const classifiers = {
+  [localClassifier.name]: localClassifier,
+  [httpClassifier.name]: httpClassifier
+};
+
+/**
+ * Obtém o classificador de intenções configurado para o tenant
+ * Todo classificador expõe classify(tenant, message, intents, options)
+ * => { intent, confidence, entities: { products } }
+ * @param {Object} tenant - Tenant
+ * @param {string} provider - Provedor a usar no lugar do configurado (opcional)
+ * @returns {Object} Classificador
+ */
+const getClassifier = (tenant, provider) => {
+  if (!provider) {
+    const nlu = tenant.settings && tenant.settings.nlu;
+    provider = (nlu && nlu.provider) || localClassifier.name;
+  }
+
+  const classifier = classifiers[provider];
+
+  if (!classifier) {
+    throw new Error(`Provedor de NLU desconhecido: ${provider}`);
+  }
+
+  return classifier;
+};
+
+/**
+ * Classifica a mensagem com o provedor do tenant
+ * Se o provedor remoto falhar ou não tiver confiança suficiente, usa o classificador local
+ * @param {Object} tenant - Tenant
+ * @param {string} message - Mensagem recebida
+ * @param {Array} intents - Intenções ordenadas por prioridade
+ * @param {Object} options - Opções adicionais
+ * @param {string} options.provider - Provedor a usar no lugar do configurado
+ * @returns {Promise<Object>} Intenção, confiança, entidades e provedor usado
+ */
+const classify = async (tenant, message, intents, options = {}) => {
+  const nlu = (tenant.settings && tenant.settings.nlu) || {};
+  const minConfidence = nlu.minConfidence || config.nlu.minConfidence;
+  const classifier = getClassifier(tenant, options.provider);
+
+  if (classifier !== localClassifier) {
+    try {
+      const result = await classifier.classify(tenant, message, intents, { minConfidence });
+
+      if (result.intent && result.confidence >= minConfidence) {
+        return { ...result, provider: classifier.name };
+      }
+    } catch (error) {
+      logger.warn(`Falha no provedor de NLU ${classifier.name} para tenant ${tenant._id}: ${error.message}`);
+    }
+  }
+
+  const result = await localClassifier.classify(tenant, message, intents, { minConfidence });
+
+  return { ...result, provider: localClassifier.name };
+};
+
+module.exports = {
+  classifiers,
+  getClassifier,
+  classify
+};
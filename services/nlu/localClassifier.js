@@ -0,0 +1,94 @@
+const menuService = require('../menuService');
+const { tokenize, wordSimilarity, termSimilarity } = require('../../utils/fuzzy');
+
+// Similaridade mínima de um produto do cardápio para ser reconhecido na mensagem
+const PRODUCT_THRESHOLD = 0.5;
+
+// Produtos do cardápio citados na mensagem, dos mais parecidos para os menos
+// Palavras repetidas em vários nomes ("pizza") pesam menos que as que distinguem o produto
+const findProducts = (tokens, menu) => {
+  const products = menu.map(product => ({ product, nameTokens: tokenize(product.name) }));
+  const frequency = {};
+
+  products.forEach(({ nameTokens }) => {
+    new Set(nameTokens).forEach(nameToken => {
+      frequency[nameToken] = (frequency[nameToken] || 0) + 1;
+    });
+  });
+
+  return products
+    .map(({ product, nameTokens }) => {
+      let matched = 0;
+      let total = 0;
+
+      nameTokens.forEach(nameToken => {
+        const weight = 1 / frequency[nameToken];
+
+        matched += weight * Math.max(0, ...tokens.map(token => wordSimilarity(token, nameToken)));
+        total += weight;
+      });
+
+      return {
+        id: product.id,
+        name: product.name,
+        score: total > 0 ? matched / total : 0
+      };
+    })
+    .filter(product => product.score >= PRODUCT_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Classificador local: compara palavras-chave e sinônimos das intenções com a mensagem,
+ * ignorando acentos e tolerando pequenos erros de digitação
+ * Também reconhece produtos do cardápio citados na mensagem
+ */
+const localClassifier = {
+  name: 'local',
+
+  /**
+   * Classifica a mensagem
+   * @param {Object} tenant - Tenant
+   * @param {string} message - Mensagem recebida
+   * @param {Array} intents - Intenções ordenadas por prioridade
+   * @param {Object} options - Opções adicionais
+   * @param {number} options.minConfidence - Similaridade mínima para aceitar um termo aproximado
+   * @returns {Promise<Object>} Intenção, confiança e entidades ({ products })
+   */
+  classify: async (tenant, message, intents, options = {}) => {
+    const tokens = tokenize(message);
+    const minConfidence = options.minConfidence || 0;
+
+    let intent = null;
+    let confidence = 0;
+
+    for (const candidate of intents) {
+      const terms = [...(candidate.keywords || []), ...(candidate.synonyms || [])];
+      const similarity = Math.max(0, ...terms.map(term => termSimilarity(tokens, tokenize(term))));
+
+      // Termo exato vence pela prioridade; aproximações disputam pela similaridade
+      if (similarity === 1) {
+        intent = candidate;
+        confidence = 1;
+        break;
+      }
+
+      if (similarity >= minConfidence && similarity > confidence) {
+        intent = candidate;
+        confidence = similarity;
+      }
+    }
+
+    const menu = await menuService.getMenu(tenant._id);
+
+    return {
+      intent,
+      confidence,
+      entities: {
+        products: findProducts(tokens, menu)
+      }
+    };
+  }
+};
+
+module.exports = localClassifier;
@@ -0,0 +1,152 @@
+const Tenant = require('../models/tenant');
+const Conversation = require('../models/conversation');
+const messageQueueService = require('./messageQueueService');
+const logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const { render } = require('../utils/template');
+
+// Nomes dos status exibidos ao cliente
+const STATUS_LABELS = {
+  'pending': 'Pendente',
+  'confirmed': 'Confirmado',
+  'preparing': 'Em preparo',
+  'delivering': 'Saiu para entrega',
+  'completed': 'Entregue',
+  'cancelled': 'Cancelado'
+};
+
+const header = `🔔 ATUALIZAÇÃO DE PEDIDO 🔔
+Número: {{order.number}}
+Status: {{order.status}}
+
+`;
+
+// Mensagens padrão por status, usadas quando o tenant não personalizou o template
+const DEFAULT_STATUS_TEMPLATES = {
+  'confirmed': `${header}Seu pedido foi confirmado e está sendo preparado.`,
+  'preparing': `${header}Seu pedido está sendo preparado na cozinha.`,
+  'delivering': `${header}Seu pedido saiu para entrega! Chega em breve.`,
+  'completed': `${header}Seu pedido foi entregue. Bom apetite! Agradecemos a preferência.`,
+  'cancelled': `${header}Seu pedido foi cancelado. Entre em contato para mais informações.`
+};
+
+/**
+ * Serviço de notificações enviadas ao cliente
+ */
+const notificationService = {
+  STATUS_LABELS,
+  DEFAULT_STATUS_TEMPLATES,
+
+  /**
+   * Obtém os templates de status do tenant combinados com os padrões
+   * @param {Object} tenant - Tenant
+   * @returns {Object} Template por status
+   */
+  getStatusTemplates: (tenant) => {
+    const custom = (tenant.settings && tenant.settings.statusMessages) || {};
+    const templates = {};
+
+    Object.keys(DEFAULT_STATUS_TEMPLATES).forEach(status => {
+      templates[status] = custom[status] || DEFAULT_STATUS_TEMPLATES[status];
+    });
+
+    return templates;
+  },
+
+  /**
+   * Notifica o cliente sobre uma mudança de status no pedido
+   * A mensagem vai para a fila de saída e fica registrada no histórico da conversa
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} order - Pedido atualizado
+   * @returns {Promise<boolean>} true se a notificação foi enfileirada
+   */
+  notifyStatusChange: async (tenantId, order) => {
+    try {
+      const tenant = await Tenant.findById(tenantId);
+
+      if (!tenant) {
+        logger.error(`Tenant ${tenantId} não encontrado ao notificar mudança de status`);
+        return false;
+      }
+
+      const template = notificationService.getStatusTemplates(tenant)[order.status];
+
+      // Status sem mensagem configurada não geram notificação
+      if (!template) {
+        return false;
+      }
+
+      const phone = order.customer.phone;
+      const conversation = await Conversation.findOne(
+        { tenantId, phone },
+        { channel: 1, notificationsOptOut: 1 }
+      );
+
+      if (conversation && conversation.notificationsOptOut) {
+        logger.info(`Cliente ${phone} desativou as notificações; pedido ${order.orderNumber} não notificado`);
+        return false;
+      }
+
+      const content = render(template, {
+        tenant: { name: tenant.name, phone: tenant.contact.phone },
+        customer: { name: order.customer.name, phone },
+        order: {
+          number: order.orderNumber,
+          status: STATUS_LABELS[order.status] || order.status,
+          total: order.total.toFixed(2)
+        }
+      });
+
+      const outbound = await messageQueueService.enqueue(tenantId, phone, content, {
+        channel: conversation ? conversation.channel : undefined
+      });
+
+      // Registrar a notificação no histórico da conversa
+      await Conversation.addMessage(tenantId, phone, {
+        content,
+        sender: { type: 'system' },
+        isFromBot: true,
+        deliveryStatus: 'queued',
+        outboundMessageId: outbound._id,
+        notification: {
+          orderId: order._id,
+          status: order.status
+        }
+      });
+
+      eventBus.publish(tenantId, 'message.notification', {
+        phone,
+        content,
+        orderNumber: order.orderNumber,
+        status: order.status
+      });
+
+      return true;
+    } catch (error) {
+      logger.error(`Erro ao notificar mudança de status para pedido ${order.orderNumber}:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Ativa ou desativa as notificações de pedido para um cliente
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @param {boolean} optOut - true para deixar de receber notificações
+   * @returns {Promise<Object>} Resultado da atualização
+   */
+  setOptOut: (tenantId, phone, optOut) => {
+    return Conversation.updateOne(
+      { tenantId, phone },
+      {
+        $set: {
+          notificationsOptOut: optOut,
+          notificationsOptOutAt: optOut ? new Date() : null
+        }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = notificationService;
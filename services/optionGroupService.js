@@ -0,0 +1,75 @@
+const OptionGroup = require('../models/optionGroup');
+
+// Grupo ativo apenas com as opções ativas, na ordem de exibição
+const activeOptions = (group) => ({
+  ...group,
+  options: group.options
+    .filter(option => option.active !== false)
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+});
+
+/**
+ * Serviço dos grupos de opções dos produtos (massas, adicionais, coberturas...)
+ */
+const optionGroupService = {
+  /**
+   * Busca os grupos ativos do tenant
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<Array>} Grupos (objetos simples) com todas as opções
+   */
+  getActiveGroups: async (tenantId) => {
+    return OptionGroup.find({ tenantId, active: true })
+      .sort({ order: 1, name: 1 })
+      .lean();
+  },
+
+  /**
+   * Seleciona os grupos associados ao produto entre os grupos já carregados
+   * @param {Object} product - Produto do catálogo
+   * @param {Array} groups - Grupos ativos do tenant (getActiveGroups)
+   * @returns {Array} Grupos do produto, na ordem do produto, só com opções ativas
+   */
+  forProduct: (product, groups) => {
+    return (product.optionGroups || [])
+      .map(groupId => groups.find(group => String(group._id) === String(groupId)))
+      .filter(Boolean)
+      .map(activeOptions)
+      .filter(group => group.options.length > 0);
+  },
+
+  /**
+   * Busca os grupos de opções de um produto
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} product - Produto do catálogo
+   * @returns {Promise<Array>} Grupos do produto, na ordem do produto, só com opções ativas
+   */
+  getProductGroups: async (tenantId, product) => {
+    if (!product.optionGroups || product.optionGroups.length === 0) {
+      return [];
+    }
+
+    const groups = await OptionGroup.find({
+      _id: { $in: product.optionGroups },
+      tenantId,
+      active: true
+    }).lean();
+
+    return optionGroupService.forProduct(product, groups);
+  },
+
+  /**
+   * Quantidade mínima de opções a escolher no grupo
+   * @param {Object} group - Grupo de opções
+   * @param {number} selected - Quantidade de opções já escolhidas
+   * @returns {number} Mínimo exigido (grupos opcionais podem ficar sem escolha)
+   */
+  minSelections: (group, selected) => {
+    if (group.required) {
+      return Math.max(group.minSelections || 0, 1);
+    }
+
+    return selected > 0 ? group.minSelections || 0 : 0;
+  }
+};
+
+module.exports = optionGroupService;
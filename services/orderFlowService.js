@@ -0,0 +1,1002 @@
+const Category = require('../models/category');
+const Catalog = require('../models/catalog');
+const orderService = require('./orderService');
+const pricingService = require('./pricingService');
+const menuService = require('./menuService');
+const optionGroupService = require('./optionGroupService');
+const bundleService = require('./bundleService');
+const deliveryService = require('./deliveryService');
+const logger = require('../utils/logger');
+
+// Etapas do fluxo de pedido pelo bot
+const STEPS = {
+  IDLE: 'idle',
+  MENU: 'menu',
+  CATEGORY: 'category',
+  PRODUCT: 'product',
+  SIZE: 'size',
+  OPTIONS: 'options',
+  COMPONENT: 'component',
+  QUANTITY: 'quantity',
+  MORE_ITEMS: 'more-items',
+  NAME: 'name',
+  ADDRESS: 'address',
+  PAYMENT: 'payment',
+  CHANGE: 'change',
+  CONFIRM: 'confirm'
+};
+
+const PAYMENT_METHODS = [
+  { id: 'pix', name: 'PIX' },
+  { id: 'credit-card', name: 'Cartão de crédito' },
+  { id: 'cash', name: 'Dinheiro' }
+];
+
+const CANCEL_KEYWORDS = ['cancelar', 'sair'];
+const RESUME_KEYWORDS = ['continuar', 'continuar pedido'];
+const NEXT_PAGE_KEYWORDS = ['mais', 'próxima', 'proxima'];
+const YES_KEYWORDS = ['sim', 's', '1', 'confirmar'];
+const NO_KEYWORDS = ['não', 'nao', 'n', '2'];
+
+const idleState = () => ({ step: STEPS.IDLE, data: {} });
+
+const formatPrice = (value) => `R$ ${value.toFixed(2)}`;
+
+// Lista numerada de opções (1 - Opção)
+const formatChoices = (choices) => {
+  return choices
+    .map((choice, index) => {
+      const price = choice.price ? ` - ${formatPrice(choice.price)}` : '';
+      return `${index + 1} - ${choice.name}${price}`;
+    })
+    .join('\n');
+};
+
+// Interpreta a resposta do cliente como número da opção ou nome exato
+const parseChoice = (message, choices = []) => {
+  const text = message.trim().toLowerCase();
+  const index = parseInt(text, 10);
+
+  if (!isNaN(index) && String(index) === text) {
+    return choices[index - 1] || null;
+  }
+
+  return choices.find(choice => choice.name.toLowerCase() === text) || null;
+};
+
+const sumOptions = (options = []) => options.reduce((sum, opt) => sum + (opt.price || 0), 0);
+
+// Mesmo cálculo usado por orderService.createOrder
+// Nos combos, as opções dos componentes são cobradas à parte
+const itemTotal = (item) => {
+  const optionsTotal = sumOptions(item.options) +
+    (item.components || []).reduce((sum, component) => sum + sumOptions(component.options), 0);
+  return item.quantity * (item.unitPrice + optionsTotal);
+};
+
+const cartTotal = (items = []) => items.reduce((sum, item) => sum + itemTotal(item), 0);
+
+// Itens mais a taxa da zona de entrega, quando o endereço já foi verificado
+const orderTotal = (data) => cartTotal(data.items) + (data.delivery ? data.delivery.fee : 0);
+
+// Taxa e previsão da zona que atende o endereço (sem zonas cadastradas, não há taxa)
+// Endereços fora da área de entrega geram erro de validação
+const quoteDelivery = async (tenantId, data) => {
+  const delivery = await deliveryService.quote(tenantId, {
+    address: data.customer.address,
+    coordinates: data.customer.location,
+    subtotal: cartTotal(data.items)
+  });
+
+  return {
+    ...data,
+    delivery: { zone: delivery.zone, fee: delivery.fee, estimatedMinutes: delivery.estimatedMinutes }
+  };
+};
+
+// Sem zona e sem taxa fixa, não há o que informar sobre a entrega
+const formatDelivery = (delivery) => {
+  if (!delivery || (!delivery.zone && !delivery.fee)) return '';
+
+  const estimate = delivery.estimatedMinutes ? `\nPrevisão de entrega: ${delivery.estimatedMinutes} min` : '';
+  return `\nTaxa de entrega: ${formatPrice(delivery.fee)}${estimate}`;
+};
+
+const formatCart = (items = []) => {
+  return items
+    .map(item => {
+      const components = (item.components || []).map(component => {
+        return component.options && component.options.length > 0
+          ? `${component.name} + ${component.options.map(opt => opt.name).join(', ')}`
+          : component.name;
+      });
+      const details = [...components, ...(item.options || []).map(opt => opt.name)];
+      const options = details.length > 0 ? ` (${details.join(', ')})` : '';
+      return `${item.quantity}x ${item.name}${options} - ${formatPrice(itemTotal(item))}`;
+    })
+    .join('\n');
+};
+
+// ==== PROMPTS DE CADA ETAPA ====
+
+const promptMenu = async (tenantId, data, page = 1) => {
+  const menu = await menuService.getMenu(tenantId);
+
+  if (menu.length === 0) {
+    return {
+      state: idleState(),
+      response: 'Desculpe, nosso cardápio está indisponível no momento.'
+    };
+  }
+
+  const rendered = menuService.renderPage(menu, page);
+  const choices = menu.map(product => ({ id: product.id, name: product.name }));
+
+  return {
+    state: { step: STEPS.MENU, data: { ...data, choices, menuPage: rendered.page } },
+    response: rendered.text
+  };
+};
+
+const promptCategories = async (tenantId, data) => {
+  const categories = await Category.find({ tenantId, active: true })
+    .sort({ order: 1, name: 1 });
+
+  if (categories.length === 0) {
+    return {
+      state: idleState(),
+      response: 'Desculpe, não há categorias disponíveis no momento.'
+    };
+  }
+
+  const choices = categories.map(category => ({
+    id: category._id.toString(),
+    name: category.name
+  }));
+
+  return {
+    state: { step: STEPS.CATEGORY, data: { ...data, choices } },
+    response: `Escolha uma categoria:\n${formatChoices(choices)}\n\nDigite o número da opção ou "cancelar" para sair.`
+  };
+};
+
+const promptProducts = async (tenantId, data, categoryId) => {
+  const products = await Catalog.find({
+    tenantId,
+    category: categoryId,
+    available: true
+  }).sort({ name: 1 });
+
+  if (products.length === 0) {
+    const result = await promptCategories(tenantId, data);
+    result.response = `Nenhum produto disponível nesta categoria.\n\n${result.response}`;
+    return result;
+  }
+
+  const choices = products.map(product => ({
+    id: product._id.toString(),
+    name: product.name
+  }));
+
+  return {
+    state: { step: STEPS.PRODUCT, data: { ...data, choices } },
+    response: `Escolha um produto:\n${formatChoices(choices)}`
+  };
+};
+
+const promptSizes = (data, product) => {
+  const choices = product.sizesPrices.map(size => ({
+    id: size.sizeId ? size.sizeId.toString() : size.sizeName,
+    sizeId: size.sizeId ? size.sizeId.toString() : undefined,
+    name: size.sizeName,
+    price: size.price
+  }));
+
+  return {
+    state: { step: STEPS.SIZE, data: { ...data, choices } },
+    response: `Escolha o tamanho:\n${formatChoices(choices)}`
+  };
+};
+
+// Como responder às opções do grupo, conforme o mínimo e o máximo de escolhas
+const optionsHint = (group) => {
+  const skip = group.required ? '' : ' ou 0 para nenhuma';
+
+  if (group.maxSelections === 1) {
+    return `Digite o número da opção${skip}.`;
+  }
+
+  const min = optionGroupService.minSelections(group, 1);
+  const range = min > 1 ? `de ${min} a ${group.maxSelections}` : `até ${group.maxSelections}`;
+
+  return `Digite ${range} números separados por vírgula${skip}.`;
+};
+
+// Grupo de opções no formato guardado no estado do diálogo
+const toGroupPrompt = (group) => ({
+  id: group._id.toString(),
+  name: group.name,
+  required: group.required,
+  minSelections: group.minSelections,
+  maxSelections: group.maxSelections,
+  choices: group.options.map(option => ({
+    id: option._id.toString(),
+    name: option.name,
+    price: option.price
+  }))
+});
+
+// Uma escolha por unidade de cada vaga do combo ("Pizza 1", "Pizza 2", "Bebida")
+const loadBundleSlots = async (tenantId, product) => {
+  const slots = [];
+
+  for (const slot of product.bundleSlots) {
+    const products = await bundleService.getSlotProducts(tenantId, slot);
+    const choices = products.map(choice => ({ id: choice._id.toString(), name: choice.name }));
+
+    for (let unit = 1; unit <= slot.quantity; unit++) {
+      slots.push({
+        id: slot._id.toString(),
+        name: slot.quantity > 1 ? `${slot.name} ${unit}` : slot.name,
+        sizeId: slot.sizeId ? slot.sizeId.toString() : undefined,
+        choices
+      });
+    }
+  }
+
+  return slots;
+};
+
+// Próxima escolha do item: as vagas do combo e as opções de cada componente,
+// depois os grupos de opções do próprio produto e, por fim, a quantidade
+const promptOptions = (data) => {
+  const [group] = data.groups || [];
+  const [slot] = data.slots || [];
+
+  if (group && (group.component !== undefined || !slot)) {
+    return {
+      state: { step: STEPS.OPTIONS, data: { ...data, choices: group.choices } },
+      response: `*${group.name}*\n${formatChoices(group.choices)}\n\n${optionsHint(group)}`
+    };
+  }
+
+  if (slot) {
+    return {
+      state: { step: STEPS.COMPONENT, data: { ...data, choices: slot.choices } },
+      response: `*${slot.name}*\n${formatChoices(slot.choices)}\n\nDigite o número do produto escolhido.`
+    };
+  }
+
+  const { groups, slots, ...rest } = data;
+  return promptQuantity(rest);
+};
+
+// Registra as escolhas do grupo no item atual ou, nos combos, no componente
+const applySelection = (current, group, selected) => {
+  const options = selected.map(choice => ({
+    groupId: group.id,
+    group: group.name,
+    optionId: choice.id,
+    name: choice.name,
+    price: choice.price || 0
+  }));
+
+  if (group.component === undefined) {
+    return { ...current, options: [...current.options, ...options] };
+  }
+
+  const components = current.components.map((component, index) => {
+    if (index !== group.component) {
+      return component;
+    }
+
+    // Tamanho da pizza escolhida em uma vaga sem tamanho definido
+    if (group.size) {
+      const [size] = selected;
+      return { ...component, name: `${component.name} (${size.name})`, sizeId: size.sizeId };
+    }
+
+    return { ...component, options: [...component.options, ...options] };
+  });
+
+  return { ...current, components };
+};
+
+const promptQuantity = (data) => ({
+  state: { step: STEPS.QUANTITY, data: { ...data, choices: [] } },
+  response: `Quantas unidades de ${data.current.name}?`
+});
+
+const promptMoreItems = (data) => ({
+  state: { step: STEPS.MORE_ITEMS, data: { ...data, choices: [] } },
+  response: `Seu pedido até agora:\n${formatCart(data.items)}\n\nTotal: ${formatPrice(cartTotal(data.items))}\n\n1 - Adicionar mais itens\n2 - Finalizar pedido`
+});
+
+const promptName = (data) => ({
+  state: { step: STEPS.NAME, data: { ...data, choices: [] } },
+  response: 'Qual é o seu nome?'
+});
+
+const promptAddress = (data) => ({
+  state: { step: STEPS.ADDRESS, data: { ...data, choices: [] } },
+  response: 'Informe o endereço de entrega (rua, número, bairro e complemento):'
+});
+
+const promptPayment = (data) => ({
+  state: { step: STEPS.PAYMENT, data: { ...data, choices: PAYMENT_METHODS } },
+  response: `Qual a forma de pagamento?\n${formatChoices(PAYMENT_METHODS)}`
+});
+
+const promptChange = (data) => ({
+  state: { step: STEPS.CHANGE, data: { ...data, choices: [] } },
+  response: 'Precisa de troco? Informe o valor para o troco ou digite "não".'
+});
+
+const promptConfirm = (data) => {
+  const payment = PAYMENT_METHODS.find(method => method.id === data.paymentMethod);
+  const change = data.changeFor ? `\nTroco para: ${formatPrice(data.changeFor)}` : '';
+
+  return {
+    state: { step: STEPS.CONFIRM, data: { ...data, choices: [] } },
+    response: `Confira seu pedido:
+${formatCart(data.items)}
+${formatDelivery(data.delivery)}
+Total: ${formatPrice(orderTotal(data))}
+Nome: ${data.customer.name}
+Endereço: ${data.customer.address}
+Pagamento: ${payment ? payment.name : data.paymentMethod}${change}
+
+Digite "sim" para confirmar ou "não" para cancelar.`
+  };
+};
+
+// Monta novamente um item de pedido anterior com os preços atuais do catálogo
+// Retorna null se o produto, o tamanho, algum sabor ou opção não estiver mais disponível
+const repriceItem = async (tenantId, item) => {
+  try {
+    const { flavorPricing } = await orderService.getPricingSettings(tenantId);
+    const { items: [priced] } = await pricingService.priceItems(tenantId, [item], { policy: 'override', flavorPricing });
+    const { priceSnapshot, ...repriced } = priced;
+
+    // IDs como texto, no mesmo formato dos itens montados pelo bot
+    return JSON.parse(JSON.stringify(repriced));
+  } catch (error) {
+    if (error.type === 'validation') {
+      return null;
+    }
+
+    throw error;
+  }
+};
+
+// Confere o carrinho com os preços atuais do catálogo antes de fechar o pedido
+// changed indica se algum item mudou de preço ou deixou de estar disponível
+const refreshCart = async (tenantId, items) => {
+  const refreshed = [];
+  const unavailable = [];
+  let changed = false;
+
+  for (const item of items) {
+    const repriced = await repriceItem(tenantId, item);
+
+    if (!repriced) {
+      unavailable.push(item.name);
+      changed = true;
+    } else {
+      changed = changed || Math.abs(itemTotal(repriced) - itemTotal(item)) >= 0.01;
+      refreshed.push(repriced);
+    }
+  }
+
+  return { items: refreshed, unavailable, changed };
+};
+
+// Reapresenta a etapa atual quando a resposta não é válida
+const invalidAnswer = (state, response) => ({
+  state,
+  response: `Opção inválida. ${response || 'Por favor, tente novamente.'}`
+});
+
+// Etapas que podem ser reapresentadas só com os dados do estado
+const RESUME_PROMPTS = {
+  [STEPS.OPTIONS]: promptOptions,
+  [STEPS.COMPONENT]: promptOptions,
+  [STEPS.QUANTITY]: promptQuantity,
+  [STEPS.MORE_ITEMS]: promptMoreItems,
+  [STEPS.NAME]: promptName,
+  [STEPS.ADDRESS]: promptAddress,
+  [STEPS.PAYMENT]: promptPayment,
+  [STEPS.CHANGE]: promptChange,
+  [STEPS.CONFIRM]: promptConfirm
+};
+
+// ==== TRATAMENTO DAS RESPOSTAS DE CADA ETAPA ====
+
+const handlers = {
+  [STEPS.MENU]: async (tenantId, phone, state, message) => {
+    if (NEXT_PAGE_KEYWORDS.includes(message.trim().toLowerCase())) {
+      return promptMenu(tenantId, state.data, (state.data.menuPage || 1) + 1);
+    }
+
+    if (!parseChoice(message, state.data.choices)) {
+      return invalidAnswer(state, 'Digite o número de um dos produtos do cardápio ou "mais" para ver a próxima página.');
+    }
+
+    return handlers[STEPS.PRODUCT](tenantId, phone, state, message);
+  },
+
+  [STEPS.CATEGORY]: async (tenantId, phone, state, message) => {
+    const choice = parseChoice(message, state.data.choices);
+
+    if (!choice) {
+      return invalidAnswer(state, 'Digite o número de uma das categorias.');
+    }
+
+    return promptProducts(tenantId, state.data, choice.id);
+  },
+
+  [STEPS.PRODUCT]: async (tenantId, phone, state, message) => {
+    const choice = parseChoice(message, state.data.choices);
+
+    if (!choice) {
+      return invalidAnswer(state, 'Digite o número de um dos produtos.');
+    }
+
+    const product = await Catalog.findOne({
+      _id: choice.id,
+      tenantId,
+      available: true
+    });
+
+    if (!product) {
+      const result = await promptCategories(tenantId, state.data);
+      result.response = `Este produto não está mais disponível.\n\n${result.response}`;
+      return result;
+    }
+
+    // Grupos de opções apresentados depois do tamanho, um por vez
+    const groups = await optionGroupService.getProductGroups(tenantId, product);
+
+    const data = {
+      ...state.data,
+      current: {
+        productId: product._id.toString(),
+        name: product.name,
+        productType: product.productType,
+        unitPrice: product.price || 0,
+        options: []
+      },
+      groups: groups.map(toGroupPrompt)
+    };
+
+    if (product.productType === 'bundle') {
+      const slots = await loadBundleSlots(tenantId, product);
+
+      if (slots.some(slot => slot.choices.length === 0)) {
+        const result = await promptCategories(tenantId, state.data);
+        result.response = `Este combo não está disponível no momento.\n\n${result.response}`;
+        return result;
+      }
+
+      data.current.components = [];
+      data.slots = slots;
+    }
+
+    if (product.productType === 'pizza' && product.sizesPrices.length > 0) {
+      return promptSizes(data, product);
+    }
+
+    return promptOptions(data);
+  },
+
+  [STEPS.SIZE]: async (tenantId, phone, state, message) => {
+    const choice = parseChoice(message, state.data.choices);
+
+    if (!choice) {
+      return invalidAnswer(state, 'Digite o número de um dos tamanhos.');
+    }
+
+    const current = {
+      ...state.data.current,
+      name: `${state.data.current.name} (${choice.name})`,
+      size: choice.name,
+      sizeId: choice.sizeId,
+      unitPrice: choice.price
+    };
+
+    return promptOptions({ ...state.data, current });
+  },
+
+  [STEPS.OPTIONS]: async (tenantId, phone, state, message) => {
+    const [group, ...groups] = state.data.groups;
+    const text = message.trim().toLowerCase();
+
+    let selected = [];
+
+    if (!['0', 'nenhum', 'nenhuma', 'não', 'nao'].includes(text)) {
+      const parts = group.maxSelections === 1 ? [text] : text.split(/[\s,;]+/).filter(Boolean);
+      selected = parts.map(part => parseChoice(part, group.choices));
+    }
+
+    if (selected.some(choice => !choice)) {
+      return invalidAnswer(state, optionsHint(group));
+    }
+
+    selected = selected.filter((choice, index) => selected.indexOf(choice) === index);
+
+    if (selected.length < optionGroupService.minSelections(group, selected.length) ||
+        selected.length > group.maxSelections) {
+      return invalidAnswer(state, optionsHint(group));
+    }
+
+    const current = applySelection(state.data.current, group, selected);
+
+    return promptOptions({ ...state.data, current, groups });
+  },
+
+  [STEPS.COMPONENT]: async (tenantId, phone, state, message) => {
+    const [slot, ...slots] = state.data.slots;
+    const choice = parseChoice(message, slot.choices);
+
+    if (!choice) {
+      return invalidAnswer(state, 'Digite o número de um dos produtos.');
+    }
+
+    const product = await Catalog.findOne({
+      _id: choice.id,
+      tenantId,
+      available: true
+    });
+
+    if (!product) {
+      return invalidAnswer(state, 'Este produto não está mais disponível, escolha outro.');
+    }
+
+    const { current } = state.data;
+    const index = current.components.length;
+    const size = slot.sizeId && product.sizesPrices.find(sizePrice => String(sizePrice.sizeId) === slot.sizeId);
+    const component = {
+      slotId: slot.id,
+      productId: product._id.toString(),
+      name: size ? `${product.name} (${size.sizeName})` : product.name,
+      sizeId: size ? slot.sizeId : undefined,
+      options: []
+    };
+
+    // Opções do componente vêm antes da próxima vaga
+    const groups = (await optionGroupService.getProductGroups(tenantId, product))
+      .map(group => ({ ...toGroupPrompt(group), component: index }));
+
+    if (product.productType === 'pizza' && !size && product.sizesPrices.length > 0) {
+      groups.unshift({
+        id: 'size',
+        name: 'Tamanho',
+        required: true,
+        minSelections: 1,
+        maxSelections: 1,
+        size: true,
+        component: index,
+        choices: product.sizesPrices.map(sizePrice => ({
+          id: sizePrice.sizeName,
+          name: sizePrice.sizeName,
+          sizeId: sizePrice.sizeId ? sizePrice.sizeId.toString() : undefined
+        }))
+      });
+    }
+
+    return promptOptions({
+      ...state.data,
+      current: { ...current, components: [...current.components, component] },
+      slots,
+      groups: [...groups, ...(state.data.groups || [])]
+    });
+  },
+
+  [STEPS.QUANTITY]: async (tenantId, phone, state, message) => {
+    const quantity = parseInt(message.trim(), 10);
+
+    if (isNaN(quantity) || quantity < 1 || quantity > 99) {
+      return invalidAnswer(state, 'Informe uma quantidade entre 1 e 99.');
+    }
+
+    const { productType, ...item } = state.data.current;
+    const data = {
+      ...state.data,
+      items: [...(state.data.items || []), { ...item, quantity }]
+    };
+    delete data.current;
+
+    return promptMoreItems(data);
+  },
+
+  [STEPS.MORE_ITEMS]: async (tenantId, phone, state, message) => {
+    const text = message.trim();
+
+    if (text === '1') {
+      return promptCategories(tenantId, state.data);
+    }
+
+    if (text === '2') {
+      return promptName(state.data);
+    }
+
+    return invalidAnswer(state, 'Digite 1 para adicionar mais itens ou 2 para finalizar.');
+  },
+
+  [STEPS.NAME]: async (tenantId, phone, state, message) => {
+    const name = message.trim();
+
+    if (name.length < 2) {
+      return invalidAnswer(state, 'Por favor, informe seu nome.');
+    }
+
+    return promptAddress({
+      ...state.data,
+      customer: { ...state.data.customer, name }
+    });
+  },
+
+  [STEPS.ADDRESS]: async (tenantId, phone, state, message) => {
+    const address = message.trim();
+
+    if (address.length < 5) {
+      return invalidAnswer(state, 'Por favor, informe o endereço completo.');
+    }
+
+    // Coordenadas de um pedido repetido não valem para o novo endereço
+    try {
+      return promptPayment(await quoteDelivery(tenantId, {
+        ...state.data,
+        customer: { ...state.data.customer, address, location: undefined }
+      }));
+    } catch (error) {
+      if (error.type === 'validation') {
+        return { state, response: `${error.message}. Informe outro endereço de entrega:` };
+      }
+
+      throw error;
+    }
+  },
+
+  [STEPS.PAYMENT]: async (tenantId, phone, state, message) => {
+    const choice = parseChoice(message, state.data.choices);
+
+    if (!choice) {
+      return invalidAnswer(state, 'Digite o número de uma das formas de pagamento.');
+    }
+
+    const data = { ...state.data, paymentMethod: choice.id, changeFor: undefined };
+
+    if (choice.id === 'cash') {
+      return promptChange(data);
+    }
+
+    return promptConfirm(data);
+  },
+
+  [STEPS.CHANGE]: async (tenantId, phone, state, message) => {
+    const text = message.trim().toLowerCase();
+
+    if (NO_KEYWORDS.includes(text)) {
+      return promptConfirm(state.data);
+    }
+
+    const changeFor = parseFloat(text.replace(/[^\d,.]/g, '').replace(',', '.'));
+    const total = orderTotal(state.data);
+
+    if (isNaN(changeFor) || changeFor < total) {
+      return invalidAnswer(state, `Informe um valor a partir de ${formatPrice(total)} ou digite "não".`);
+    }
+
+    return promptConfirm({ ...state.data, changeFor });
+  },
+
+  [STEPS.CONFIRM]: async (tenantId, phone, state, message) => {
+    const text = message.trim().toLowerCase();
+
+    if (NO_KEYWORDS.includes(text)) {
+      return {
+        state: idleState(),
+        response: 'Pedido cancelado. Quando quiser, é só digitar "pedido" para começar novamente.'
+      };
+    }
+
+    if (!YES_KEYWORDS.includes(text)) {
+      return invalidAnswer(state, 'Digite "sim" para confirmar ou "não" para cancelar.');
+    }
+
+    const { data } = state;
+
+    // Preços alterados durante a conversa: o cliente confere o pedido atualizado
+    const cart = await refreshCart(tenantId, data.items);
+
+    if (cart.changed) {
+      if (cart.items.length === 0) {
+        return {
+          state: idleState(),
+          response: 'Os itens do seu pedido não estão mais disponíveis. Digite "cardápio" para ver as opções de hoje.'
+        };
+      }
+
+      const notice = cart.unavailable.length > 0
+        ? `Alguns itens não estão mais disponíveis e foram removidos: ${cart.unavailable.join(', ')}.\n\n`
+        : '';
+      let updated = { ...data, items: cart.items, changeFor: undefined };
+
+      // O pedido mínimo da zona de entrega depende do novo subtotal
+      try {
+        updated = await quoteDelivery(tenantId, updated);
+      } catch (error) {
+        if (error.type !== 'validation') {
+          throw error;
+        }
+
+        const result = promptAddress(updated);
+        result.response = `Os preços do cardápio mudaram desde que você montou o pedido.\n\n${notice}${error.message}. ${result.response}`;
+        return result;
+      }
+
+      // Em dinheiro, o troco é perguntado de novo porque o total mudou
+      const result = updated.paymentMethod === 'cash' ? promptChange(updated) : promptConfirm(updated);
+
+      result.response = updated.paymentMethod === 'cash'
+        ? `Os preços do cardápio mudaram desde que você montou o pedido:\n${formatCart(updated.items)}\n${formatDelivery(updated.delivery)}\nTotal: ${formatPrice(orderTotal(updated))}\n\n${notice}${result.response}`
+        : `Os preços do cardápio mudaram desde que você montou o pedido.\n\n${notice}${result.response}`;
+      return result;
+    }
+
+    try {
+      const order = await orderService.createOrder(tenantId, {
+        customer: {
+          name: data.customer.name,
+          phone,
+          address: data.customer.address,
+          location: data.customer.location
+        },
+        items: data.items,
+        paymentMethod: data.paymentMethod,
+        changeFor: data.changeFor
+      });
+
+      return {
+        state: idleState(),
+        order,
+        response: `✅ Pedido ${order.orderNumber} confirmado!${order.discount ? `\nDesconto (${order.discount.name}): -${formatPrice(order.discount.amount)}` : ''}
+Total: ${formatPrice(order.total)}${order.delivery && order.delivery.estimatedMinutes ? `\nPrevisão de entrega: ${order.delivery.estimatedMinutes} min` : ''}
+
+Você receberá atualizações sobre o status do seu pedido por aqui.`
+      };
+    } catch (error) {
+      if (error.type === 'validation') {
+        return {
+          state: idleState(),
+          response: `Não foi possível concluir o pedido: ${error.message}. Digite "pedido" para tentar novamente.`
+        };
+      }
+
+      throw error;
+    }
+  }
+};
+
+/**
+ * Serviço com a máquina de estados do fluxo de pedido pelo bot
+ */
+const orderFlowService = {
+  STEPS,
+
+  /**
+   * Verifica se há um fluxo de pedido em andamento
+   * @param {Object} state - Estado do diálogo
+   * @returns {boolean} Se o fluxo está ativo
+   */
+  isActive: (state) => {
+    return Boolean(state && state.step && state.step !== STEPS.IDLE && handlers[state.step]);
+  },
+
+  /**
+   * Inicia um novo fluxo de pedido
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<Object>} Novo estado e resposta do bot
+   */
+  start: async (tenantId) => {
+    return promptCategories(tenantId, { items: [], customer: {} });
+  },
+
+  /**
+   * Inicia o pedido com os itens interpretados de uma mensagem em texto livre
+   * Itens sem tamanho, sem as opções obrigatórias ou combos sem os itens escolhidos
+   * não entram no carrinho e o cliente é avisado
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} draft - Rascunho gerado por orderParserService.parse ({ items, pending })
+   * @returns {Promise<Object>} Novo estado e resposta do bot
+   */
+  startFromDraft: async (tenantId, draft) => {
+    const missing = draft.pending.map(item => {
+      if (item.missing === 'size') return `o tamanho de ${item.name}`;
+      if (item.missing === 'components') return `os itens do ${item.name}`;
+      return `${item.groups.join(', ')} de ${item.name}`;
+    });
+    const notice = missing.length > 0
+      ? `Não identifiquei ${missing.join('; ')}. Você pode adicioná-los escolhendo pelo cardápio.\n\n`
+      : '';
+
+    if (draft.items.length === 0) {
+      const result = await promptCategories(tenantId, { items: [], customer: {} });
+      result.response = `${notice}${result.response}`;
+      return result;
+    }
+
+    const result = promptMoreItems({ items: draft.items, customer: {} });
+    result.response = `Anotado! ${notice}${result.response}`;
+
+    return result;
+  },
+
+  /**
+   * Exibe o cardápio paginado, permitindo escolher um produto pelo número
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<Object>} Novo estado e resposta do bot
+   */
+  showMenu: async (tenantId) => {
+    return promptMenu(tenantId, { items: [], customer: {} });
+  },
+
+  /**
+   * Monta um novo pedido igual ao último do cliente, com os preços atuais,
+   * e pede a confirmação antes de criá-lo
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @returns {Promise<Object>} Novo estado e resposta do bot
+   */
+  repeatLastOrder: async (tenantId, phone) => {
+    const lastOrder = await orderService.getLatestOrderByPhone(tenantId, phone);
+
+    if (!lastOrder) {
+      return {
+        state: idleState(),
+        response: 'Você ainda não fez nenhum pedido. Digite "pedido" para fazer o primeiro!'
+      };
+    }
+
+    const items = [];
+    const unavailable = [];
+
+    for (const item of lastOrder.items) {
+      const repriced = await repriceItem(tenantId, item);
+
+      if (repriced) {
+        items.push(repriced);
+      } else {
+        unavailable.push(item.name);
+      }
+    }
+
+    if (items.length === 0) {
+      return {
+        state: idleState(),
+        response: 'Os itens do seu último pedido não estão mais disponíveis. Digite "cardápio" para ver as opções de hoje.'
+      };
+    }
+
+    let data = {
+      items,
+      customer: {
+        name: lastOrder.customer.name,
+        address: lastOrder.customer.address,
+        location: lastOrder.customer.location && lastOrder.customer.location.lat !== undefined
+          ? { lat: lastOrder.customer.location.lat, lng: lastOrder.customer.location.lng }
+          : undefined
+      },
+      paymentMethod: lastOrder.paymentMethod
+    };
+
+    const notice = unavailable.length > 0
+      ? `Alguns itens não estão mais disponíveis e foram removidos: ${unavailable.join(', ')}.\n\n`
+      : '';
+
+    // A área de entrega pode ter mudado desde o último pedido
+    try {
+      data = await quoteDelivery(tenantId, data);
+    } catch (error) {
+      if (error.type !== 'validation') {
+        throw error;
+      }
+
+      const result = promptAddress(data);
+      result.response = `Vamos repetir seu pedido ${lastOrder.orderNumber} com os preços de hoje.\n\n${notice}${error.message}. ${result.response}`;
+      return result;
+    }
+
+    // Em dinheiro, o troco é perguntado de novo porque o total pode ter mudado
+    const result = data.paymentMethod === 'cash' ? promptChange(data) : promptConfirm(data);
+
+    if (data.paymentMethod === 'cash') {
+      result.response = `Vamos repetir seu pedido ${lastOrder.orderNumber} com os preços de hoje:\n${formatCart(items)}\n${formatDelivery(data.delivery)}\nTotal: ${formatPrice(orderTotal(data))}\n\n${notice}${result.response}`;
+    } else {
+      result.response = `Vamos repetir seu pedido ${lastOrder.orderNumber} com os preços de hoje.\n\n${notice}${result.response}`;
+    }
+
+    return result;
+  },
+
+  /**
+   * Resume o carrinho do estado do diálogo
+   * @param {Object} state - Estado do diálogo
+   * @returns {Object} Itens, quantidade de unidades e total
+   */
+  getCart: (state) => {
+    const items = (state && state.data && state.data.items) || [];
+
+    return {
+      items,
+      itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+      total: cartTotal(items)
+    };
+  },
+
+  /**
+   * Verifica se a mensagem pede para retomar o pedido (botão "Continuar pedido")
+   * @param {string} message - Mensagem recebida
+   * @returns {boolean} Se é um pedido de retomada
+   */
+  isResumeRequest: (message) => {
+    return RESUME_KEYWORDS.includes(message.trim().toLowerCase());
+  },
+
+  /**
+   * Retoma um pedido interrompido, reapresentando a etapa em que o cliente parou
+   * Etapas que dependem do catálogo voltam para o resumo do carrinho
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} state - Estado do diálogo a retomar
+   * @returns {Promise<Object>} Novo estado e resposta do bot
+   */
+  resume: async (tenantId, state) => {
+    const data = state.data || { items: [], customer: {} };
+    const prompt = RESUME_PROMPTS[state.step];
+
+    let result;
+
+    if (prompt) {
+      result = prompt(data);
+    } else if (data.items && data.items.length > 0) {
+      result = promptMoreItems(data);
+    } else {
+      result = await promptCategories(tenantId, data);
+    }
+
+    result.response = `Vamos continuar de onde paramos!\n\n${result.response}`;
+
+    return result;
+  },
+
+  /**
+   * Processa a resposta do cliente na etapa atual do fluxo
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @param {Object} state - Estado atual do diálogo
+   * @param {string} message - Mensagem recebida
+   * @returns {Promise<Object>} Novo estado, resposta do bot e pedido criado (se houver)
+   */
+  handleMessage: async (tenantId, phone, state, message) => {
+    try {
+      if (CANCEL_KEYWORDS.includes(message.trim().toLowerCase())) {
+        return {
+          state: idleState(),
+          response: 'Pedido cancelado. Quando quiser, é só digitar "pedido" para começar novamente.'
+        };
+      }
+
+      if (orderFlowService.isResumeRequest(message)) {
+        return await orderFlowService.resume(tenantId, state);
+      }
+
+      return await handlers[state.step](tenantId, phone, state, message);
+    } catch (error) {
+      logger.error(`Erro no fluxo de pedido do telefone ${phone} (tenant ${tenantId}):`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = orderFlowService;
@@ -0,0 +1,319 @@
+const Catalog = require('../models/catalog');
+const ProductOption = require('../models/productOption');
+const optionGroupService = require('./optionGroupService');
+const { foldText, tokenize, wordSimilarity } = require('../utils/fuzzy');
+const logger = require('../utils/logger');
+
+// Quantidades escritas por extenso
+const QUANTITY_WORDS = {
+  'um': 1, 'uma': 1,
+  'dois': 2, 'duas': 2,
+  'tres': 3,
+  'quatro': 4,
+  'cinco': 5,
+  'seis': 6,
+  'sete': 7,
+  'oito': 8,
+  'nove': 9,
+  'dez': 10
+};
+
+// Palavras de ligação ignoradas ("pizza de calabresa" = "pizza calabresa")
+const STOP_WORDS = ['e', 'de', 'da', 'do', 'das', 'dos', 'com', 'a', 'o', 'as', 'os'];
+
+const MAX_QUANTITY = 99;
+
+const parseQuantity = (token) => {
+  if (QUANTITY_WORDS[token]) {
+    return QUANTITY_WORDS[token];
+  }
+
+  // "2" ou "2x" (mas não "2l" de "Coca-Cola 2L")
+  const match = token.match(/^(\d{1,2})x?$/);
+
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const nameTokens = (name) => tokenize(name).filter(token => !STOP_WORDS.includes(token));
+
+// Palavras em sequência dentro do nome ("catupiry" em "Pizza Frango com Catupiry")
+const includesSequence = (tokens, sequence) => {
+  return tokens.some((token, start) => sequence.every((word, index) => tokens[start + index] === word));
+};
+
+// Quantas palavras a partir de "start" correspondem à sequência esperada
+const matchSequence = (tokens, start, sequence) => {
+  let length = 0;
+  let similarity = 0;
+
+  while (length < sequence.length && start + length < tokens.length) {
+    const score = wordSimilarity(tokens[start + length], sequence[length]);
+
+    if (score === 0) break;
+
+    similarity += score;
+    length++;
+  }
+
+  return { length, similarity: length > 0 ? similarity / length : 0 };
+};
+
+// Carrega produtos disponíveis, tamanhos e grupos de opções já com os nomes em palavras
+const loadCatalog = async (tenantId) => {
+  const [products, sizes, groups] = await Promise.all([
+    Catalog.find({ tenantId, available: true }).sort({ name: 1 }),
+    ProductOption.find({ tenantId, type: 'pizza-size', active: true }).sort({ order: 1, name: 1 }),
+    optionGroupService.getActiveGroups(tenantId)
+  ]);
+
+  // Palavras comuns a vários produtos ("pizza") não identificam um produto sozinhas
+  const frequency = {};
+
+  products.forEach(product => {
+    new Set(nameTokens(product.name)).forEach(token => {
+      frequency[token] = (frequency[token] || 0) + 1;
+    });
+  });
+
+  const entries = [];
+
+  products.forEach(product => {
+    const sequence = nameTokens(product.name);
+
+    entries.push({ kind: 'product', product, sequence, partial: false });
+
+    // Uma palavra exclusiva do produto basta: "calabresa" -> "Pizza Calabresa", "coca" -> "Coca-Cola 2L"
+    if (sequence.length > 1) {
+      sequence
+        .filter(token => frequency[token] === 1 && token.length >= 4 && !/^\d/.test(token))
+        .forEach(token => {
+          entries.push({ kind: 'product', product, sequence: [token], partial: true });
+        });
+    }
+  });
+
+  const sizeNames = new Set(sizes.map(size => size.name));
+  products.forEach(product => {
+    (product.sizesPrices || []).forEach(size => sizeNames.add(size.sizeName));
+  });
+
+  sizeNames.forEach(name => {
+    entries.push({ kind: 'size', name, sequence: nameTokens(name), partial: false });
+  });
+
+  groups.forEach(group => {
+    group.options
+      .filter(option => option.active !== false)
+      .forEach(option => {
+        entries.push({ kind: 'option', group, option, sequence: nameTokens(option.name), partial: false });
+      });
+  });
+
+  return {
+    entries: entries.filter(entry => entry.sequence.length > 0),
+    groups
+  };
+};
+
+// Melhor correspondência que começa na posição: a mais longa, depois a mais completa e parecida
+const bestMatch = (tokens, start, entries) => {
+  let best = null;
+
+  entries.forEach(entry => {
+    const { length, similarity } = matchSequence(tokens, start, entry.sequence);
+
+    // Nomes com várias palavras precisam aparecer inteiros
+    if (length < entry.sequence.length) return;
+
+    const candidate = { entry, length, similarity };
+
+    if (!best ||
+        length > best.length ||
+        (length === best.length && !entry.partial && best.entry.partial) ||
+        (length === best.length && entry.partial === best.entry.partial && similarity > best.similarity)) {
+      best = candidate;
+    }
+  });
+
+  return best;
+};
+
+// Aplica tamanho ou opção ao item; retorna false se não couber nele
+const applyModifier = (draft, entry) => {
+  const { product } = draft;
+
+  if (entry.kind === 'size') {
+    if (draft.size || product.productType !== 'pizza') return false;
+
+    const size = (product.sizesPrices || []).find(sizePrice => foldText(sizePrice.sizeName) === foldText(entry.name));
+
+    draft.size = size || { sizeName: entry.name, unavailable: true };
+    return true;
+  }
+
+  // Opção de um grupo do produto, respeitando o máximo de escolhas do grupo
+  if (!(product.optionGroups || []).some(groupId => String(groupId) === String(entry.group._id))) {
+    return false;
+  }
+
+  const selected = draft.options.filter(choice => choice.group === entry.group);
+
+  if (selected.some(choice => choice.option === entry.option)) return true;
+  if (selected.length >= entry.group.maxSelections) return false;
+
+  draft.options.push({ group: entry.group, option: entry.option });
+  return true;
+};
+
+// Converte o item reconhecido no formato de item de pedido (validators.order)
+const toOrderItem = (draft, groups) => {
+  const { product, quantity } = draft;
+
+  const item = {
+    productId: product._id.toString(),
+    name: product.name,
+    quantity,
+    unitPrice: product.price || 0,
+    options: draft.options.map(({ group, option }) => ({
+      groupId: group._id.toString(),
+      group: group.name,
+      optionId: option._id.toString(),
+      name: option.name,
+      price: option.price || 0
+    }))
+  };
+
+  // Combos dependem da escolha dos itens de cada vaga, feita no diálogo
+  if (product.productType === 'bundle') {
+    return { pending: { ...item, missing: 'components' } };
+  }
+
+  // Pizzas sem tamanho válido ficam pendentes: o preço depende do tamanho
+  if (product.productType === 'pizza' && product.sizesPrices && product.sizesPrices.length > 0) {
+    if (!draft.size || draft.size.unavailable) {
+      return {
+        pending: {
+          ...item,
+          unitPrice: undefined,
+          missing: 'size',
+          requestedSize: draft.size ? draft.size.sizeName : undefined,
+          sizes: product.sizesPrices.map(size => size.sizeName)
+        }
+      };
+    }
+
+    item.name = `${product.name} (${draft.size.sizeName})`;
+    item.size = draft.size.sizeName;
+    item.sizeId = draft.size.sizeId ? draft.size.sizeId.toString() : undefined;
+    item.unitPrice = draft.size.price;
+  }
+
+  // Grupos obrigatórios sem escolha suficiente também deixam o item pendente
+  const missingGroups = optionGroupService.forProduct(product, groups)
+    .filter(group => {
+      const selected = draft.options.filter(choice => String(choice.group._id) === String(group._id)).length;
+      return selected < optionGroupService.minSelections(group, selected);
+    })
+    .map(group => group.name);
+
+  if (missingGroups.length > 0) {
+    return { pending: { ...item, missing: 'options', groups: missingGroups } };
+  }
+
+  return { item };
+};
+
+/**
+ * Serviço de interpretação de pedidos escritos em texto livre
+ * Ex.: "uma calabresa grande e uma coca" -> itens do catálogo com tamanho e preço
+ */
+const orderParserService = {
+  /**
+   * Extrai os itens de pedido citados na mensagem
+   * Nomes são comparados sem acentos e com tolerância a erros de digitação
+   * @param {string} tenantId - ID do tenant
+   * @param {string} message - Mensagem do cliente
+   * @returns {Promise<Object>} Rascunho do pedido:
+   *   items (compatíveis com validators.order) e pending (pizzas sem tamanho definido,
+   *   itens sem as opções obrigatórias ou combos)
+   */
+  parse: async (tenantId, message) => {
+    try {
+      const { entries, groups } = await loadCatalog(tenantId);
+      const tokens = tokenize(message).filter(token => !STOP_WORDS.includes(token));
+
+      const drafts = [];
+      let current = null;
+      let quantity = null;
+      let held = [];
+
+      for (let position = 0; position < tokens.length;) {
+        const match = bestMatch(tokens, position, entries);
+
+        if (match && match.entry.kind === 'product') {
+          position += match.length;
+
+          // Outra palavra do nome do mesmo produto ("frango catupiry")
+          if (current && current.product === match.entry.product && !quantity) {
+            continue;
+          }
+
+          current = { product: match.entry.product, quantity: quantity || 1, options: [] };
+          drafts.push(current);
+
+          // Tamanho ou opções citados antes do produto ("duas grandes de calabresa")
+          held.forEach(entry => applyModifier(current, entry));
+          held = [];
+          quantity = null;
+          continue;
+        }
+
+        // Resto do nome do produto citado por uma palavra só ("frango com catupiry"), não uma opção
+        if (match && match.entry.kind === 'option' && current &&
+            includesSequence(nameTokens(current.product.name), match.entry.sequence)) {
+          position += match.length;
+          continue;
+        }
+
+        if (match) {
+          if (!current || !applyModifier(current, match.entry)) {
+            held.push(match.entry);
+          }
+
+          position += match.length;
+          continue;
+        }
+
+        const value = parseQuantity(tokens[position]);
+
+        // Uma nova quantidade começa outro item
+        if (value) {
+          quantity = Math.min(value, MAX_QUANTITY);
+          current = null;
+          held = [];
+        }
+
+        position++;
+      }
+
+      const draft = { items: [], pending: [] };
+
+      drafts.forEach(parsed => {
+        const { item, pending } = toOrderItem(parsed, groups);
+
+        if (item) {
+          draft.items.push(item);
+        } else {
+          draft.pending.push(pending);
+        }
+      });
+
+      return draft;
+    } catch (error) {
+      logger.error(`Erro ao interpretar pedido em texto para tenant ${tenantId}:`, error);
+      throw error;
+    }
+  }
+};
+
+module.exports = orderParserService;
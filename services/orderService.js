@@ -1,7 +1,68 @@
 const Order = require('../models/order');
-const Catalog = require('../models/catalog');
-const ProductOption = require('../models/productOption');
+const Tenant = require('../models/tenant');
+const pricingService = require('./pricingService');
+const promotionService = require('./promotionService');
+const deliveryService = require('./deliveryService');
+const addressService = require('./addressService');
+const notificationService = require('./notificationService');
+const cartService = require('./cartService');
 const logger = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+
+// Resumo do pedido publicado nos eventos do painel
+const orderEventPayload = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  status: order.status,
+  total: order.total,
+  customer: {
+    name: order.customer.name,
+    phone: order.customer.phone
+  }
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Itens para a cozinha e os relatórios: cada combo vira seus componentes,
+// com o preço do combo dividido na proporção do preço avulso de cada componente
+// As opções do próprio combo acompanham o primeiro componente
+const expandBundles = (items) => {
+  return items.flatMap(item => {
+    if (!item.components || item.components.length === 0) {
+      return [{
+        productId: item.productId,
+        name: item.name,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        options: item.options
+      }];
+    }
+
+    const listTotal = item.components.reduce((sum, component) => sum + (component.listPrice || 0), 0);
+    let allocated = 0;
+
+    return item.components.map((component, index) => {
+      const share = listTotal > 0
+        ? (component.listPrice || 0) / listTotal
+        : 1 / item.components.length;
+      const unitPrice = index === item.components.length - 1
+        ? round(item.unitPrice - allocated)
+        : round(item.unitPrice * share);
+
+      allocated += unitPrice;
+
+      return {
+        productId: component.productId,
+        name: component.name,
+        quantity: item.quantity,
+        unitPrice,
+        options: index === 0 ? [...item.options, ...component.options] : component.options,
+        bundleId: item.productId,
+        bundle: item.name
+      };
+    });
+  });
+};
 
 /**
  * Serviço para gerenciamento de pedidos
@@ -32,67 +93,67 @@ const orderService = {
         };
       }
       
-      // Verificar e calcular valores dos itens
-      let subtotal = 0;
-      
-      // Processar cada item do pedido
-      for (let item of orderData.items) {
-        // Se tiver productId, verificar se o produto existe e está disponível
-        if (item.productId) {
-          const product = await Catalog.findOne({
-            _id: item.productId,
-            tenantId,
-            available: true
-          });
-          
-          if (!product) {
-            throw { 
-              type: 'validation', 
-              message: `Produto ${item.name} não encontrado ou indisponível`,
-              details: ['items']
-            };
-          }
-          
-          // Se for pizza com tamanho específico
-          if (product.productType === 'pizza' && item.options && item.options.length > 0) {
-            const sizeOption = item.options.find(opt => 
-              opt.name.toLowerCase().includes('tamanho') || 
-              opt.name.toLowerCase().includes('tam') || 
-              opt.name.toLowerCase().includes('size')
-            );
-            
-            if (sizeOption) {
-              // Verificar se o tamanho existe nas opções do produto
-              const sizeExists = product.sizesPrices.some(sp => 
-                sp.sizeName.toLowerCase() === sizeOption.name.toLowerCase()
-              );
-              
-              if (!sizeExists) {
-                throw { 
-                  type: 'validation', 
-                  message: `Tamanho de pizza inválido: ${sizeOption.name}`,
-                  details: ['items.options']
-                };
-              }
-            }
-          }
-        }
-        
-        // Calcular subtotal do item
-        const itemTotal = item.quantity * item.unitPrice;
-        
-        // Adicionar extras/opções
-        let optionsTotal = 0;
-        if (item.options && item.options.length > 0) {
-          optionsTotal = item.options.reduce((sum, opt) => sum + (opt.price || 0), 0) * item.quantity;
-        }
-        
-        subtotal += itemTotal + optionsTotal;
+      // Loja pausada pelo dono não recebe novos pedidos
+      if (await orderService.isStorePaused(tenantId)) {
+        throw {
+          type: 'validation',
+          message: 'A loja não está recebendo pedidos no momento',
+          details: ['tenant']
+        };
       }
       
+      // Preços sempre calculados com o catálogo atual, nunca com os valores enviados
+      const pricing = await pricingService.priceItems(
+        tenantId,
+        orderData.items,
+        await orderService.getPricingSettings(tenantId)
+      );
+      
+      // Endereço estruturado (completado pelo CEP) ou em texto, no formato antigo
+      const address = await addressService.resolve(orderData.customer.address);
+      const customer = {
+        name: orderData.customer.name,
+        phone: orderData.customer.phone,
+        address: address.text,
+        addressDetails: address.details,
+        location: address.location || orderData.customer.location
+      };
+      
       // Calcular total
-      const deliveryFee = orderData.deliveryFee || 0;
-      const total = subtotal + deliveryFee;
+      const subtotal = pricing.subtotal;
+      
+      // Taxa da zona de entrega do endereço (ou a taxa fixa do tenant), nunca a enviada
+      const delivery = await deliveryService.quote(tenantId, {
+        address: customer.address,
+        details: customer.addressDetails,
+        coordinates: customer.location,
+        subtotal
+      });
+      const deliveryFee = delivery.fee;
+      
+      if (orderData.deliveryFee !== undefined && orderData.deliveryFee !== delivery.fee) {
+        pricing.adjustments.push({
+          item: 'Taxa de entrega',
+          field: 'deliveryFee',
+          submitted: orderData.deliveryFee,
+          charged: delivery.fee
+        });
+      }
+      
+      if (pricing.adjustments.length > 0) {
+        logger.warn(`Preços divergentes substituídos pelos do catálogo (tenant ${tenantId}): ${JSON.stringify(pricing.adjustments)}`);
+      }
+      
+      // Cupom informado ou a promoção automática de maior desconto
+      const discount = await promotionService.applyPromotion(tenantId, {
+        couponCode: orderData.couponCode,
+        items: pricing.items,
+        subtotal,
+        deliveryFee,
+        phone: orderData.customer.phone
+      });
+      
+      const total = round(subtotal + deliveryFee - (discount ? discount.amount : 0));
       
       // Gerar número de pedido
       const orderNumber = await Order.generateOrderNumber(tenantId);
@@ -102,17 +163,37 @@ const orderService = {
         tenantId,
         orderNumber,
         status: 'pending',
-        customer: orderData.customer,
-        items: orderData.items,
+        customer,
+        items: pricing.items,
+        expandedItems: pricing.items.some(item => item.components) ? expandBundles(pricing.items) : undefined,
         paymentMethod: orderData.paymentMethod,
         changeFor: orderData.changeFor,
         deliveryFee,
+        delivery: delivery.zoneId
+          ? { zoneId: delivery.zoneId, zone: delivery.zone, estimatedMinutes: delivery.estimatedMinutes }
+          : undefined,
         subtotal,
+        discount: discount || undefined,
         total,
-        notes: orderData.notes
+        notes: orderData.notes,
+        priceAdjustments: pricing.adjustments.length > 0 ? pricing.adjustments : undefined
       });
       
-      await order.save();
+      if (discount) {
+        await promotionService.registerUse(tenantId, discount);
+      }
+      
+      try {
+        await order.save();
+      } catch (error) {
+        if (discount) {
+          await promotionService.releaseUse(tenantId, discount);
+        }
+        
+        throw error;
+      }
+      
+      eventBus.publish(tenantId, 'order.created', orderEventPayload(order));
       
       return order;
     } catch (error) {
@@ -136,7 +217,7 @@ const orderService = {
       });
       
       if (!order) {
-        throw new Error('Pedido não encontrado');
+        throw { type: 'not-found', message: 'Pedido não encontrado' };
       }
       
       // Validar transição de status
@@ -150,13 +231,26 @@ const orderService = {
       };
       
       if (!validTransitions[order.status].includes(status)) {
-        throw new Error(`Não é possível alterar o status de '${order.status}' para '${status}'`);
+        throw { 
+          type: 'validation', 
+          message: `Não é possível alterar o status de '${order.status}' para '${status}'`,
+          details: ['status']
+        };
       }
       
       // Atualizar status
+      const previousStatus = order.status;
       order.status = status;
       await order.save();
       
+      eventBus.publish(tenantId, 'order.status', {
+        ...orderEventPayload(order),
+        previousStatus
+      });
+      
+      // Notificar o cliente (entra na fila de saída e no histórico da conversa)
+      await notificationService.notifyStatusChange(tenantId, order);
+      
       return order;
     } catch (error) {
       logger.error(`Erro ao atualizar status do pedido ${orderId}:`, error);
@@ -164,6 +258,53 @@ const orderService = {
     }
   },
   
+  /**
+   * Obtém as regras de preço do tenant
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<Object>} policy (reject ou override para preços enviados diferentes do catálogo)
+   *   e flavorPricing (highest ou average para pizzas com vários sabores)
+   */
+  getPricingSettings: async (tenantId) => {
+    const tenant = await Tenant.findById(tenantId, { 'settings.orders': 1 });
+    const orders = (tenant && tenant.settings.orders) || {};
+    
+    return {
+      policy: orders.priceMismatch || 'reject',
+      flavorPricing: orders.flavorPricing || 'highest'
+    };
+  },
+  
+  /**
+   * Itens do pedido como devem sair para a cozinha, com os combos expandidos
+   * @param {Object} order - Pedido
+   * @returns {Array} Itens (productId, name, quantity, unitPrice, options e, nos componentes, bundle)
+   */
+  getKitchenItems: (order) => {
+    return order.expandedItems && order.expandedItems.length > 0 ? order.expandedItems : order.items;
+  },
+  
+  /**
+   * Verifica se a loja foi pausada para novos pedidos
+   * @param {string} tenantId - ID do tenant
+   * @returns {Promise<boolean>} true se a loja estiver pausada
+   */
+  isStorePaused: async (tenantId) => {
+    const tenant = await Tenant.findById(tenantId, { 'settings.store': 1 });
+    
+    return Boolean(tenant && tenant.settings.store && tenant.settings.store.paused);
+  },
+  
+  /**
+   * Obtém o pedido mais recente de um cliente
+   * @param {string} tenantId - ID do tenant
+   * @param {string} phone - Número de telefone do cliente
+   * @returns {Promise<Object|null>} Último pedido do cliente
+   */
+  getLatestOrderByPhone: async (tenantId, phone) => {
+    return Order.findOne({ tenantId, 'customer.phone': phone })
+      .sort({ createdAt: -1 });
+  },
+  
   /**
    * Obtém estatísticas de pedidos
    * @param {string} tenantId - ID do tenant
@@ -228,6 +369,9 @@ const orderService = {
         }
       ]);
       
+      // Carrinhos abandonados no bot e receita recuperada
+      const cartRecovery = await cartService.getRecoveryStats(tenantId, startDate, endDate);
+      
       return {
         period: {
           start: startDate,
@@ -236,7 +380,8 @@ const orderService = {
         totalOrders,
         byStatus: statusStats,
         averageTicket: averageTicket.length > 0 ? averageTicket[0].average : 0,
-        totalSales: totalSales.length > 0 ? totalSales[0].total : 0
+        totalSales: totalSales.length > 0 ? totalSales[0].total : 0,
+        cartRecovery
       };
     } catch (error) {
       logger.error(`Erro ao gerar estatísticas para tenant ${tenantId}:`, error);
@@ -0,0 +1,390 @@
+const mongoose = require('mongoose');
+const Catalog = require('../models/catalog');
+const ProductOption = require('../models/productOption');
+const optionGroupService = require('./optionGroupService');
+const bundleService = require('./bundleService');
+const { foldText } = require('../utils/fuzzy');
+
+// Diferença tolerada entre o preço enviado e o calculado (arredondamento de centavos)
+const PRICE_TOLERANCE = 0.005;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Pizzas do bot guardam o tamanho no nome do item: "Calabresa (Grande)"
+const sizeFromName = (name) => {
+  const match = name && name.match(/\(([^)]+)\)$/);
+  return match ? match[1] : null;
+};
+
+const findById = (list, id) => list.find(entry => String(entry._id) === String(id)) || null;
+
+const validationError = (message, details) => ({ type: 'validation', message, details });
+
+// Preço de cada sabor no tamanho escolhido, combinado pela regra do tenant
+const FLAVOR_PRICING = {
+  highest: (prices) => Math.max(...prices),
+  average: (prices) => prices.reduce((sum, price) => sum + price, 0) / prices.length
+};
+
+// Tamanho do item: sizeId (opção pizza-size) ou, em pedidos antigos, o nome do tamanho
+const resolveSize = (product, item, sizes) => {
+  if (item.sizeId) {
+    const sizeOption = findById(sizes, item.sizeId);
+    const size = sizeOption && product.sizesPrices.find(sizePrice => String(sizePrice.sizeId) === String(sizeOption._id));
+
+    if (!size) {
+      throw validationError(`Tamanho indisponível para ${product.name}`, ['items.sizeId']);
+    }
+
+    return { size, sizeOption };
+  }
+
+  const sizeName = item.size || sizeFromName(item.name);
+  const size = sizeName && product.sizesPrices.find(sizePrice => foldText(sizePrice.sizeName) === foldText(sizeName));
+
+  if (!size) {
+    throw validationError(
+      sizeName ? `Tamanho ${sizeName} indisponível para ${product.name}` : `Informe o tamanho de ${product.name}`,
+      ['items.sizeId']
+    );
+  }
+
+  const sizeOption = size.sizeId
+    ? findById(sizes, size.sizeId)
+    : sizes.find(option => foldText(option.name) === foldText(size.sizeName)) || null;
+
+  return { size, sizeOption };
+};
+
+// Sabores da pizza (meio a meio ou mais), todos disponíveis no tamanho escolhido
+const resolveFlavors = async (tenantId, product, item, size, sizeOption) => {
+  if (!item.flavors || item.flavors.length === 0) {
+    return [{ product, price: size.price }];
+  }
+
+  const flavorIds = item.flavors.map(flavor => String(flavor.productId));
+
+  if (!flavorIds.includes(String(product._id))) {
+    throw validationError(`O produto ${product.name} deve ser um dos sabores do item`, ['items.flavors']);
+  }
+
+  if (new Set(flavorIds).size !== flavorIds.length) {
+    throw validationError(`Sabor repetido em ${product.name}`, ['items.flavors']);
+  }
+
+  // Em pizzas, maxQuantity do tamanho limita a quantidade de sabores; cada sabor ocupa ao menos uma fatia
+  const limits = sizeOption
+    ? [sizeOption.maxQuantity, sizeOption.slices].filter(limit => limit > 0)
+    : [1];
+  const maxFlavors = Math.min(...limits);
+
+  if (flavorIds.length > maxFlavors) {
+    throw validationError(
+      `A pizza ${size.sizeName} aceita no máximo ${maxFlavors} ${maxFlavors === 1 ? 'sabor' : 'sabores'}`,
+      ['items.flavors']
+    );
+  }
+
+  const products = flavorIds.every(id => mongoose.Types.ObjectId.isValid(id))
+    ? await Catalog.find({ _id: { $in: flavorIds }, tenantId, productType: 'pizza', available: true })
+    : [];
+
+  return flavorIds.map(id => {
+    const flavor = products.find(candidate => String(candidate._id) === id);
+    const flavorSize = flavor && flavor.sizesPrices.find(sizePrice => size.sizeId
+      ? String(sizePrice.sizeId) === String(size.sizeId)
+      : foldText(sizePrice.sizeName) === foldText(size.sizeName));
+
+    if (!flavorSize) {
+      const requested = item.flavors.find(candidate => String(candidate.productId) === id);
+
+      throw validationError(
+        `Sabor ${(requested && requested.name) || id} indisponível no tamanho ${size.sizeName}`,
+        ['items.flavors']
+      );
+    }
+
+    return { product: flavor, price: flavorSize.price };
+  });
+};
+
+// Compara o preço enviado com o calculado
+const checkPrice = (mismatches, item, field, submitted, charged) => {
+  if (Math.abs((submitted || 0) - charged) > PRICE_TOLERANCE) {
+    mismatches.push({ item, field, submitted, charged });
+  }
+};
+
+const plural = (count, singular, pluralForm) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+// Localiza a opção escolhida nos grupos do produto, pelo ID ou pelo nome
+// ("Massa Fina" também corresponde à opção "Fina" do grupo "Massa")
+const findGroupOption = (groups, selection) => {
+  for (const group of groups) {
+    if (selection.groupId && String(group._id) !== String(selection.groupId)) continue;
+
+    const option = selection.optionId
+      ? findById(group.options, selection.optionId)
+      : group.options.find(candidate => [
+        foldText(candidate.name),
+        `${foldText(group.name)} ${foldText(candidate.name)}`
+      ].includes(foldText(selection.name)));
+
+    if (option) {
+      return { group, option };
+    }
+  }
+
+  return null;
+};
+
+// Opções escolhidas no item, validadas contra os grupos do produto (mínimo e máximo de escolhas)
+const resolveOptions = (product, item, groups, name, mismatches) => {
+  const selections = [...(item.options || [])];
+
+  // Massa informada como crustId (pedidos anteriores aos grupos de opções)
+  if (item.crustId) {
+    selections.push({ optionId: item.crustId });
+  }
+
+  const chosen = [];
+
+  selections.forEach(selection => {
+    const found = findGroupOption(groups, selection);
+
+    if (!found) {
+      throw validationError(
+        `Opção ${selection.name || selection.optionId} indisponível para ${product.name}`,
+        ['items.options']
+      );
+    }
+
+    if (selection.price !== undefined) {
+      checkPrice(mismatches, name, `options.${found.option.name}`, selection.price, found.option.price || 0);
+    }
+
+    // A mesma opção informada duas vezes conta uma vez só
+    if (!chosen.some(choice => choice.option === found.option)) {
+      chosen.push(found);
+    }
+  });
+
+  return groups.flatMap(group => {
+    const selected = chosen.filter(choice => choice.group === group);
+    const min = optionGroupService.minSelections(group, selected.length);
+
+    if (selected.length > group.maxSelections) {
+      throw validationError(
+        `Escolha no máximo ${plural(group.maxSelections, 'opção', 'opções')} em ${group.name} para ${product.name}`,
+        ['items.options']
+      );
+    }
+
+    if (selected.length < min) {
+      throw validationError(
+        `Escolha ao menos ${plural(min, 'opção', 'opções')} em ${group.name} para ${product.name}`,
+        ['items.options']
+      );
+    }
+
+    return selected.map(({ option }) => ({
+      groupId: group._id,
+      group: group.name,
+      optionId: option._id,
+      name: option.name,
+      price: option.price || 0
+    }));
+  });
+};
+
+const findProduct = async (tenantId, productId, label) => {
+  const product = mongoose.Types.ObjectId.isValid(productId)
+    ? await Catalog.findOne({ _id: productId, tenantId, available: true })
+    : null;
+
+  if (!product) {
+    throw validationError(`Produto ${label || productId} não encontrado ou indisponível`, ['items']);
+  }
+
+  return product;
+};
+
+const sumPrices = (options) => options.reduce((sum, option) => sum + option.price, 0);
+
+// Preço de um produto (avulso ou componente de combo): tamanho, sabores e opções
+const priceProduct = async (tenantId, product, item, catalog, flavorPricing, mismatches) => {
+  const isPizza = product.sizesPrices && product.sizesPrices.length > 0;
+
+  if (!isPizza && (item.sizeId || (item.flavors && item.flavors.length > 0))) {
+    throw validationError(`${product.name} não aceita tamanho ou sabores`, ['items']);
+  }
+
+  let name = product.name;
+  let basePrice = product.price || 0;
+  let size;
+  let sizeOption;
+  let flavors;
+
+  if (isPizza) {
+    ({ size, sizeOption } = resolveSize(product, item, catalog.sizes));
+    flavors = await resolveFlavors(tenantId, product, item, size, sizeOption);
+
+    basePrice = round(FLAVOR_PRICING[flavorPricing](flavors.map(flavor => flavor.price)));
+    name = `${flavors.map(flavor => flavor.product.name).join(' / ')} (${size.sizeName})`;
+  }
+
+  const groups = optionGroupService.forProduct(product, catalog.groups);
+
+  return {
+    productId: product._id,
+    name,
+    size: size ? size.sizeName : undefined,
+    sizeId: sizeOption ? sizeOption._id : undefined,
+    flavors: flavors && flavors.length > 1
+      ? flavors.map(flavor => ({ productId: flavor.product._id, name: flavor.product.name, price: flavor.price }))
+      : undefined,
+    options: resolveOptions(product, item, groups, name, mismatches),
+    basePrice
+  };
+};
+
+// Produtos escolhidos nas vagas do combo
+// O preço deles está incluído no combo; apenas as opções dos componentes são cobradas à parte
+const priceComponents = async (tenantId, bundle, item, catalog, flavorPricing, mismatches) => {
+  const components = item.components || [];
+  const slotOf = (component) => bundle.bundleSlots.find(slot => String(slot._id) === String(component.slotId));
+
+  if (components.some(component => !slotOf(component))) {
+    throw validationError(`Vaga inválida no combo ${bundle.name}`, ['items.components']);
+  }
+
+  const priced = [];
+
+  for (const slot of bundle.bundleSlots) {
+    const chosen = components.filter(component => slotOf(component) === slot);
+
+    if (chosen.length !== slot.quantity) {
+      throw validationError(
+        `Escolha ${plural(slot.quantity, 'item', 'itens')} em ${slot.name} para ${bundle.name}`,
+        ['items.components']
+      );
+    }
+
+    for (const component of chosen) {
+      const product = await findProduct(tenantId, component.productId, component.name);
+
+      if (!bundleService.isAllowed(slot, product)) {
+        throw validationError(`${product.name} não pode ser escolhido em ${slot.name} no combo ${bundle.name}`, ['items.components']);
+      }
+
+      // Pizzas da vaga saem no tamanho definido no combo
+      const sizeId = slot.sizeId && product.productType === 'pizza' ? slot.sizeId : component.sizeId;
+      const { basePrice, ...pricedComponent } = await priceProduct(tenantId, product, {
+        name: component.name,
+        size: component.size,
+        sizeId,
+        flavors: component.flavors,
+        options: component.options
+      }, catalog, flavorPricing, mismatches);
+
+      priced.push({ slotId: slot._id, slot: slot.name, ...pricedComponent, listPrice: basePrice });
+    }
+  }
+
+  return priced;
+};
+
+// Calcula o preço de um item a partir do catálogo atual
+const priceItem = async (tenantId, item, catalog, flavorPricing) => {
+  const product = await findProduct(tenantId, item.productId, item.name);
+  const isBundle = product.productType === 'bundle';
+
+  if (!isBundle && item.components && item.components.length > 0) {
+    throw validationError(`${product.name} não é um combo`, ['items.components']);
+  }
+
+  const mismatches = [];
+  const { basePrice, ...priced } = await priceProduct(tenantId, product, item, catalog, flavorPricing, mismatches);
+  const components = isBundle
+    ? await priceComponents(tenantId, product, item, catalog, flavorPricing, mismatches)
+    : undefined;
+  const optionsTotal = sumPrices(priced.options) +
+    (components || []).reduce((sum, component) => sum + sumPrices(component.options), 0);
+
+  if (item.unitPrice !== undefined) {
+    checkPrice(mismatches, priced.name, 'unitPrice', item.unitPrice, basePrice);
+  }
+
+  return {
+    mismatches,
+    item: {
+      ...priced,
+      flavor: item.flavor,
+      quantity: item.quantity,
+      unitPrice: basePrice,
+      components,
+      priceSnapshot: {
+        basePrice,
+        optionsTotal: round(optionsTotal),
+        unitTotal: round(basePrice + optionsTotal),
+        flavorPricing: priced.flavors ? flavorPricing : undefined,
+        pricedAt: new Date()
+      }
+    }
+  };
+};
+
+/**
+ * Serviço de cálculo de preços dos pedidos
+ * Os preços vêm sempre do catálogo (Catalog.price, Catalog.sizesPrices e os grupos de opções),
+ * nunca do valor informado pelo cliente
+ */
+const pricingService = {
+  /**
+   * Recalcula o preço dos itens com o catálogo atual
+   * @param {string} tenantId - ID do tenant
+   * @param {Array} items - Itens do pedido (productId, quantity, sizeId, flavors, options, components)
+   * @param {Object} options - Opções adicionais
+   * @param {string} options.policy - O que fazer com preços divergentes:
+   *   reject (erro de validação) ou override (usa o preço do catálogo e registra o ajuste)
+   * @param {string} options.flavorPricing - Preço da pizza com vários sabores: highest ou average
+   * @returns {Promise<Object>} Itens com preços e snapshot, subtotal e ajustes feitos
+   */
+  priceItems: async (tenantId, items, options = {}) => {
+    const policy = options.policy || 'reject';
+    const flavorPricing = FLAVOR_PRICING[options.flavorPricing] ? options.flavorPricing : 'highest';
+    const [sizes, groups] = await Promise.all([
+      ProductOption.find({ tenantId, type: 'pizza-size', active: true }),
+      optionGroupService.getActiveGroups(tenantId)
+    ]);
+
+    const priced = [];
+    const adjustments = [];
+    let subtotal = 0;
+
+    for (const item of items) {
+      const { item: pricedItem, mismatches } = await priceItem(tenantId, item, { sizes, groups }, flavorPricing);
+
+      if (mismatches.length > 0 && policy === 'reject') {
+        const [first] = mismatches;
+
+        throw validationError(
+          `Preço divergente para ${first.item}: enviado R$ ${Number(first.submitted || 0).toFixed(2)}, atual R$ ${first.charged.toFixed(2)}`,
+          mismatches
+        );
+      }
+
+      adjustments.push(...mismatches);
+      priced.push(pricedItem);
+      subtotal += pricedItem.priceSnapshot.unitTotal * pricedItem.quantity;
+    }
+
+    return {
+      items: priced,
+      subtotal: round(subtotal),
+      adjustments
+    };
+  }
+};
+
+module.exports = pricingService;
@@ -0,0 +1,193 @@
+const Promotion = require('../models/promotion');
+const Order = require('../models/order');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const formatPrice = (value) => `R$ ${value.toFixed(2)}`;
+
+const couponError = (message) => ({
+  type: 'validation',
+  message,
+  details: ['couponCode']
+});
+
+// Leve X pague Y: a cada buyQuantity + getQuantity unidades participantes,
+// as getQuantity mais baratas (com as opções) saem de graça
+const freeUnitsDiscount = (promotion, items) => {
+  const products = (promotion.products || []).map(String);
+  const units = [];
+
+  items
+    .filter(item => products.length === 0 || products.includes(String(item.productId)))
+    .forEach(item => {
+      for (let unit = 0; unit < item.quantity; unit++) {
+        units.push(item.priceSnapshot.unitTotal);
+      }
+    });
+
+  const free = Math.floor(units.length / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+
+  return units
+    .sort((a, b) => a - b)
+    .slice(0, free)
+    .reduce((sum, price) => sum + price, 0);
+};
+
+// Desconto de cada tipo de promoção, a partir dos itens já precificados
+const DISCOUNTS = {
+  percentage: (promotion, { subtotal }) => subtotal * promotion.value / 100,
+  fixed: (promotion, { subtotal }) => Math.min(promotion.value, subtotal),
+  'free-delivery': (promotion, { deliveryFee }) => deliveryFee,
+  'buy-x-get-y': (promotion, { items }) => freeUnitsDiscount(promotion, items)
+};
+
+// Motivo pelo qual a promoção não vale para o pedido (null se vale)
+const findRestriction = async (tenantId, promotion, { subtotal, phone }) => {
+  const now = new Date();
+
+  if ((promotion.startsAt && promotion.startsAt > now) || (promotion.endsAt && promotion.endsAt < now)) {
+    return 'está fora do período de validade';
+  }
+
+  if (subtotal < (promotion.minSubtotal || 0)) {
+    return `vale para pedidos a partir de ${formatPrice(promotion.minSubtotal)}`;
+  }
+
+  if (promotion.maxUses && promotion.usageCount >= promotion.maxUses) {
+    return 'está esgotado';
+  }
+
+  // Pedidos cancelados não contam como uso
+  const customerOrders = { tenantId, 'customer.phone': phone, status: { $ne: 'cancelled' } };
+
+  if (promotion.firstOrderOnly && await Order.exists(customerOrders)) {
+    return 'vale apenas para o primeiro pedido';
+  }
+
+  if (promotion.maxUsesPerCustomer) {
+    const uses = await Order.countDocuments({ ...customerOrders, 'discount.promotionId': promotion._id });
+
+    if (uses >= promotion.maxUsesPerCustomer) {
+      return 'já foi usado o máximo de vezes permitido';
+    }
+  }
+
+  return null;
+};
+
+const toDiscount = (promotion, amount) => ({
+  promotionId: promotion._id,
+  code: promotion.code,
+  name: promotion.name,
+  type: promotion.type,
+  amount
+});
+
+/**
+ * Serviço de promoções e cupons de desconto
+ */
+const promotionService = {
+  /**
+   * Calcula o desconto da promoção, limitado ao valor do pedido
+   * @param {Object} promotion - Promoção
+   * @param {Object} order - Itens precificados, subtotal e taxa de entrega
+   * @returns {number} Valor do desconto
+   */
+  calculateDiscount: (promotion, order) => {
+    const amount = DISCOUNTS[promotion.type](promotion, order);
+
+    return round(Math.max(0, Math.min(amount, order.subtotal + order.deliveryFee)));
+  },
+
+  /**
+   * Escolhe o desconto do pedido: o cupom informado ou, sem cupom, a promoção
+   * automática de maior desconto. Promoções não se acumulam
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} order - Pedido
+   * @param {string} order.couponCode - Cupom informado pelo cliente (opcional)
+   * @param {Array} order.items - Itens precificados (pricingService.priceItems)
+   * @param {number} order.subtotal - Subtotal dos itens
+   * @param {number} order.deliveryFee - Taxa de entrega
+   * @param {string} order.phone - Telefone do cliente
+   * @returns {Promise<Object|null>} Desconto (promotionId, code, name, type, amount) ou null
+   */
+  applyPromotion: async (tenantId, order) => {
+    if (order.couponCode) {
+      const code = order.couponCode.trim().toUpperCase();
+      const promotion = await Promotion.findOne({ tenantId, code, active: true });
+
+      if (!promotion) {
+        throw couponError(`Cupom ${code} inválido`);
+      }
+
+      const restriction = await findRestriction(tenantId, promotion, order);
+
+      if (restriction) {
+        throw couponError(`Cupom ${code} ${restriction}`);
+      }
+
+      const amount = promotionService.calculateDiscount(promotion, order);
+
+      if (amount === 0) {
+        throw couponError(`Cupom ${code} não gera desconto para este pedido`);
+      }
+
+      return toDiscount(promotion, amount);
+    }
+
+    const promotions = await Promotion.find({ tenantId, active: true, code: null });
+    let best = null;
+
+    for (const promotion of promotions) {
+      if (await findRestriction(tenantId, promotion, order)) continue;
+
+      const amount = promotionService.calculateDiscount(promotion, order);
+
+      if (amount > 0 && (!best || amount > best.amount)) {
+        best = toDiscount(promotion, amount);
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * Registra o uso da promoção no pedido
+   * Falha se o limite total de usos foi atingido por outro pedido nesse meio tempo
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} discount - Desconto aplicado (applyPromotion)
+   * @returns {Promise<void>}
+   */
+  registerUse: async (tenantId, discount) => {
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: discount.promotionId,
+        tenantId,
+        $or: [
+          { maxUses: null },
+          { $expr: { $lt: ['$usageCount', '$maxUses'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } }
+    );
+
+    if (!promotion) {
+      throw couponError(`A promoção ${discount.name} está esgotada`);
+    }
+  },
+
+  /**
+   * Devolve o uso registrado quando o pedido não chega a ser salvo
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} discount - Desconto aplicado (applyPromotion)
+   * @returns {Promise<void>}
+   */
+  releaseUse: async (tenantId, discount) => {
+    await Promotion.updateOne(
+      { _id: discount.promotionId, tenantId, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } }
+    );
+  }
+};
+
+module.exports = promotionService;
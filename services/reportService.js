@@ -1,9 +1,16 @@
 const Order = require('../models/order');
 const Catalog = require('../models/catalog');
 const Category = require('../models/category');
-const Conversation = require('../models/conversation');
+const Message = require('../models/message');
 const logger = require('../utils/logger');
 
+// Um documento por item vendido, com os combos expandidos em seus componentes
+// (expandedItems só existe nos pedidos com combos)
+const UNWIND_SOLD_ITEMS = [
+  { $addFields: { items: { $ifNull: ['$expandedItems', '$items'] } } },
+  { $unwind: '$items' }
+];
+
 /**
  * Serviço para geração de relatórios
  */
@@ -69,7 +76,7 @@ const reportService = {
       // Total por categoria de produto
       const categorySales = await Order.aggregate([
         { $match: dateFilter },
-        { $unwind: '$items' },
+        ...UNWIND_SOLD_ITEMS,
         {
           $lookup: {
             from: 'catalogs',
@@ -172,7 +179,7 @@ const reportService = {
       // Produtos mais vendidos
       const topProducts = await Order.aggregate([
         { $match: dateFilter },
-        { $unwind: '$items' },
+        ...UNWIND_SOLD_ITEMS,
         {
           $group: {
             _id: {
@@ -198,7 +205,7 @@ const reportService = {
       // Categorias mais vendidas
       const topCategories = await Order.aggregate([
         { $match: dateFilter },
-        { $unwind: '$items' },
+        ...UNWIND_SOLD_ITEMS,
         {
           $lookup: {
             from: 'catalogs',
@@ -241,7 +248,7 @@ const reportService = {
       // Opções mais escolhidas (para pizzas e hambúrgueres)
       const topOptions = await Order.aggregate([
         { $match: dateFilter },
-        { $unwind: '$items' },
+        ...UNWIND_SOLD_ITEMS,
         { $unwind: { path: '$items.options', preserveNullAndEmptyArrays: true } },
         { $match: { 'items.options': { $exists: true, $ne: null } } },
         {
@@ -378,18 +385,18 @@ const reportService = {
       }));
       
       // Clientes com interações no bot
-      const customersWithChat = await Conversation.aggregate([
+      const customersWithChat = await Message.aggregate([
         { 
           $match: { 
             tenantId,
-            updatedAt: { $gte: startDate, $lte: endDate }
+            timestamp: { $gte: startDate, $lte: endDate }
           }
         },
         {
           $group: {
             _id: '$phone',
-            messageCount: { $sum: { $size: '$messages' } },
-            lastInteraction: { $max: '$updatedAt' }
+            messageCount: { $sum: 1 },
+            lastInteraction: { $max: '$timestamp' }
           }
         },
         { $sort: { messageCount: -1 } },
@@ -0,0 +1,87 @@
+const Tenant = require('../models/tenant');
+const Message = require('../models/message');
+const ArchivedMessage = require('../models/archivedMessage');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Serviço da política de retenção de mensagens
+ */
+const retentionService = {
+  /**
+   * Aplica a política de retenção de todos os tenants que a habilitaram
+   * @returns {Promise<Object>} Quantidade de mensagens tratadas por tenant
+   */
+  enforceAll: async () => {
+    const tenants = await Tenant.find(
+      { active: true, 'settings.conversations.retention.enabled': true },
+      { 'settings.conversations.retention': 1 }
+    );
+
+    const results = {};
+
+    for (const tenant of tenants) {
+      try {
+        results[tenant._id] = await retentionService.enforce(
+          tenant._id,
+          tenant.settings.conversations.retention
+        );
+      } catch (error) {
+        // Falha de um tenant não impede os demais
+        logger.error(`Erro ao aplicar retenção de mensagens para tenant ${tenant._id}:`, error);
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Arquiva ou exclui as mensagens mais antigas que o prazo de retenção
+   * @param {string} tenantId - ID do tenant
+   * @param {Object} retention - Regra de retenção
+   * @param {number} retention.days - Idade máxima das mensagens, em dias
+   * @param {string} retention.action - archive (move para ArchivedMessage) ou purge (exclui)
+   * @param {number} batchSize - Quantidade de mensagens por lote
+   * @returns {Promise<number>} Quantidade de mensagens arquivadas ou excluídas
+   */
+  enforce: async (tenantId, retention, batchSize = config.conversations.retentionBatchSize) => {
+    const cutoff = new Date(Date.now() - retention.days * 24 * 60 * 60 * 1000);
+    let total = 0;
+
+    // Processar em lotes para não carregar todo o histórico de uma vez
+    while (true) {
+      const messages = await Message.find({ tenantId, timestamp: { $lt: cutoff } })
+        .sort({ timestamp: 1 })
+        .limit(batchSize)
+        .lean();
+
+      if (messages.length === 0) break;
+
+      if (retention.action === 'archive') {
+        try {
+          await ArchivedMessage.insertMany(messages, { ordered: false });
+        } catch (error) {
+          // Lote interrompido antes da exclusão: mensagens já arquivadas são ignoradas
+          const writeErrors = error.writeErrors || [];
+
+          if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+            throw error;
+          }
+        }
+      }
+
+      await Message.deleteMany({ _id: { $in: messages.map(message => message._id) } });
+      total += messages.length;
+
+      if (messages.length < batchSize) break;
+    }
+
+    if (total > 0) {
+      logger.info(`Retenção: ${total} mensagens ${retention.action === 'archive' ? 'arquivadas' : 'excluídas'} para tenant ${tenantId}`);
+    }
+
+    return total;
+  }
+};
+
+module.exports = retentionService;
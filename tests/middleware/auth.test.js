@@ -0,0 +1,89 @@
+const jwt = require('jsonwebtoken');
+const User = require('../../models/user');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { authenticateJwt, authenticateStreamToken, signStreamToken } = require('../../middleware/auth');
+
+const user = { _id: 'user-1', tenantId: 'tenant-1', role: 'admin', active: true };
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const loginToken = () => jwt.sign({ id: user._id, role: user.role, tenantId: user.tenantId }, config.jwt.secret);
+
+describe('tokens do stream de eventos', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('abre o stream com o token de stream na query', async () => {
+    const req = { query: { token: signStreamToken(user) } };
+    const next = jest.fn();
+
+    await authenticateStreamToken(req, response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBe(user);
+    expect(req.tenantId).toBe('tenant-1');
+  });
+
+  it('não aceita o JWT de login na query', async () => {
+    const res = response();
+    const next = jest.fn();
+
+    await authenticateStreamToken({ query: { token: loginToken() } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('não aceita token de stream expirado', async () => {
+    const expired = jwt.sign(
+      { id: user._id, purpose: 'event-stream', exp: Math.floor(Date.now() / 1000) - 10 },
+      config.jwt.secret
+    );
+    const res = response();
+    const next = jest.fn();
+
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    await authenticateStreamToken({ query: { token: expired } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('emite tokens de curta duração', () => {
+    const decoded = jwt.verify(signStreamToken(user), config.jwt.secret);
+
+    expect(decoded.purpose).toBe('event-stream');
+    expect(decoded.exp - decoded.iat).toBe(60);
+  });
+
+  it('não aceita o token de stream como login', async () => {
+    const res = response();
+    const next = jest.fn();
+
+    await authenticateJwt({ headers: { authorization: `Bearer ${signStreamToken(user)}` } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('aceita o JWT de login no header', async () => {
+    const req = { headers: { authorization: `Bearer ${loginToken()}` } };
+    const next = jest.fn();
+
+    await authenticateJwt(req, response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBe(user);
+  });
+});
@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/user');
+const config = require('../../config/config');
+
+const TENANT_ID = '64b000000000000000000001';
+
+const admin = { _id: '64b0000000000000000000a1', tenantId: TENANT_ID, role: 'admin', active: true };
+const staff = { _id: '64b0000000000000000000a2', tenantId: TENANT_ID, role: 'staff', active: true };
+
+const tokenFor = (user) => jwt.sign({ id: user._id, role: user.role, tenantId: user.tenantId }, config.jwt.secret);
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../../routes/auth'));
+
+describe('telefone de comandos pelo chat', () => {
+  let loggedUser;
+
+  beforeEach(() => {
+    loggedUser = admin;
+    jest.spyOn(User, 'findById').mockImplementation(() => ({ select: async () => loggedUser }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('não deixa o próprio usuário definir o telefone pelo perfil', async () => {
+    loggedUser = staff;
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const update = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({
+      select: async () => ({ _id: staff._id, name: 'Atendente' })
+    });
+
+    const res = await request(app)
+      .put('/api/auth/me')
+      .set('Authorization', `Bearer ${tokenFor(staff)}`)
+      .send({ name: 'Atendente', phone: '5511988887777' });
+
+    expect(res.status).toBe(200);
+    expect(update.mock.calls[0][1].$set).not.toHaveProperty('phone');
+  });
+
+  it('só o admin define o telefone de outro usuário', async () => {
+    loggedUser = staff;
+
+    const res = await request(app)
+      .put(`/api/auth/users/${staff._id}/phone`)
+      .set('Authorization', `Bearer ${tokenFor(staff)}`)
+      .send({ phone: '5511988887777' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('salva o telefone do usuário só com dígitos', async () => {
+    const user = { _id: staff._id, name: 'Atendente', role: 'staff', save: jest.fn() };
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+    const res = await request(app)
+      .put(`/api/auth/users/${staff._id}/phone`)
+      .set('Authorization', `Bearer ${tokenFor(admin)}`)
+      .send({ phone: '+55 (11) 98888-7777' });
+
+    expect(res.status).toBe(200);
+    expect(findOne).toHaveBeenCalledWith({ _id: staff._id, tenantId: TENANT_ID });
+    expect(user.phone).toBe('5511988887777');
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('recusa telefone já usado por outro usuário do tenant', async () => {
+    const user = { _id: staff._id, save: jest.fn() };
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const exists = jest.spyOn(User, 'exists').mockResolvedValue({ _id: admin._id });
+
+    const res = await request(app)
+      .put(`/api/auth/users/${staff._id}/phone`)
+      .set('Authorization', `Bearer ${tokenFor(admin)}`)
+      .send({ phone: '5511988887777' });
+
+    expect(res.status).toBe(400);
+    expect(exists).toHaveBeenCalledWith({ tenantId: TENANT_ID, phone: '5511988887777', _id: { $ne: staff._id } });
+    expect(user.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+const express = require('express');
+const request = require('supertest');
+const Tenant = require('../../models/tenant');
+const Conversation = require('../../models/conversation');
+const intentService = require('../../services/intentService');
+const adminCommandService = require('../../services/adminCommandService');
+const conversationService = require('../../services/conversationService');
+const nlu = require('../../services/nlu');
+const logger = require('../../utils/logger');
+
+const OWNER_PHONE = '5511988887777';
+
+const tenant = {
+  _id: '64b000000000000000000001',
+  name: 'Pizzaria Teste',
+  contact: { phone: OWNER_PHONE },
+  settings: {}
+};
+
+const intents = [
+  { name: 'fallback', action: 'fallback', responses: ['Não entendi. Digite "cardápio" para ver as opções.'] }
+];
+
+const app = express();
+app.use(express.json());
+app.use('/api/conversations', require('../../routes/conversation'));
+
+describe('mensagens do telefone do dono da loja', () => {
+  beforeEach(() => {
+    jest.spyOn(Tenant, 'findByApiKey').mockResolvedValue(tenant);
+    jest.spyOn(Tenant, 'findOne').mockResolvedValue(tenant);
+    jest.spyOn(Tenant, 'findById').mockResolvedValue(tenant);
+    jest.spyOn(Conversation, 'findOne').mockImplementation((query, projection) => {
+      // getState pede só o estado; handleInboundMessage, a conversa inteira
+      return Promise.resolve(projection ? null : {
+        handoff: { status: 'bot' },
+        session: { lastInboundAt: new Date() },
+        save: async () => {}
+      });
+    });
+    jest.spyOn(Conversation, 'addMessage').mockResolvedValue({});
+    jest.spyOn(intentService, 'getIntents').mockResolvedValue(intents);
+    jest.spyOn(nlu, 'classify').mockResolvedValue({ intent: null, confidence: 0, entities: { products: [] } });
+    jest.spyOn(adminCommandService, 'execute').mockResolvedValue('Loja pausada');
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('são tratadas como mensagens de cliente na API', async () => {
+    jest.spyOn(adminCommandService, 'identify');
+
+    const response = await request(app)
+      .post(`/api/conversations/${tenant._id}/message`)
+      .set('x-api-key', 'chave')
+      .send({ phone: OWNER_PHONE, message: 'pausar loja' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.response).toBe('Não entendi. Digite "cardápio" para ver as opções.');
+    expect(adminCommandService.identify).not.toHaveBeenCalled();
+    expect(adminCommandService.execute).not.toHaveBeenCalled();
+  });
+
+  it('viram comandos quando chegam pelo webhook do canal', async () => {
+    const response = await conversationService.handleInboundMessage(tenant._id, OWNER_PHONE, 'pausar loja', {
+      trusted: true
+    });
+
+    expect(response).toBe('Loja pausada');
+    expect(adminCommandService.execute).toHaveBeenCalledWith(
+      tenant,
+      { role: 'admin', name: 'Pizzaria Teste' },
+      'pausar loja'
+    );
+  });
+});
@@ -0,0 +1,115 @@
+const addressService = require('../../services/addressService');
+const fixtureProvider = require('../../services/cep/fixtureProvider');
+const cacheManager = require('../../utils/cacheManager');
+const logger = require('../../utils/logger');
+
+describe('addressService.resolve', () => {
+  beforeEach(() => {
+    cacheManager.delByPrefix('cep_');
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('mantém o endereço em texto do formato antigo', async () => {
+    await expect(addressService.resolve('  Rua das Flores, 10 - Centro ')).resolves.toEqual({
+      text: 'Rua das Flores, 10 - Centro'
+    });
+  });
+
+  it('completa o endereço com a consulta do CEP', async () => {
+    const address = await addressService.resolve({ cep: '01310-100', number: '1000', complement: 'Apto 12' });
+
+    expect(address).toEqual({
+      text: 'Avenida Paulista, 1000 - Apto 12 - Bela Vista, São Paulo/SP - CEP 01310-100',
+      details: {
+        street: 'Avenida Paulista',
+        number: '1000',
+        complement: 'Apto 12',
+        neighborhood: 'Bela Vista',
+        city: 'São Paulo',
+        state: 'SP',
+        cep: '01310100'
+      },
+      location: { lat: -23.5631, lng: -46.6544 }
+    });
+  });
+
+  it('prefere os campos e as coordenadas informados pelo cliente', async () => {
+    const address = await addressService.resolve({
+      cep: '01001000',
+      street: 'Praça da Sé (lado ímpar)',
+      number: '1',
+      lat: -23.55,
+      lng: -46.63
+    });
+
+    expect(address.details.street).toBe('Praça da Sé (lado ímpar)');
+    expect(address.details.neighborhood).toBe('Sé');
+    expect(address.location).toEqual({ lat: -23.55, lng: -46.63 });
+  });
+
+  it('rejeita CEP inválido', async () => {
+    await expect(addressService.resolve({ cep: '1234', number: '10' })).rejects.toEqual({
+      type: 'validation',
+      message: 'CEP inválido',
+      details: ['customer.address']
+    });
+  });
+
+  it('pede o endereço completo quando o CEP não existe e a rua não foi informada', async () => {
+    await expect(addressService.resolve({ cep: '99999999', number: '10' })).rejects.toEqual(expect.objectContaining({
+      type: 'validation',
+      message: 'CEP 99999-999 não encontrado. Informe o endereço completo'
+    }));
+  });
+
+  it('aceita CEP não encontrado quando a rua foi informada', async () => {
+    const address = await addressService.resolve({ cep: '99999999', street: 'Rua Nova', number: '10', city: 'São Paulo', state: 'SP' });
+
+    expect(address.text).toBe('Rua Nova, 10, São Paulo/SP - CEP 99999-999');
+    expect(address.location).toBeUndefined();
+  });
+
+  it('usa os campos do cliente quando a consulta do CEP falha', async () => {
+    jest.spyOn(fixtureProvider, 'lookup').mockRejectedValue(new Error('serviço indisponível'));
+
+    const address = await addressService.resolve({
+      cep: '01310100',
+      street: 'Av. Paulista',
+      number: '1000',
+      neighborhood: 'Bela Vista'
+    });
+
+    expect(address).toEqual({
+      text: 'Av. Paulista, 1000 - Bela Vista - CEP 01310-100',
+      details: { street: 'Av. Paulista', number: '1000', neighborhood: 'Bela Vista', cep: '01310100' },
+      location: undefined
+    });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Falha na consulta do CEP 01310100'));
+  });
+
+  it('exige a rua quando a consulta do CEP falha e o cliente não a informou', async () => {
+    jest.spyOn(fixtureProvider, 'lookup').mockRejectedValue(new Error('serviço indisponível'));
+
+    await expect(addressService.resolve({ cep: '01310100', number: '1000' })).rejects.toEqual(expect.objectContaining({
+      message: 'CEP 01310-100 não encontrado. Informe o endereço completo'
+    }));
+  });
+
+  it('exige a rua nos CEPs gerais da cidade', async () => {
+    await expect(addressService.resolve({ cep: '13010-000', number: '10' })).rejects.toEqual({
+      type: 'validation',
+      message: 'Informe a rua do endereço',
+      details: ['customer.address']
+    });
+  });
+
+  it('completa o CEP geral da cidade quando a rua foi informada', async () => {
+    const address = await addressService.resolve({ cep: '13010000', street: 'Rua Barão de Jaguara', number: '900' });
+
+    expect(address.text).toBe('Rua Barão de Jaguara, 900 - Centro, Campinas/SP - CEP 13010-000');
+  });
+});
@@ -0,0 +1,22 @@
+const Tenant = require('../../models/tenant');
+const cartRecoveryService = require('../../services/cartRecoveryService');
+
+describe('recuperação de carrinhos abandonados', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('vem desativada nos tenants novos', () => {
+    const tenant = new Tenant({ name: 'Pizzaria Teste', slug: 'pizzaria-teste' });
+
+    expect(tenant.settings.cartRecovery.enabled).toBe(false);
+  });
+
+  it('só procura carrinhos dos tenants que ativaram a recuperação', async () => {
+    const find = jest.spyOn(Tenant, 'find').mockResolvedValue([]);
+
+    await cartRecoveryService.detectAbandoned();
+
+    expect(find.mock.calls[0][0]).toEqual({ active: true, 'settings.cartRecovery.enabled': true });
+  });
+});
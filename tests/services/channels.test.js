@@ -0,0 +1,83 @@
+const channels = require('../../services/channels');
+const mockAdapter = require('../../services/channels/mockAdapter');
+const config = require('../../config/config');
+
+const tenant = { _id: 'tenant-1', settings: {} };
+
+describe('channels.getAdapter', () => {
+  const env = config.env;
+
+  afterEach(() => {
+    config.env = env;
+    config.channels.allowMock = false;
+  });
+
+  it('usa o canal configurado no tenant', () => {
+    const adapter = channels.getAdapter({ _id: 'tenant-1', settings: { channel: { provider: 'telegram' } } });
+
+    expect(adapter.name).toBe('telegram');
+  });
+
+  it('usa o mock sem canal configurado em testes', () => {
+    expect(channels.getAdapter(tenant)).toBe(mockAdapter);
+  });
+
+  it('não usa o mock sem canal configurado em produção', () => {
+    config.env = 'production';
+
+    expect(() => channels.getAdapter(tenant)).toThrow('Nenhum canal de mensagens configurado');
+    expect(() => channels.getAdapter(tenant, 'mock')).toThrow('Canal mock não permitido');
+  });
+
+  it('usa o mock em produção quando liberado explicitamente', () => {
+    config.env = 'production';
+    config.channels.allowMock = true;
+
+    expect(channels.getAdapter(tenant)).toBe(mockAdapter);
+  });
+
+  it('rejeita canais desconhecidos', () => {
+    expect(() => channels.getAdapter(tenant, 'sms')).toThrow('Canal de mensagens desconhecido: sms');
+  });
+});
+
+describe('mockAdapter', () => {
+  beforeEach(() => {
+    mockAdapter.clear();
+  });
+
+  it('registra as mensagens enviadas por tenant', async () => {
+    const result = await mockAdapter.send(tenant, '5511999999999', 'Olá', { buttons: [{ id: 'sim', title: 'Sim' }] });
+    await mockAdapter.send({ _id: 'tenant-2' }, '5511888888888', 'Oi');
+
+    expect(result.providerMessageId).toMatch(/^mock-/);
+    expect(mockAdapter.getSentMessages()).toHaveLength(2);
+    expect(mockAdapter.getSentMessages('tenant-1')).toEqual([
+      expect.objectContaining({
+        phone: '5511999999999',
+        message: 'Olá',
+        buttons: [{ id: 'sim', title: 'Sim' }],
+        providerMessageId: result.providerMessageId
+      })
+    ]);
+  });
+
+  it('mantém apenas as mensagens mais recentes', async () => {
+    for (let i = 0; i < 510; i++) {
+      await mockAdapter.send(tenant, '5511999999999', `Mensagem ${i}`);
+    }
+
+    const sent = mockAdapter.getSentMessages();
+
+    expect(sent).toHaveLength(500);
+    expect(sent[0].message).toBe('Mensagem 10');
+    expect(sent[499].message).toBe('Mensagem 509');
+  });
+
+  it('limpa as mensagens registradas', async () => {
+    await mockAdapter.send(tenant, '5511999999999', 'Olá');
+    mockAdapter.clear();
+
+    expect(mockAdapter.getSentMessages()).toEqual([]);
+  });
+});
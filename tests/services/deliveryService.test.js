@@ -0,0 +1,197 @@
+const deliveryService = require('../../services/deliveryService');
+const DeliveryZone = require('../../models/deliveryZone');
+const Tenant = require('../../models/tenant');
+
+// Loja na Avenida Paulista
+const origin = { lat: -23.5631, lng: -46.6544 };
+
+const zones = {
+  neighborhoods: {
+    _id: 'zone-1',
+    name: 'Centro',
+    type: 'neighborhoods',
+    neighborhoods: ['Bela Vista', 'Jardim América'],
+    fee: 5,
+    minOrder: 0,
+    estimatedMinutes: 30
+  },
+  cepRange: {
+    _id: 'zone-2',
+    name: 'Pinheiros',
+    type: 'cep-range',
+    cepRanges: [{ from: '05400-000', to: '05499-999' }],
+    fee: 8,
+    minOrder: 40
+  },
+  radius: {
+    _id: 'zone-3',
+    name: 'Até 3 km',
+    type: 'radius',
+    radiusKm: 3,
+    fee: 10
+  },
+  polygon: {
+    _id: 'zone-4',
+    name: 'Ibirapuera',
+    type: 'polygon',
+    polygon: [
+      { lat: -23.580, lng: -46.665 },
+      { lat: -23.580, lng: -46.645 },
+      { lat: -23.595, lng: -46.645 },
+      { lat: -23.595, lng: -46.665 }
+    ],
+    fee: 12
+  }
+};
+
+describe('deliveryService.findZone', () => {
+  const find = (zone, address, from = origin) => deliveryService.findZone([zone], address, from);
+
+  describe('por bairros', () => {
+    it('encontra o bairro citado no endereço em texto, sem acentos', () => {
+      expect(find(zones.neighborhoods, { text: 'Rua Augusta, 500 - Jardim America' })).toBe(zones.neighborhoods);
+    });
+
+    it('exige as palavras do bairro em sequência', () => {
+      expect(find(zones.neighborhoods, { text: 'Rua América, 10 - Jardim Paulista' })).toBeNull();
+    });
+
+    it('usa o bairro do endereço estruturado', () => {
+      expect(find(zones.neighborhoods, {
+        text: 'Rua Bela Vista, 10 - Moema',
+        details: { neighborhood: 'Moema' }
+      })).toBeNull();
+      expect(find(zones.neighborhoods, {
+        text: 'Rua Treze de Maio, 10',
+        details: { neighborhood: 'bela vista' }
+      })).toBe(zones.neighborhoods);
+    });
+  });
+
+  describe('por faixa de CEP', () => {
+    it('encontra o CEP citado no endereço em texto', () => {
+      expect(find(zones.cepRange, { text: 'Rua dos Pinheiros, 100 - CEP 05422-001' })).toBe(zones.cepRange);
+      expect(find(zones.cepRange, { text: 'Rua dos Pinheiros, 100 - 05422001' })).toBe(zones.cepRange);
+    });
+
+    it('usa o CEP do endereço estruturado', () => {
+      expect(find(zones.cepRange, { text: 'Rua X, 1', details: { cep: '05499999' } })).toBe(zones.cepRange);
+      expect(find(zones.cepRange, { text: 'Rua X, 1', details: { cep: '05500000' } })).toBeNull();
+    });
+
+    it('não encontra endereços sem CEP', () => {
+      expect(find(zones.cepRange, { text: 'Rua dos Pinheiros, 100' })).toBeNull();
+    });
+  });
+
+  describe('por raio', () => {
+    it('encontra endereços dentro do raio da loja', () => {
+      // Praça da Sé, a cerca de 2,5 km da loja
+      expect(find(zones.radius, { text: 'Praça da Sé', coordinates: { lat: -23.5503, lng: -46.6339 } })).toBe(zones.radius);
+    });
+
+    it('não encontra endereços fora do raio', () => {
+      // Faria Lima, a cerca de 3,8 km da loja
+      expect(find(zones.radius, { text: 'Faria Lima', coordinates: { lat: -23.5868, lng: -46.6818 } })).toBeNull();
+    });
+
+    it('não encontra sem as coordenadas do endereço ou da loja', () => {
+      expect(find(zones.radius, { text: 'Praça da Sé' })).toBeNull();
+      expect(find(zones.radius, { text: 'Praça da Sé', coordinates: { lat: -23.5503, lng: -46.6339 } }, null)).toBeNull();
+    });
+  });
+
+  describe('por polígono', () => {
+    it('encontra endereços dentro do polígono', () => {
+      expect(find(zones.polygon, { text: 'Parque', coordinates: { lat: -23.587, lng: -46.657 } })).toBe(zones.polygon);
+    });
+
+    it('não encontra endereços fora do polígono', () => {
+      expect(find(zones.polygon, { text: 'Paulista', coordinates: origin })).toBeNull();
+    });
+  });
+
+  it('usa a primeira zona que contém o endereço', () => {
+    const address = { text: 'Rua Treze de Maio, 10 - Bela Vista', coordinates: { lat: -23.56, lng: -46.65 } };
+
+    expect(deliveryService.findZone([zones.radius, zones.neighborhoods], address, origin)).toBe(zones.radius);
+    expect(deliveryService.findZone([zones.neighborhoods, zones.radius], address, origin)).toBe(zones.neighborhoods);
+  });
+});
+
+describe('deliveryService.quote', () => {
+  const activeZones = (list) => {
+    jest.spyOn(DeliveryZone, 'find').mockReturnValue({ sort: () => ({ lean: async () => list }) });
+  };
+
+  const store = (settings) => {
+    jest.spyOn(Tenant, 'findById').mockResolvedValue({ settings: { store: settings } });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('devolve a taxa e a previsão da zona', async () => {
+    activeZones([zones.neighborhoods, zones.cepRange]);
+
+    await expect(deliveryService.quote('tenant-1', { address: 'Rua Augusta, 500 - Bela Vista', subtotal: 50 })).resolves.toEqual({
+      zoneId: 'zone-1',
+      zone: 'Centro',
+      fee: 5,
+      estimatedMinutes: 30
+    });
+  });
+
+  it('usa as coordenadas da loja nas zonas por raio', async () => {
+    activeZones([zones.radius]);
+    store({ location: origin });
+
+    await expect(deliveryService.quote('tenant-1', {
+      address: 'Praça da Sé',
+      coordinates: { lat: -23.5503, lng: -46.6339 },
+      subtotal: 50
+    })).resolves.toEqual(expect.objectContaining({ zone: 'Até 3 km', fee: 10 }));
+  });
+
+  it('rejeita endereços fora da área de entrega', async () => {
+    activeZones([zones.neighborhoods]);
+
+    await expect(deliveryService.quote('tenant-1', { address: 'Rua X, 1 - Moema', subtotal: 50 })).rejects.toEqual({
+      type: 'validation',
+      message: 'Endereço fora da área de entrega',
+      details: ['customer.address']
+    });
+  });
+
+  it('pede bairro e CEP quando as zonas geográficas não têm como ser verificadas', async () => {
+    activeZones([zones.polygon]);
+    store({ location: origin });
+
+    await expect(deliveryService.quote('tenant-1', { address: 'Rua X, 1', subtotal: 50 })).rejects.toEqual(expect.objectContaining({
+      message: 'Não foi possível localizar o endereço na área de entrega. Informe o bairro e o CEP'
+    }));
+  });
+
+  it('exige o pedido mínimo da zona', async () => {
+    activeZones([zones.cepRange]);
+
+    await expect(deliveryService.quote('tenant-1', { address: 'Rua X, 1 - 05422-001', subtotal: 30 })).rejects.toEqual(expect.objectContaining({
+      message: 'O pedido mínimo para entrega em Pinheiros é de R$ 40.00'
+    }));
+  });
+
+  it('usa a taxa fixa do tenant quando não há zonas cadastradas', async () => {
+    activeZones([]);
+    store({ deliveryFee: 6 });
+
+    await expect(deliveryService.quote('tenant-1', { address: 'Qualquer lugar', subtotal: 10 })).resolves.toEqual({ fee: 6 });
+  });
+
+  it('não cobra entrega sem zonas nem taxa fixa', async () => {
+    activeZones([]);
+    store({});
+
+    await expect(deliveryService.quote('tenant-1', { address: 'Qualquer lugar', subtotal: 10 })).resolves.toEqual({ fee: 0 });
+  });
+});
@@ -0,0 +1,135 @@
+const messageQueueService = require('../../services/messageQueueService');
+const OutboundMessage = require('../../models/outboundMessage');
+const Message = require('../../models/message');
+const Tenant = require('../../models/tenant');
+const channels = require('../../services/channels');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+const NOW = new Date('2026-01-10T12:00:00Z').getTime();
+
+const tenant = { _id: 'tenant-1', settings: {} };
+
+const outboundMessage = (data = {}) => ({
+  _id: 'outbound-1',
+  tenantId: 'tenant-1',
+  phone: '5511999999999',
+  content: 'Olá',
+  status: 'sending',
+  attempts: 1,
+  save: jest.fn(async () => {}),
+  ...data
+});
+
+describe('messageQueueService.deliver', () => {
+  let send;
+  const { baseDelay, maxDelay, maxAttempts } = config.queue;
+
+  beforeEach(() => {
+    send = jest.fn();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    jest.spyOn(Tenant, 'findById').mockResolvedValue(tenant);
+    jest.spyOn(channels, 'getAdapter').mockReturnValue({ name: 'teste', send });
+    jest.spyOn(Message, 'updateOne').mockResolvedValue({});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    Object.assign(config.queue, { baseDelay: 30000, maxDelay: 3600000, maxAttempts: 5 });
+  });
+
+  afterEach(() => {
+    Object.assign(config.queue, { baseDelay, maxDelay, maxAttempts });
+    jest.restoreAllMocks();
+  });
+
+  it('marca a mensagem como enviada e guarda o ID do provedor', async () => {
+    send.mockResolvedValue({ providerMessageId: 'wamid-1' });
+
+    const outbound = await messageQueueService.deliver(outboundMessage());
+
+    expect(outbound.status).toBe('sent');
+    expect(outbound.providerMessageId).toBe('wamid-1');
+    expect(outbound.save).toHaveBeenCalled();
+    expect(Message.updateOne).toHaveBeenCalledWith(
+      { outboundMessageId: 'outbound-1' },
+      { $set: { deliveryStatus: 'sent', providerMessageId: 'wamid-1' } }
+    );
+  });
+
+  it.each([
+    [1, 30000],
+    [2, 60000],
+    [3, 120000],
+    [4, 240000]
+  ])('reagenda a tentativa %i com espera exponencial de %i ms', async (attempts, delay) => {
+    send.mockRejectedValue(new Error('provedor indisponível'));
+
+    const outbound = await messageQueueService.deliver(outboundMessage({ attempts }));
+
+    expect(outbound.status).toBe('queued');
+    expect(outbound.nextAttemptAt).toEqual(new Date(NOW + delay));
+    expect(outbound.lastError).toBe('provedor indisponível');
+    expect(outbound.save).toHaveBeenCalled();
+  });
+
+  it('limita a espera ao máximo configurado', async () => {
+    config.queue.maxAttempts = 20;
+    send.mockRejectedValue(new Error('provedor indisponível'));
+
+    const outbound = await messageQueueService.deliver(outboundMessage({ attempts: 10 }));
+
+    expect(outbound.nextAttemptAt).toEqual(new Date(NOW + 3600000));
+  });
+
+  it('move para as mensagens mortas ao esgotar as tentativas', async () => {
+    send.mockRejectedValue(new Error('número inválido'));
+
+    const outbound = await messageQueueService.deliver(outboundMessage({ attempts: 5 }));
+
+    expect(outbound.status).toBe('failed');
+    expect(outbound.deadLettered).toBe(true);
+    expect(outbound.nextAttemptAt).toBeUndefined();
+    expect(Message.updateOne).toHaveBeenCalledWith(
+      { outboundMessageId: 'outbound-1' },
+      { $set: { deliveryStatus: 'failed' } }
+    );
+  });
+});
+
+describe('messageQueueService.updateDeliveryStatus', () => {
+  beforeEach(() => {
+    jest.spyOn(Message, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('procura a mensagem apenas no tenant do webhook', async () => {
+    jest.spyOn(OutboundMessage, 'findOne').mockResolvedValue(null);
+
+    await expect(messageQueueService.updateDeliveryStatus('tenant-1', 'wamid-1', 'delivered')).resolves.toBeNull();
+    expect(OutboundMessage.findOne).toHaveBeenCalledWith({ tenantId: 'tenant-1', providerMessageId: 'wamid-1' });
+  });
+
+  it('avança o status de entrega', async () => {
+    const outbound = outboundMessage({ status: 'sent', providerMessageId: 'wamid-1' });
+    const timestamp = new Date(NOW);
+    jest.spyOn(OutboundMessage, 'findOne').mockResolvedValue(outbound);
+
+    await messageQueueService.updateDeliveryStatus('tenant-1', 'wamid-1', 'read', { timestamp });
+
+    expect(outbound.status).toBe('read');
+    expect(outbound.readAt).toBe(timestamp);
+    expect(outbound.save).toHaveBeenCalled();
+  });
+
+  it('ignora confirmações fora de ordem', async () => {
+    const outbound = outboundMessage({ status: 'read', providerMessageId: 'wamid-1' });
+    jest.spyOn(OutboundMessage, 'findOne').mockResolvedValue(outbound);
+
+    await messageQueueService.updateDeliveryStatus('tenant-1', 'wamid-1', 'delivered');
+
+    expect(outbound.status).toBe('read');
+    expect(outbound.save).not.toHaveBeenCalled();
+  });
+});
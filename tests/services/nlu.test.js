@@ -0,0 +1,155 @@
+const http = require('http');
+const nlu = require('../../services/nlu');
+const menuService = require('../../services/menuService');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+const intents = [
+  { name: 'menu', keywords: ['cardapio'], synonyms: ['menu'] },
+  { name: 'order', keywords: ['quero pedir'] }
+];
+
+const menu = [
+  { id: 'p1', name: 'Pizza Calabresa' },
+  { id: 'p2', name: 'Pizza Margherita' }
+];
+
+describe('nlu.classify com o provedor http', () => {
+  let server;
+  let url;
+  let respond;
+  let requests;
+
+  const tenant = () => ({
+    _id: 'tenant-1',
+    settings: {
+      nlu: {
+        provider: 'http',
+        http: { url, apiKey: 'chave', model: 'modelo-teste' }
+      }
+    }
+  });
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body: JSON.parse(body) });
+        respond(res);
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/classify`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const timeout = config.nlu.timeout;
+
+  beforeEach(() => {
+    requests = [];
+    jest.spyOn(menuService, 'getMenu').mockResolvedValue(menu);
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    config.nlu.timeout = timeout;
+    jest.restoreAllMocks();
+  });
+
+  const json = (data, status = 200) => (res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  it('usa a intenção devolvida pelo serviço', async () => {
+    respond = json({ intent: 'order', confidence: 0.92, entities: { products: ['Pizza Calabresa'] } });
+
+    const result = await nlu.classify(tenant(), 'manda uma calabresa', intents);
+
+    expect(result.provider).toBe('http');
+    expect(result.intent.name).toBe('order');
+    expect(result.confidence).toBe(0.92);
+    expect(result.entities.products).toEqual(['Pizza Calabresa']);
+    expect(menuService.getMenu).not.toHaveBeenCalled();
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].headers.authorization).toBe('Bearer chave');
+    expect(requests[0].body).toEqual({
+      message: 'manda uma calabresa',
+      locale: 'pt-BR',
+      model: 'modelo-teste',
+      intents: [
+        { name: 'menu', examples: ['cardapio', 'menu'] },
+        { name: 'order', examples: ['quero pedir'] }
+      ]
+    });
+  });
+
+  it('usa o classificador local quando o serviço falha', async () => {
+    respond = json({ error: 'indisponível' }, 500);
+
+    const result = await nlu.classify(tenant(), 'quero ver o cardapio', intents);
+
+    expect(result.provider).toBe('local');
+    expect(result.intent.name).toBe('menu');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Falha no provedor de NLU http'));
+  });
+
+  it('usa o classificador local quando o serviço não responde a tempo', async () => {
+    config.nlu.timeout = 100;
+    respond = (res) => setTimeout(() => json({ intent: 'order', confidence: 1 })(res), 500);
+
+    const result = await nlu.classify(tenant(), 'quero ver o cardapio', intents);
+
+    expect(result.provider).toBe('local');
+    expect(result.intent.name).toBe('menu');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('timeout'));
+  });
+
+  it('usa o classificador local quando a confiança fica abaixo do mínimo', async () => {
+    respond = json({ intent: 'order', confidence: 0.5 });
+
+    const result = await nlu.classify(tenant(), 'quero ver o cardapio', intents);
+
+    expect(result.provider).toBe('local');
+    expect(result.intent.name).toBe('menu');
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('respeita o mínimo de confiança do tenant', async () => {
+    respond = json({ intent: 'order', confidence: 0.5 });
+
+    const configured = tenant();
+    configured.settings.nlu.minConfidence = 0.4;
+
+    const result = await nlu.classify(configured, 'quero ver o cardapio', intents);
+
+    expect(result.provider).toBe('http');
+    expect(result.intent.name).toBe('order');
+  });
+
+  it('descarta intenções que o tenant não tem', async () => {
+    respond = json({ intent: 'reclamacao', confidence: 0.99 });
+
+    const result = await nlu.classify(tenant(), 'quero ver o cardapio', intents);
+
+    expect(result.provider).toBe('local');
+    expect(result.intent.name).toBe('menu');
+  });
+
+  it('reconhece os produtos do cardápio no classificador local', async () => {
+    respond = json({ error: 'indisponível' }, 500);
+
+    const result = await nlu.classify(tenant(), 'quero pedir uma calabresa', intents);
+
+    expect(result.intent.name).toBe('order');
+    expect(result.entities.products[0]).toEqual(expect.objectContaining({ id: 'p1', name: 'Pizza Calabresa' }));
+  });
+});
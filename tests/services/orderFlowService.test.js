@@ -0,0 +1,118 @@
+const orderFlowService = require('../../services/orderFlowService');
+const orderService = require('../../services/orderService');
+const pricingService = require('../../services/pricingService');
+const deliveryService = require('../../services/deliveryService');
+
+const tenantId = 'tenant-1';
+const phone = '5511999999999';
+
+const confirmState = (data = {}) => ({
+  step: orderFlowService.STEPS.CONFIRM,
+  data: {
+    items: [
+      { productId: 'p1', name: 'Pizza Calabresa', quantity: 2, unitPrice: 40, options: [{ optionId: 'o1', name: 'Borda Catupiry', price: 8 }] }
+    ],
+    customer: { name: 'Maria', address: 'Rua das Flores, 10 - Centro' },
+    delivery: { fee: 5 },
+    paymentMethod: 'pix',
+    choices: [],
+    ...data
+  }
+});
+
+// Catálogo atual: o preço de cada produto pelo ID (ausente = indisponível)
+const catalogPrices = (prices) => {
+  jest.spyOn(pricingService, 'priceItems').mockImplementation(async (id, [item], options) => {
+    expect(options.policy).toBe('override');
+
+    if (prices[item.productId] === undefined) {
+      throw { type: 'validation', message: `Produto ${item.name} não encontrado` };
+    }
+
+    return {
+      items: [{ ...item, unitPrice: prices[item.productId], priceSnapshot: {} }],
+      subtotal: 0,
+      adjustments: []
+    };
+  });
+};
+
+describe('orderFlowService na confirmação do pedido', () => {
+  beforeEach(() => {
+    jest.spyOn(orderService, 'getPricingSettings').mockResolvedValue({ policy: 'reject', flavorPricing: 'highest' });
+    jest.spyOn(deliveryService, 'quote').mockResolvedValue({ fee: 5 });
+    jest.spyOn(orderService, 'createOrder').mockResolvedValue({
+      orderNumber: '0001',
+      total: 101
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cria o pedido quando os preços não mudaram', async () => {
+    catalogPrices({ p1: 40 });
+
+    const result = await orderFlowService.handleMessage(tenantId, phone, confirmState(), 'sim');
+
+    expect(orderService.createOrder).toHaveBeenCalledWith(tenantId, expect.objectContaining({
+      items: confirmState().data.items,
+      paymentMethod: 'pix'
+    }));
+    expect(result.state.step).toBe(orderFlowService.STEPS.IDLE);
+    expect(result.response).toContain('Pedido 0001 confirmado');
+  });
+
+  it('mantém o carrinho e mostra os novos preços quando o catálogo mudou', async () => {
+    catalogPrices({ p1: 45 });
+
+    const result = await orderFlowService.handleMessage(tenantId, phone, confirmState(), 'sim');
+
+    expect(orderService.createOrder).not.toHaveBeenCalled();
+    expect(result.state.step).toBe(orderFlowService.STEPS.CONFIRM);
+    expect(result.state.data.items[0].unitPrice).toBe(45);
+    expect(result.response).toContain('Os preços do cardápio mudaram');
+    expect(result.response).toContain('2x Pizza Calabresa (Borda Catupiry) - R$ 106.00');
+    expect(result.response).toContain('Total: R$ 111.00');
+
+    // Confirmado de novo com os preços atualizados, o pedido é criado
+    const confirmed = await orderFlowService.handleMessage(tenantId, phone, result.state, 'sim');
+
+    expect(orderService.createOrder).toHaveBeenCalledTimes(1);
+    expect(confirmed.state.step).toBe(orderFlowService.STEPS.IDLE);
+  });
+
+  it('remove os itens que deixaram de estar disponíveis', async () => {
+    catalogPrices({ p1: 40 });
+
+    const state = confirmState();
+    state.data.items.push({ productId: 'p2', name: 'Refrigerante', quantity: 1, unitPrice: 8, options: [] });
+
+    const result = await orderFlowService.handleMessage(tenantId, phone, state, 'sim');
+
+    expect(result.state.step).toBe(orderFlowService.STEPS.CONFIRM);
+    expect(result.state.data.items).toHaveLength(1);
+    expect(result.response).toContain('foram removidos: Refrigerante');
+  });
+
+  it('pergunta o troco de novo quando o total mudou no pagamento em dinheiro', async () => {
+    catalogPrices({ p1: 45 });
+
+    const result = await orderFlowService.handleMessage(tenantId, phone, confirmState({ paymentMethod: 'cash', changeFor: 110 }), 'sim');
+
+    expect(result.state.step).toBe(orderFlowService.STEPS.CHANGE);
+    expect(result.state.data.changeFor).toBeUndefined();
+    expect(result.response).toContain('Total: R$ 111.00');
+  });
+
+  it('encerra o pedido quando nenhum item está disponível', async () => {
+    catalogPrices({});
+
+    const result = await orderFlowService.handleMessage(tenantId, phone, confirmState(), 'sim');
+
+    expect(orderService.createOrder).not.toHaveBeenCalled();
+    expect(result.state.step).toBe(orderFlowService.STEPS.IDLE);
+    expect(result.response).toContain('não estão mais disponíveis');
+  });
+});
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const orderParserService = require('../../services/orderParserService');
+const optionGroupService = require('../../services/optionGroupService');
+const Catalog = require('../../models/catalog');
+const ProductOption = require('../../models/productOption');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const MEDIUM = id();
+const LARGE = id();
+const SMALL = id();
+
+const border = {
+  _id: id(),
+  name: 'Borda',
+  maxSelections: 1,
+  options: [
+    { _id: id(), name: 'Catupiry', price: 10 },
+    { _id: id(), name: 'Cheddar', price: 12 }
+  ]
+};
+
+const doneness = {
+  _id: id(),
+  name: 'Ponto da carne',
+  required: true,
+  maxSelections: 1,
+  options: [
+    { _id: id(), name: 'Mal passado', price: 0 },
+    { _id: id(), name: 'Ao ponto', price: 0 }
+  ]
+};
+
+const pizzaSizes = (medium, large) => [
+  { sizeId: MEDIUM, sizeName: 'Média', price: medium },
+  { sizeId: LARGE, sizeName: 'Grande', price: large }
+];
+
+const products = {
+  calabresa: { _id: id(), name: 'Pizza Calabresa', productType: 'pizza', sizesPrices: pizzaSizes(40, 50), optionGroups: [border._id] },
+  chicken: { _id: id(), name: 'Pizza Frango com Catupiry', productType: 'pizza', sizesPrices: pizzaSizes(45, 55), optionGroups: [border._id] },
+  coke: { _id: id(), name: 'Coca-Cola 2L', productType: 'drink', price: 12 },
+  burger: { _id: id(), name: 'Hambúrguer', productType: 'other', price: 30, optionGroups: [doneness._id] },
+  combo: { _id: id(), name: 'Combo Família', productType: 'bundle', price: 90 }
+};
+
+const sizes = [
+  { _id: SMALL, name: 'Broto' },
+  { _id: MEDIUM, name: 'Média' },
+  { _id: LARGE, name: 'Grande' }
+];
+
+describe('orderParserService.parse', () => {
+  beforeEach(() => {
+    jest.spyOn(Catalog, 'find').mockReturnValue({ sort: async () => Object.values(products) });
+    jest.spyOn(ProductOption, 'find').mockReturnValue({ sort: async () => sizes });
+    jest.spyOn(optionGroupService, 'getActiveGroups').mockResolvedValue([border, doneness]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const parse = (message) => orderParserService.parse('tenant-1', message);
+
+  it('reconhece produtos, tamanhos e quantidades por extenso', async () => {
+    const draft = await parse('Quero uma calabresa grande e duas coca-cola');
+
+    expect(draft.pending).toEqual([]);
+    expect(draft.items).toEqual([
+      {
+        productId: String(products.calabresa._id),
+        name: 'Pizza Calabresa (Grande)',
+        size: 'Grande',
+        sizeId: String(LARGE),
+        quantity: 1,
+        unitPrice: 50,
+        options: []
+      },
+      {
+        productId: String(products.coke._id),
+        name: 'Coca-Cola 2L',
+        quantity: 2,
+        unitPrice: 12,
+        options: []
+      }
+    ]);
+  });
+
+  it('aceita quantidades em números e erros de digitação', async () => {
+    const draft = await parse('2x calabreza media, 3 coca');
+
+    expect(draft.items.map(item => [item.name, item.quantity])).toEqual([
+      ['Pizza Calabresa (Média)', 2],
+      ['Coca-Cola 2L', 3]
+    ]);
+  });
+
+  it('aplica o tamanho citado antes do produto', async () => {
+    const draft = await parse('duas grandes de calabresa');
+
+    expect(draft.items).toEqual([expect.objectContaining({ name: 'Pizza Calabresa (Grande)', quantity: 2 })]);
+  });
+
+  it('não confunde o número do nome do produto com quantidade', async () => {
+    const draft = await parse('uma coca 2l');
+
+    expect(draft.items).toEqual([expect.objectContaining({ name: 'Coca-Cola 2L', quantity: 1 })]);
+  });
+
+  it('reconhece as opções dos grupos do produto', async () => {
+    const draft = await parse('uma calabresa grande com borda de cheddar');
+
+    expect(draft.items[0].options).toEqual([{
+      groupId: String(border._id),
+      group: 'Borda',
+      optionId: String(border.options[1]._id),
+      name: 'Cheddar',
+      price: 12
+    }]);
+  });
+
+  it('não trata as palavras do nome do produto como opções', async () => {
+    const draft = await parse('uma frango com catupiry grande');
+
+    expect(draft.items).toEqual([expect.objectContaining({ name: 'Pizza Frango com Catupiry (Grande)', options: [] })]);
+
+    const calabresa = await parse('uma calabresa grande com borda de catupiry');
+
+    expect(calabresa.items[0].options).toEqual([expect.objectContaining({ name: 'Catupiry', price: 10 })]);
+  });
+
+  it('deixa pendente a pizza sem tamanho', async () => {
+    const draft = await parse('uma calabresa');
+
+    expect(draft.items).toEqual([]);
+    expect(draft.pending).toEqual([expect.objectContaining({
+      name: 'Pizza Calabresa',
+      missing: 'size',
+      unitPrice: undefined,
+      sizes: ['Média', 'Grande']
+    })]);
+  });
+
+  it('deixa pendente a pizza em tamanho que ela não tem', async () => {
+    const draft = await parse('uma calabresa broto');
+
+    expect(draft.pending).toEqual([expect.objectContaining({ missing: 'size', requestedSize: 'Broto' })]);
+  });
+
+  it('deixa pendente o item sem as opções obrigatórias', async () => {
+    const draft = await parse('um hamburguer');
+
+    expect(draft.pending).toEqual([expect.objectContaining({
+      name: 'Hambúrguer',
+      missing: 'options',
+      groups: ['Ponto da carne']
+    })]);
+
+    const chosen = await parse('um hamburguer ao ponto');
+
+    expect(chosen.items).toEqual([expect.objectContaining({
+      name: 'Hambúrguer',
+      options: [expect.objectContaining({ name: 'Ao ponto' })]
+    })]);
+  });
+
+  it('deixa os combos para a escolha dos itens no diálogo', async () => {
+    const draft = await parse('um combo familia');
+
+    expect(draft.pending).toEqual([expect.objectContaining({ name: 'Combo Família', missing: 'components' })]);
+  });
+
+  it('não encontra itens em mensagens sem produtos', async () => {
+    await expect(parse('boa noite, tudo bem?')).resolves.toEqual({ items: [], pending: [] });
+  });
+});
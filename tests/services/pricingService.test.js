@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const pricingService = require('../../services/pricingService');
+const optionGroupService = require('../../services/optionGroupService');
+const Catalog = require('../../models/catalog');
+const ProductOption = require('../../models/productOption');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const SIZE = id();
+const BORDER = id();
+const CATUPIRY = id();
+
+const sizes = [{ _id: SIZE, name: 'Grande', type: 'pizza-size', maxQuantity: 2, slices: 8 }];
+
+const groups = [{
+  _id: BORDER,
+  name: 'Borda',
+  maxSelections: 1,
+  options: [{ _id: CATUPIRY, name: 'Catupiry', price: 10 }]
+}];
+
+const products = {
+  calabresa: {
+    _id: id(),
+    name: 'Calabresa',
+    productType: 'pizza',
+    sizesPrices: [{ sizeId: SIZE, sizeName: 'Grande', price: 50 }],
+    optionGroups: [BORDER]
+  },
+  margherita: {
+    _id: id(),
+    name: 'Margherita',
+    productType: 'pizza',
+    sizesPrices: [{ sizeId: SIZE, sizeName: 'Grande', price: 60 }],
+    optionGroups: [BORDER]
+  },
+  soda: {
+    _id: id(),
+    name: 'Refrigerante',
+    productType: 'drink',
+    price: 8
+  }
+};
+
+const catalog = Object.values(products);
+const byId = (productId) => catalog.find(product => String(product._id) === String(productId)) || null;
+
+const halfAndHalf = (item = {}) => ({
+  productId: String(products.calabresa._id),
+  sizeId: String(SIZE),
+  flavors: [{ productId: String(products.calabresa._id) }, { productId: String(products.margherita._id) }],
+  quantity: 1,
+  ...item
+});
+
+describe('pricingService.priceItems', () => {
+  beforeEach(() => {
+    jest.spyOn(ProductOption, 'find').mockResolvedValue(sizes);
+    jest.spyOn(optionGroupService, 'getActiveGroups').mockResolvedValue(groups);
+    jest.spyOn(Catalog, 'findOne').mockImplementation(async (query) => byId(query._id));
+    jest.spyOn(Catalog, 'find').mockImplementation(async (query) => query._id.$in.map(byId).filter(Boolean));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('calcula os preços com o catálogo atual', async () => {
+    const result = await pricingService.priceItems('tenant-1', [
+      { productId: String(products.soda._id), quantity: 2, unitPrice: 8 },
+      {
+        productId: String(products.calabresa._id),
+        sizeId: String(SIZE),
+        quantity: 1,
+        unitPrice: 50,
+        options: [{ optionId: String(CATUPIRY), price: 10 }]
+      }
+    ]);
+
+    expect(result.subtotal).toBe(76);
+    expect(result.adjustments).toEqual([]);
+    expect(result.items[1]).toEqual(expect.objectContaining({
+      name: 'Calabresa (Grande)',
+      size: 'Grande',
+      unitPrice: 50,
+      options: [expect.objectContaining({ group: 'Borda', name: 'Catupiry', price: 10 })]
+    }));
+    expect(result.items[1].priceSnapshot).toEqual(expect.objectContaining({ basePrice: 50, optionsTotal: 10, unitTotal: 60 }));
+  });
+
+  it('rejeita preço divergente por padrão', async () => {
+    await expect(pricingService.priceItems('tenant-1', [
+      { productId: String(products.soda._id), quantity: 1, unitPrice: 6 }
+    ])).rejects.toEqual({
+      type: 'validation',
+      message: 'Preço divergente para Refrigerante: enviado R$ 6.00, atual R$ 8.00',
+      details: [{ item: 'Refrigerante', field: 'unitPrice', submitted: 6, charged: 8 }]
+    });
+  });
+
+  it('rejeita opção com preço divergente na política reject', async () => {
+    await expect(pricingService.priceItems('tenant-1', [{
+      productId: String(products.calabresa._id),
+      sizeId: String(SIZE),
+      quantity: 1,
+      unitPrice: 50,
+      options: [{ optionId: String(CATUPIRY), price: 5 }]
+    }], { policy: 'reject' })).rejects.toEqual(expect.objectContaining({
+      details: [{ item: 'Calabresa (Grande)', field: 'options.Catupiry', submitted: 5, charged: 10 }]
+    }));
+  });
+
+  it('cobra o preço do catálogo e registra o ajuste na política override', async () => {
+    const result = await pricingService.priceItems('tenant-1', [
+      { productId: String(products.soda._id), quantity: 3, unitPrice: 6 }
+    ], { policy: 'override' });
+
+    expect(result.items[0].unitPrice).toBe(8);
+    expect(result.subtotal).toBe(24);
+    expect(result.adjustments).toEqual([{ item: 'Refrigerante', field: 'unitPrice', submitted: 6, charged: 8 }]);
+  });
+
+  it('tolera diferenças de arredondamento', async () => {
+    const result = await pricingService.priceItems('tenant-1', [
+      { productId: String(products.soda._id), quantity: 1, unitPrice: 8.001 }
+    ]);
+
+    expect(result.adjustments).toEqual([]);
+  });
+
+  it('não confere o preço quando o cliente não o envia', async () => {
+    const result = await pricingService.priceItems('tenant-1', [
+      { productId: String(products.soda._id), quantity: 1 }
+    ], { policy: 'reject' });
+
+    expect(result.items[0].unitPrice).toBe(8);
+    expect(result.adjustments).toEqual([]);
+  });
+
+  it('cobra o sabor mais caro da pizza meio a meio por padrão', async () => {
+    const result = await pricingService.priceItems('tenant-1', [halfAndHalf({ unitPrice: 60 })]);
+
+    expect(result.items[0].name).toBe('Calabresa / Margherita (Grande)');
+    expect(result.items[0].unitPrice).toBe(60);
+    expect(result.items[0].priceSnapshot.flavorPricing).toBe('highest');
+  });
+
+  it('cobra a média dos sabores na regra average', async () => {
+    const result = await pricingService.priceItems('tenant-1', [halfAndHalf({ unitPrice: 55 })], { flavorPricing: 'average' });
+
+    expect(result.items[0].unitPrice).toBe(55);
+    expect(result.adjustments).toEqual([]);
+  });
+
+  it('rejeita produto indisponível', async () => {
+    await expect(pricingService.priceItems('tenant-1', [
+      { productId: String(id()), name: 'Esfiha', quantity: 1 }
+    ], { policy: 'override' })).rejects.toEqual(expect.objectContaining({
+      type: 'validation',
+      message: 'Produto Esfiha não encontrado ou indisponível'
+    }));
+  });
+});
@@ -0,0 +1,203 @@
+const promotionService = require('../../services/promotionService');
+const Promotion = require('../../models/promotion');
+const Order = require('../../models/order');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const item = (productId, quantity, unitTotal) => ({ productId, quantity, priceSnapshot: { unitTotal } });
+
+const order = (data = {}) => ({
+  items: [item('p1', 2, 40), item('p2', 1, 20)],
+  subtotal: 100,
+  deliveryFee: 8,
+  phone: '5511999999999',
+  ...data
+});
+
+const promotion = (data = {}) => ({
+  _id: 'promo-1',
+  name: 'Promoção',
+  type: 'percentage',
+  value: 10,
+  minSubtotal: 0,
+  usageCount: 0,
+  ...data
+});
+
+describe('promotionService.calculateDiscount', () => {
+  it('aplica o percentual sobre o subtotal', () => {
+    expect(promotionService.calculateDiscount(promotion({ value: 15 }), order())).toBe(15);
+  });
+
+  it('limita o desconto fixo ao subtotal', () => {
+    expect(promotionService.calculateDiscount(promotion({ type: 'fixed', value: 20 }), order())).toBe(20);
+    expect(promotionService.calculateDiscount(promotion({ type: 'fixed', value: 150 }), order())).toBe(100);
+  });
+
+  it('desconta a taxa de entrega na entrega grátis', () => {
+    expect(promotionService.calculateDiscount(promotion({ type: 'free-delivery' }), order())).toBe(8);
+  });
+
+  it('dá as unidades mais baratas no leve X pague Y', () => {
+    const buyTwoGetOne = promotion({ type: 'buy-x-get-y', buyQuantity: 2, getQuantity: 1 });
+
+    expect(promotionService.calculateDiscount(buyTwoGetOne, order())).toBe(20);
+    expect(promotionService.calculateDiscount({ ...buyTwoGetOne, products: ['p1'] }, order())).toBe(0);
+    expect(promotionService.calculateDiscount({ ...buyTwoGetOne, products: ['p1'] }, order({
+      items: [item('p1', 3, 40), item('p2', 1, 20)]
+    }))).toBe(40);
+  });
+});
+
+describe('promotionService.applyPromotion', () => {
+  beforeEach(() => {
+    jest.spyOn(Order, 'exists').mockResolvedValue(null);
+    jest.spyOn(Order, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('com cupom', () => {
+    const coupon = (data) => jest.spyOn(Promotion, 'findOne').mockResolvedValue(promotion({ code: 'PIZZA10', ...data }));
+
+    it('aplica o cupom informado', async () => {
+      coupon();
+
+      await expect(promotionService.applyPromotion('tenant-1', order({ couponCode: ' pizza10 ' }))).resolves.toEqual({
+        promotionId: 'promo-1',
+        code: 'PIZZA10',
+        name: 'Promoção',
+        type: 'percentage',
+        amount: 10
+      });
+      expect(Promotion.findOne).toHaveBeenCalledWith({ tenantId: 'tenant-1', code: 'PIZZA10', active: true });
+    });
+
+    it('rejeita cupom inexistente', async () => {
+      jest.spyOn(Promotion, 'findOne').mockResolvedValue(null);
+
+      await expect(promotionService.applyPromotion('tenant-1', order({ couponCode: 'NADA' }))).rejects.toEqual({
+        type: 'validation',
+        message: 'Cupom NADA inválido',
+        details: ['couponCode']
+      });
+    });
+
+    it.each([
+      ['antes do início', { startsAt: new Date(Date.now() + DAY) }, 'está fora do período de validade'],
+      ['depois do fim', { endsAt: new Date(Date.now() - DAY) }, 'está fora do período de validade'],
+      ['abaixo do pedido mínimo', { minSubtotal: 120 }, 'vale para pedidos a partir de R$ 120.00'],
+      ['esgotado', { maxUses: 50, usageCount: 50 }, 'está esgotado']
+    ])('rejeita cupom %s', async (label, data, reason) => {
+      coupon(data);
+
+      await expect(promotionService.applyPromotion('tenant-1', order({ couponCode: 'PIZZA10' })))
+        .rejects.toEqual(expect.objectContaining({ message: `Cupom PIZZA10 ${reason}` }));
+    });
+
+    it('aceita cupom dentro do período e com usos disponíveis', async () => {
+      coupon({ startsAt: new Date(Date.now() - DAY), endsAt: new Date(Date.now() + DAY), maxUses: 50, usageCount: 49 });
+
+      await expect(promotionService.applyPromotion('tenant-1', order({ couponCode: 'PIZZA10' })))
+        .resolves.toEqual(expect.objectContaining({ amount: 10 }));
+    });
+
+    it('rejeita cupom de primeiro pedido para quem já pediu', async () => {
+      coupon({ firstOrderOnly: true });
+      Order.exists.mockResolvedValue({ _id: 'order-1' });
+
+      await expect(promotionService.applyPromotion('tenant-1', order({ couponCode: 'PIZZA10' })))
+        .rejects.toEqual(expect.objectContaining({ message: 'Cupom PIZZA10 vale apenas para o primeiro pedido' }));
+      expect(Order.exists).toHaveBeenCalledWith({
+        tenantId: 'tenant-1',
+        'customer.phone': '5511999999999',
+        status: { $ne: 'cancelled' }
+      });
+    });
+
+    it('rejeita cupom usado o máximo de vezes pelo cliente', async () => {
+      coupon({ maxUsesPerCustomer: 2 });
+      Order.countDocuments.mockResolvedValue(2);
+
+      await expect(promotionService.applyPromotion('tenant-1', order({ couponCode: 'PIZZA10' })))
+        .rejects.toEqual(expect.objectContaining({ message: 'Cupom PIZZA10 já foi usado o máximo de vezes permitido' }));
+      expect(Order.countDocuments).toHaveBeenCalledWith(expect.objectContaining({ 'discount.promotionId': 'promo-1' }));
+    });
+
+    it('rejeita cupom que não gera desconto', async () => {
+      coupon({ type: 'free-delivery' });
+
+      await expect(promotionService.applyPromotion('tenant-1', order({ couponCode: 'PIZZA10', deliveryFee: 0 })))
+        .rejects.toEqual(expect.objectContaining({ message: 'Cupom PIZZA10 não gera desconto para este pedido' }));
+    });
+  });
+
+  describe('sem cupom', () => {
+    it('aplica a promoção automática de maior desconto que vale para o pedido', async () => {
+      jest.spyOn(Promotion, 'find').mockResolvedValue([
+        promotion({ _id: 'promo-1', name: '10%', value: 10 }),
+        promotion({ _id: 'promo-2', name: 'R$ 30', type: 'fixed', value: 30, minSubtotal: 150 }),
+        promotion({ _id: 'promo-3', name: 'Entrega grátis', type: 'free-delivery' })
+      ]);
+
+      await expect(promotionService.applyPromotion('tenant-1', order())).resolves.toEqual(expect.objectContaining({
+        promotionId: 'promo-1',
+        amount: 10
+      }));
+      expect(Promotion.find).toHaveBeenCalledWith({ tenantId: 'tenant-1', active: true, code: null });
+    });
+
+    it('não aplica desconto quando nenhuma promoção vale', async () => {
+      jest.spyOn(Promotion, 'find').mockResolvedValue([promotion({ minSubtotal: 200 })]);
+
+      await expect(promotionService.applyPromotion('tenant-1', order())).resolves.toBeNull();
+    });
+  });
+});
+
+describe('promotionService.registerUse', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const discount = { promotionId: 'promo-1', name: 'Promoção' };
+
+  it('conta o uso apenas se ainda houver usos disponíveis', async () => {
+    jest.spyOn(Promotion, 'findOneAndUpdate').mockResolvedValue(promotion());
+
+    await promotionService.registerUse('tenant-1', discount);
+
+    expect(Promotion.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: 'promo-1',
+        tenantId: 'tenant-1',
+        $or: [
+          { maxUses: null },
+          { $expr: { $lt: ['$usageCount', '$maxUses'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } }
+    );
+  });
+
+  it('falha quando outro pedido usou o último uso', async () => {
+    jest.spyOn(Promotion, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(promotionService.registerUse('tenant-1', discount)).rejects.toEqual(expect.objectContaining({
+      message: 'A promoção Promoção está esgotada'
+    }));
+  });
+
+  it('devolve o uso de pedidos não salvos', async () => {
+    jest.spyOn(Promotion, 'updateOne').mockResolvedValue({});
+
+    await promotionService.releaseUse('tenant-1', discount);
+
+    expect(Promotion.updateOne).toHaveBeenCalledWith(
+      { _id: 'promo-1', tenantId: 'tenant-1', usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } }
+    );
+  });
+});
@@ -0,0 +1,47 @@
+const { validators } = require('../../utils/validator');
+
+const order = (items) => ({
+  customer: { name: 'Maria', phone: '5511999990000', address: 'Rua A, 10' },
+  items,
+  paymentMethod: 'pix'
+});
+
+describe('validação de pedidos', () => {
+  it('aceita opções sem preço, que vem do catálogo', () => {
+    const { error } = validators.order.validate(order([
+      {
+        productId: 'pizza-1',
+        quantity: 1,
+        options: [{ groupId: 'massa', optionId: 'borda-catupiry' }]
+      }
+    ]));
+
+    expect(error).toBeUndefined();
+  });
+
+  it('aceita componentes de combo com opções sem preço', () => {
+    const { error } = validators.order.validate(order([
+      {
+        productId: 'combo-1',
+        quantity: 1,
+        components: [
+          { slotId: 'lanche', productId: 'burger-1', options: [{ name: 'Bacon' }] }
+        ]
+      }
+    ]));
+
+    expect(error).toBeUndefined();
+  });
+
+  it('recusa preço de opção negativo', () => {
+    const { error } = validators.order.validate(order([
+      {
+        productId: 'pizza-1',
+        quantity: 1,
+        options: [{ optionId: 'borda-catupiry', price: -5 }]
+      }
+    ]));
+
+    expect(error).toBeDefined();
+  });
+});
@@ -0,0 +1,38 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+// Barramento de eventos em memória, separado por tenant
+const emitter = new EventEmitter();
+
+// Cada conexão do painel é um ouvinte; não há limite fixo
+emitter.setMaxListeners(0);
+
+const eventBus = {
+  // Publicar evento para os ouvintes do tenant
+  publish: function(tenantId, type, payload = {}) {
+    const event = {
+      type,
+      tenantId: tenantId.toString(),
+      payload,
+      timestamp: new Date()
+    };
+    
+    try {
+      emitter.emit(`tenant:${event.tenantId}`, event);
+    } catch (error) {
+      logger.error(`Erro ao publicar evento ${type} para tenant ${event.tenantId}:`, error);
+    }
+    
+    return event;
+  },
+  
+  // Ouvir eventos do tenant; retorna função para cancelar a inscrição
+  subscribe: function(tenantId, listener) {
+    const channel = `tenant:${tenantId.toString()}`;
+    emitter.on(channel, listener);
+    
+    return () => emitter.off(channel, listener);
+  }
+};
+
+module.exports = eventBus;
@@ -0,0 +1,94 @@
+// Remove acentos e caixa ("Cardápio" -> "cardapio")
+const foldText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+};
+
+const tokenize = (text) => foldText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Erros de digitação tolerados conforme o tamanho da palavra
+// Palavras curtas ("oi", "menu") precisam ser exatas para evitar falsos positivos
+const maxDistance = (word) => {
+  if (word.length >= 8) return 2;
+  if (word.length >= 5) return 1;
+  return 0;
+};
+
+// Distância de edição, contando a troca de duas letras vizinhas como um erro
+const editDistance = (a, b) => {
+  const rows = [];
+
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+  }
+
+  for (let j = 0; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+// Similaridade de uma palavra com a palavra esperada (0 quando passa do limite de erros)
+const wordSimilarity = (word, expected) => {
+  if (word === expected) return 1;
+
+  const distance = editDistance(word, expected);
+
+  return distance <= maxDistance(expected) ? 1 - distance / expected.length : 0;
+};
+
+// Similaridade de um termo (uma ou mais palavras em sequência) com a mensagem
+// 1 significa que o termo aparece exatamente, sem considerar acentos
+const termSimilarity = (tokens, termTokens) => {
+  let best = 0;
+
+  if (termTokens.length === 0) {
+    return best;
+  }
+
+  for (let start = 0; start + termTokens.length <= tokens.length; start++) {
+    let total = 0;
+
+    for (let index = 0; index < termTokens.length; index++) {
+      const similarity = wordSimilarity(tokens[start + index], termTokens[index]);
+
+      if (similarity === 0) {
+        total = 0;
+        break;
+      }
+
+      total += similarity;
+    }
+
+    best = Math.max(best, total / termTokens.length);
+  }
+
+  return best;
+};
+
+module.exports = {
+  foldText,
+  tokenize,
+  editDistance,
+  wordSimilarity,
+  termSimilarity
+};
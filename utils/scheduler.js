@@ -0,0 +1,49 @@
+const logger = require('./logger');
+
+// Tarefas agendadas em execução
+const jobs = {};
+
+const scheduler = {
+  // Executar tarefa periodicamente, sem sobrepor execuções
+  every: function(name, intervalMs, task) {
+    if (jobs[name]) {
+      clearInterval(jobs[name].timer);
+    }
+    
+    const job = { running: false };
+    
+    job.timer = setInterval(async () => {
+      if (job.running) return;
+      
+      job.running = true;
+      try {
+        await task();
+      } catch (error) {
+        logger.error(`Erro na tarefa agendada ${name}:`, error);
+      } finally {
+        job.running = false;
+      }
+    }, intervalMs);
+    
+    // Não impede o encerramento do processo
+    job.timer.unref();
+    
+    jobs[name] = job;
+    logger.info(`Tarefa agendada ${name} iniciada (a cada ${intervalMs}ms)`);
+  },
+  
+  // Parar uma tarefa
+  stop: function(name) {
+    if (jobs[name]) {
+      clearInterval(jobs[name].timer);
+      delete jobs[name];
+    }
+  },
+  
+  // Parar todas as tarefas
+  stopAll: function() {
+    Object.keys(jobs).forEach(name => scheduler.stop(name));
+  }
+};
+
+module.exports = scheduler;
@@ -0,0 +1,16 @@
+// Substitui placeholders no formato {{caminho.do.valor}} pelos valores do contexto
+const render = (template, context = {}) => {
+  if (!template) return '';
+  
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = path
+      .split('.')
+      .reduce((obj, key) => (obj !== undefined && obj !== null ? obj[key] : undefined), context);
+    
+    return value !== undefined && value !== null ? String(value) : '';
+  });
+};
+
+module.exports = {
+  render
+};
@@ -1,5 +1,45 @@
 const Joi = require('joi');
 
+// Partes dos itens de pedido usadas também nos componentes dos combos
+const itemOption = Joi.object({
+  groupId: Joi.string(),
+  optionId: Joi.string(),
+  name: Joi.string(),
+  // Preço exibido ao cliente, conferido com o catálogo quando enviado
+  price: Joi.number().min(0)
+}).or('optionId', 'name');
+
+const itemFlavors = Joi.array().items(
+  Joi.object({
+    productId: Joi.string().required(),
+    name: Joi.string()
+  })
+).min(1);
+
+// Latitude e longitude (loja, endereço do cliente, polígonos das zonas de entrega)
+const coordinates = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
+// Endereço de entrega: texto livre (formato antigo) ou estruturado
+// No estruturado, rua, bairro, cidade e estado podem vir da consulta do CEP
+const deliveryAddress = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({
+    street: Joi.string().trim(),
+    number: Joi.string().trim().required(),
+    complement: Joi.string().trim().allow('', null),
+    neighborhood: Joi.string().trim(),
+    city: Joi.string().trim(),
+    state: Joi.string().trim().length(2),
+    cep: Joi.string().pattern(/^\d{5}-?\d{3}$/),
+    reference: Joi.string().trim().allow('', null),
+    lat: Joi.number().min(-90).max(90),
+    lng: Joi.number().min(-180).max(180)
+  }).or('street', 'cep').and('lat', 'lng')
+);
+
 // Validadores para diferentes entidades
 const validators = {
   // Tenant
@@ -19,6 +59,61 @@ const validators = {
       features: Joi.object({
         whatsappIntegration: Joi.boolean(),
         customDomain: Joi.boolean()
+      }),
+      channel: Joi.object({
+        provider: Joi.string().valid('whatsapp', 'telegram', 'webhook', 'mock'),
+        whatsapp: Joi.object({
+          phoneNumberId: Joi.string(),
+          accessToken: Joi.string(),
+          appSecret: Joi.string(),
+          verifyToken: Joi.string()
+        }),
+        telegram: Joi.object({
+          botToken: Joi.string(),
+          secretToken: Joi.string()
+        }),
+        webhook: Joi.object({
+          url: Joi.string().uri(),
+          secret: Joi.string()
+        })
+      }),
+      conversations: Joi.object({
+        sessionTimeoutHours: Joi.number().integer().min(1),
+        retention: Joi.object({
+          enabled: Joi.boolean(),
+          days: Joi.number().integer().min(1),
+          action: Joi.string().valid('archive', 'purge')
+        })
+      }),
+      cartRecovery: Joi.object({
+        enabled: Joi.boolean(),
+        delayMinutes: Joi.number().integer().min(5),
+        message: Joi.string().allow('', null)
+      }),
+      nlu: Joi.object({
+        provider: Joi.string().valid('local', 'http'),
+        minConfidence: Joi.number().min(0).max(1),
+        http: Joi.object({
+          url: Joi.string().uri(),
+          apiKey: Joi.string(),
+          model: Joi.string()
+        })
+      }),
+      orders: Joi.object({
+        priceMismatch: Joi.string().valid('reject', 'override'),
+        flavorPricing: Joi.string().valid('highest', 'average')
+      }),
+      store: Joi.object({
+        paused: Joi.boolean(),
+        location: coordinates,
+        deliveryFee: Joi.number().min(0)
+      }),
+      statusMessages: Joi.object({
+        confirmed: Joi.string().allow(''),
+        preparing: Joi.string().allow(''),
+        delivering: Joi.string().allow(''),
+        completed: Joi.string().allow(''),
+        cancelled: Joi.string().allow('')
       })
     })
   }),
@@ -29,9 +124,15 @@ const validators = {
     name: Joi.string().required().trim(),
     email: Joi.string().email().required().trim().lowercase(),
     password: Joi.string().min(6).required(),
+    phone: Joi.string().trim(),
     role: Joi.string().valid('admin', 'staff', 'super-admin')
   }),
   
+  // Telefone de comandos pelo chat (vazio remove)
+  userPhone: Joi.object({
+    phone: Joi.string().trim().allow('', null).required()
+  }),
+  
   // Login
   login: Joi.object({
     email: Joi.string().email().required(),
@@ -52,14 +153,14 @@ const validators = {
     name: Joi.string().required().trim(),
     description: Joi.string().allow('', null),
     price: Joi.number().when('productType', {
-      is: Joi.string().valid('standard', 'hamburger'),
+      is: Joi.string().valid('standard', 'hamburger', 'bundle'),
       then: Joi.required(),
       otherwise: Joi.optional()
     }),
     image: Joi.string().uri().allow('', null),
     available: Joi.boolean().default(true),
     category: Joi.string().required(),
-    productType: Joi.string().valid('standard', 'pizza', 'hamburger').default('standard'),
+    productType: Joi.string().valid('standard', 'pizza', 'hamburger', 'bundle').default('standard'),
     sizesPrices: Joi.when('productType', {
       is: 'pizza',
       then: Joi.array().items(
@@ -70,12 +171,27 @@ const validators = {
         })
       ).min(1).required(),
       otherwise: Joi.array().optional()
-    })
+    }),
+    bundleSlots: Joi.when('productType', {
+      is: 'bundle',
+      then: Joi.array().items(
+        Joi.object({
+          _id: Joi.string(),
+          name: Joi.string().required().trim(),
+          quantity: Joi.number().integer().min(1).default(1),
+          products: Joi.array().items(Joi.string()),
+          category: Joi.string(),
+          sizeId: Joi.string()
+        }).or('products', 'category')
+      ).min(1).required(),
+      otherwise: Joi.forbidden()
+    }),
+    optionGroups: Joi.array().items(Joi.string())
   }),
   
   // Product Option
   productOption: Joi.object({
-    type: Joi.string().valid('pizza-size', 'pizza-crust', 'burger-addon').required(),
+    type: Joi.string().valid('pizza-size').required(),
     name: Joi.string().required().trim(),
     description: Joi.string().allow('', null),
     price: Joi.number().default(0),
@@ -89,24 +205,127 @@ const validators = {
     active: Joi.boolean().default(true)
   }),
   
+  // Option Group
+  optionGroup: Joi.object({
+    name: Joi.string().required().trim(),
+    description: Joi.string().allow('', null),
+    required: Joi.boolean().default(false),
+    minSelections: Joi.number().integer().min(0).default(0),
+    maxSelections: Joi.number().integer().min(1).default(1),
+    options: Joi.array().items(
+      Joi.object({
+        _id: Joi.string(),
+        name: Joi.string().required().trim(),
+        description: Joi.string().allow('', null),
+        price: Joi.number().min(0).default(0),
+        order: Joi.number().default(0),
+        active: Joi.boolean().default(true)
+      })
+    ).min(1).required(),
+    order: Joi.number().default(0),
+    active: Joi.boolean().default(true)
+  }),
+  
+  // Promotion
+  promotion: Joi.object({
+    name: Joi.string().required().trim(),
+    description: Joi.string().allow('', null),
+    code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(30).allow('', null),
+    type: Joi.string().valid('percentage', 'fixed', 'free-delivery', 'buy-x-get-y').required(),
+    value: Joi.when('type', {
+      switch: [
+        { is: 'percentage', then: Joi.number().greater(0).max(100).required() },
+        { is: 'fixed', then: Joi.number().greater(0).required() }
+      ],
+      otherwise: Joi.forbidden()
+    }),
+    buyQuantity: Joi.when('type', {
+      is: 'buy-x-get-y',
+      then: Joi.number().integer().min(1).required(),
+      otherwise: Joi.forbidden()
+    }),
+    getQuantity: Joi.when('type', {
+      is: 'buy-x-get-y',
+      then: Joi.number().integer().min(1).required(),
+      otherwise: Joi.forbidden()
+    }),
+    products: Joi.array().items(Joi.string()),
+    minSubtotal: Joi.number().min(0).default(0),
+    firstOrderOnly: Joi.boolean().default(false),
+    startsAt: Joi.date().allow(null),
+    endsAt: Joi.date().allow(null),
+    maxUses: Joi.number().integer().min(1).allow(null),
+    maxUsesPerCustomer: Joi.number().integer().min(1).allow(null),
+    active: Joi.boolean().default(true)
+  }),
+  
+  // Delivery zone
+  deliveryZone: Joi.object({
+    name: Joi.string().required().trim(),
+    type: Joi.string().valid('neighborhoods', 'cep-range', 'radius', 'polygon').required(),
+    neighborhoods: Joi.when('type', {
+      is: 'neighborhoods',
+      then: Joi.array().items(Joi.string().trim()).min(1).required(),
+      otherwise: Joi.forbidden()
+    }),
+    cepRanges: Joi.when('type', {
+      is: 'cep-range',
+      then: Joi.array().items(
+        Joi.object({
+          from: Joi.string().pattern(/^\d{5}-?\d{3}$/).required(),
+          to: Joi.string().pattern(/^\d{5}-?\d{3}$/).required()
+        })
+      ).min(1).required(),
+      otherwise: Joi.forbidden()
+    }),
+    radiusKm: Joi.when('type', {
+      is: 'radius',
+      then: Joi.number().greater(0).required(),
+      otherwise: Joi.forbidden()
+    }),
+    polygon: Joi.when('type', {
+      is: 'polygon',
+      then: Joi.array().items(coordinates).min(3).required(),
+      otherwise: Joi.forbidden()
+    }),
+    fee: Joi.number().min(0).required(),
+    minOrder: Joi.number().min(0).default(0),
+    estimatedMinutes: Joi.number().integer().min(0).allow(null),
+    order: Joi.number().default(0),
+    active: Joi.boolean().default(true)
+  }),
+  
+  // Store location
+  storeLocation: coordinates.required(),
+  
   // Order
   order: Joi.object({
     customer: Joi.object({
       name: Joi.string().required(),
       phone: Joi.string().required(),
-      address: Joi.string().required()
+      address: deliveryAddress.required(),
+      location: coordinates
     }).required(),
     items: Joi.array().items(
       Joi.object({
-        productId: Joi.string(),
+        productId: Joi.string().required(),
         name: Joi.string(),
         flavor: Joi.string(),
+        size: Joi.string(),
+        sizeId: Joi.string(),
+        crustId: Joi.string(),
+        flavors: itemFlavors,
         quantity: Joi.number().integer().min(1).required(),
-        unitPrice: Joi.number().required(),
-        options: Joi.array().items(
+        // Preço exibido ao cliente, conferido com o catálogo quando enviado
+        unitPrice: Joi.number().min(0),
+        options: Joi.array().items(itemOption),
+        components: Joi.array().items(
           Joi.object({
-            name: Joi.string().required(),
-            price: Joi.number().required()
+            slotId: Joi.string().required(),
+            productId: Joi.string().required(),
+            sizeId: Joi.string(),
+            flavors: itemFlavors,
+            options: Joi.array().items(itemOption)
           })
         )
       })
@@ -117,19 +336,93 @@ const validators = {
       then: Joi.number().optional(),
       otherwise: Joi.forbidden()
     }),
-    deliveryFee: Joi.number().default(0),
+    deliveryFee: Joi.number().min(0).default(0),
+    couponCode: Joi.string().trim().max(30).allow('', null),
     notes: Joi.string().allow('', null)
   }),
   
+  // Delivery quote
+  deliveryQuote: Joi.object({
+    address: deliveryAddress.required(),
+    location: coordinates,
+    subtotal: Joi.number().min(0).default(0)
+  }),
+  
+  // Free-text order
+  orderText: Joi.object({
+    message: Joi.string().required()
+  }),
+  
   // Order Status Update
   orderStatus: Joi.object({
     status: Joi.string().valid('pending', 'confirmed', 'preparing', 'delivering', 'completed', 'cancelled').required()
   }),
   
+  // Bot Intent
+  botIntent: Joi.object({
+    name: Joi.string().required().trim(),
+    description: Joi.string().allow('', null),
+    keywords: Joi.array().items(Joi.string().trim()).default([]),
+    synonyms: Joi.array().items(Joi.string().trim()).default([]),
+    responses: Joi.array().items(Joi.string()).when('action', {
+      is: 'reply',
+      then: Joi.array().min(1).required()
+    }),
+    action: Joi.string().valid('reply', 'menu', 'order', 'handoff', 'opt-out', 'opt-in', 'order-status', 'repeat-order').default('reply'),
+    priority: Joi.number().default(0),
+    active: Joi.boolean().default(true)
+  }),
+  
   // Message
   message: Joi.object({
     phone: Joi.string().required(),
     message: Joi.string().required()
+  }),
+  
+  // Status message templates
+  statusMessages: Joi.object({
+    confirmed: Joi.string().allow(''),
+    preparing: Joi.string().allow(''),
+    delivering: Joi.string().allow(''),
+    completed: Joi.string().allow(''),
+    cancelled: Joi.string().allow('')
+  }).min(1),
+  
+  // Conversation settings
+  conversationSettings: Joi.object({
+    sessionTimeoutHours: Joi.number().integer().min(1),
+    retention: Joi.object({
+      enabled: Joi.boolean(),
+      days: Joi.number().integer().min(1),
+      action: Joi.string().valid('archive', 'purge')
+    }),
+    cartRecovery: Joi.object({
+      enabled: Joi.boolean(),
+      delayMinutes: Joi.number().integer().min(5),
+      message: Joi.string().allow('', null)
+    })
+  }).min(1),
+  
+  // NLU settings
+  nluSettings: Joi.object({
+    provider: Joi.string().valid('local', 'http'),
+    minConfidence: Joi.number().min(0).max(1).allow(null),
+    http: Joi.object({
+      url: Joi.string().uri().allow('', null),
+      apiKey: Joi.string().allow('', null),
+      model: Joi.string().allow('', null)
+    })
+  }).min(1),
+  
+  // Intent classification test
+  classifyMessage: Joi.object({
+    message: Joi.string().required(),
+    provider: Joi.string().valid('local', 'http')
+  }),
+  
+  // Notification preferences
+  notificationPreferences: Joi.object({
+    optOut: Joi.boolean().required()
   })
 };
 